@@ -0,0 +1,21 @@
+// The original orders table
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customer_name TEXT NOT NULL,
+        product TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('pending', 'processing', 'completed', 'cancelled')),
+        order_date TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS orders');
+  }
+};
@@ -0,0 +1,13 @@
+// Cancellation details, set by POST /orders/:id/cancel
+module.exports = {
+  up: async ({ addColumns }) => {
+    await addColumns('orders', [
+      { name: 'cancellation_reason', definition: 'TEXT' },
+      { name: 'cancelled_at', definition: 'TEXT' }
+    ]);
+  },
+
+  down: async ({ dropColumns }) => {
+    await dropColumns('orders', ['cancellation_reason', 'cancelled_at']);
+  }
+};
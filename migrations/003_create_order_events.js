@@ -0,0 +1,21 @@
+// Order history - every change made to an order
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL CHECK(event_type IN ('created', 'updated', 'deleted')),
+        before_values TEXT,
+        after_values TEXT,
+        actor TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id)');
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS order_events');
+  }
+};
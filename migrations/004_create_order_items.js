@@ -0,0 +1,28 @@
+// Order line items
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        product TEXT NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        unit_price DECIMAL(10, 2) NOT NULL CHECK(unit_price > 0)
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id)');
+
+    // Orders created before line items existed become one-line orders, at the exact unit price
+    // 014 moves the remainder that rounding to minor units leaves onto a line of its own
+    await run(`
+      INSERT INTO order_items (order_id, product, quantity, unit_price)
+      SELECT id, product, quantity, amount * 1.0 / quantity FROM orders
+      WHERE quantity > 0 AND amount > 0
+        AND id NOT IN (SELECT order_id FROM order_items)
+    `);
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS order_items');
+  }
+};
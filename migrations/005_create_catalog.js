@@ -0,0 +1,97 @@
+// Customers and products, linked from orders and order items
+module.exports = {
+  up: async ({ run, addColumns }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        email TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        sku TEXT UNIQUE,
+        unit_price DECIMAL(10, 2) CHECK(unit_price IS NULL OR unit_price > 0),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await addColumns('orders', [{ name: 'customer_id', definition: 'INTEGER REFERENCES customers(id)' }]);
+    await addColumns('order_items', [{ name: 'product_id', definition: 'INTEGER REFERENCES products(id)' }]);
+    await run('CREATE INDEX IF NOT EXISTS idx_orders_customer_id ON orders(customer_id)');
+    await run('CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id)');
+
+    // Link orders stored as free text to customer and product records
+    // Names are matched case-insensitively after trimming, so variants collapse into one record
+    await run(`
+      INSERT OR IGNORE INTO customers (name)
+      SELECT DISTINCT TRIM(customer_name) FROM orders WHERE customer_id IS NULL
+    `);
+    await run(`
+      UPDATE orders SET customer_id = (
+        SELECT id FROM customers WHERE customers.name = TRIM(orders.customer_name)
+      )
+      WHERE customer_id IS NULL
+    `);
+    await run(`
+      INSERT OR IGNORE INTO products (name)
+      SELECT DISTINCT TRIM(product) FROM order_items WHERE product_id IS NULL
+    `);
+    await run(`
+      UPDATE order_items SET product_id = (
+        SELECT id FROM products WHERE products.name = TRIM(order_items.product)
+      )
+      WHERE product_id IS NULL
+    `);
+  },
+
+  // SQLite cannot drop a column with a foreign key, so both tables are copied without it
+  down: async ({ run }) => {
+    await run('DROP INDEX IF EXISTS idx_orders_customer_id');
+    await run('DROP INDEX IF EXISTS idx_order_items_product_id');
+
+    await run(`
+      CREATE TABLE orders_rollback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customer_name TEXT NOT NULL,
+        product TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('pending', 'processing', 'completed', 'cancelled')),
+        order_date TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        cancellation_reason TEXT,
+        cancelled_at TEXT
+      )
+    `);
+    await run(`
+      INSERT INTO orders_rollback
+      SELECT id, customer_name, product, quantity, amount, status, order_date, created_at, cancellation_reason, cancelled_at
+      FROM orders
+    `);
+    await run('DROP TABLE orders');
+    await run('ALTER TABLE orders_rollback RENAME TO orders');
+
+    await run(`
+      CREATE TABLE order_items_rollback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        product TEXT NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        unit_price DECIMAL(10, 2) NOT NULL CHECK(unit_price > 0)
+      )
+    `);
+    await run(`
+      INSERT INTO order_items_rollback
+      SELECT id, order_id, product, quantity, unit_price FROM order_items
+    `);
+    await run('DROP TABLE order_items');
+    await run('ALTER TABLE order_items_rollback RENAME TO order_items');
+    await run('CREATE INDEX idx_order_items_order_id ON order_items(order_id)');
+
+    await run('DROP TABLE IF EXISTS customers');
+    await run('DROP TABLE IF EXISTS products');
+  }
+};
@@ -0,0 +1,20 @@
+// API keys - only a hash of each key is stored
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK(role IN ('read-only', 'operator', 'admin')),
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT
+      )
+    `);
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS api_keys');
+  }
+};
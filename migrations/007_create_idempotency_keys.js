@@ -0,0 +1,21 @@
+// Responses stored for Idempotency-Key retries
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        status_code INTEGER,
+        response_body TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        PRIMARY KEY (scope, idempotency_key)
+      )
+    `);
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
@@ -0,0 +1,13 @@
+// Order versions for ETags and If-Match
+module.exports = {
+  up: async ({ addColumns }) => {
+    await addColumns('orders', [
+      { name: 'version', definition: 'INTEGER NOT NULL DEFAULT 1' },
+      { name: 'updated_at', definition: 'TEXT' }
+    ]);
+  },
+
+  down: async ({ dropColumns }) => {
+    await dropColumns('orders', ['version', 'updated_at']);
+  }
+};
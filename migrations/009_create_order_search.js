@@ -0,0 +1,43 @@
+// Full-text index over customer names and products, kept in sync with orders by triggers
+// It is an external content table, so it stores the index but reads the text from orders
+module.exports = {
+  up: async ({ run, get }) => {
+    const existing = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'orders_fts'");
+
+    await run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS orders_fts USING fts5(
+        customer_name, product,
+        content = 'orders', content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+      )
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS orders_fts_insert AFTER INSERT ON orders BEGIN
+        INSERT INTO orders_fts (rowid, customer_name, product) VALUES (new.id, new.customer_name, new.product);
+      END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS orders_fts_delete AFTER DELETE ON orders BEGIN
+        INSERT INTO orders_fts (orders_fts, rowid, customer_name, product) VALUES ('delete', old.id, old.customer_name, old.product);
+      END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS orders_fts_update AFTER UPDATE OF customer_name, product ON orders BEGIN
+        INSERT INTO orders_fts (orders_fts, rowid, customer_name, product) VALUES ('delete', old.id, old.customer_name, old.product);
+        INSERT INTO orders_fts (rowid, customer_name, product) VALUES (new.id, new.customer_name, new.product);
+      END
+    `);
+
+    // Index the orders stored before search existed
+    if (!existing) {
+      await run("INSERT INTO orders_fts (orders_fts) VALUES ('rebuild')");
+    }
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TRIGGER IF EXISTS orders_fts_insert');
+    await run('DROP TRIGGER IF EXISTS orders_fts_delete');
+    await run('DROP TRIGGER IF EXISTS orders_fts_update');
+    await run('DROP TABLE IF EXISTS orders_fts');
+  }
+};
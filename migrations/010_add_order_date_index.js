@@ -0,0 +1,10 @@
+// Serves the default listing order, and keyset pagination over it
+module.exports = {
+  up: async ({ run }) => {
+    await run('CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders(order_date, id)');
+  },
+
+  down: async ({ run }) => {
+    await run('DROP INDEX IF EXISTS idx_orders_order_date');
+  }
+};
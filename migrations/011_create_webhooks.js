@@ -0,0 +1,50 @@
+// Webhook subscriptions, their outbox and the log of delivery attempts
+module.exports = {
+  up: async ({ run }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL
+      )
+    `);
+    // The webhook outbox - one row per event and subscriber, until it is delivered or gives up
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_attempt_at TEXT,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id)');
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id),
+        response_status INTEGER,
+        error TEXT,
+        duration_ms INTEGER NOT NULL,
+        attempted_at TEXT NOT NULL
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery_id ON webhook_attempts(delivery_id)');
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS webhook_attempts');
+    await run('DROP TABLE IF EXISTS webhook_deliveries');
+    await run('DROP TABLE IF EXISTS webhooks');
+  }
+};
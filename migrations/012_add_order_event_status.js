@@ -0,0 +1,10 @@
+// The order status after each change, used to filter the order stream
+module.exports = {
+  up: async ({ addColumns }) => {
+    await addColumns('order_events', [{ name: 'status', definition: 'TEXT' }]);
+  },
+
+  down: async ({ dropColumns }) => {
+    await dropColumns('order_events', ['status']);
+  }
+};
@@ -0,0 +1,42 @@
+// Soft delete - deleted orders keep their row, marked with deleted_at, until they are purged
+// order_events is copied to allow the restored and purged event types, since SQLite cannot
+// change a CHECK constraint in place
+const createOrderEvents = (table, eventTypes) => `
+  CREATE TABLE ${table} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    event_type TEXT NOT NULL CHECK(event_type IN (${eventTypes.map(type => `'${type}'`).join(', ')})),
+    before_values TEXT,
+    after_values TEXT,
+    actor TEXT,
+    created_at TEXT NOT NULL,
+    status TEXT
+  )
+`;
+
+const copyOrderEvents = async (run, eventTypes) => {
+  await run(createOrderEvents('order_events_copy', eventTypes));
+  await run(`
+    INSERT INTO order_events_copy (id, order_id, event_type, before_values, after_values, actor, created_at, status)
+    SELECT id, order_id, event_type, before_values, after_values, actor, created_at, status FROM order_events
+    WHERE event_type IN (${eventTypes.map(() => '?').join(', ')})
+  `, eventTypes);
+  await run('DROP TABLE order_events');
+  await run('ALTER TABLE order_events_copy RENAME TO order_events');
+  await run('CREATE INDEX idx_order_events_order_id ON order_events(order_id)');
+};
+
+module.exports = {
+  up: async ({ run, addColumns }) => {
+    await addColumns('orders', [{ name: 'deleted_at', definition: 'TEXT' }]);
+    await run('CREATE INDEX IF NOT EXISTS idx_orders_deleted_at ON orders(deleted_at)');
+    await copyOrderEvents(run, ['created', 'updated', 'deleted', 'restored', 'purged']);
+  },
+
+  // Restore and purge events are dropped from the history
+  down: async ({ run, dropColumns }) => {
+    await copyOrderEvents(run, ['created', 'updated', 'deleted']);
+    await run('DROP INDEX IF EXISTS idx_orders_deleted_at');
+    await dropColumns('orders', ['deleted_at']);
+  }
+};
@@ -0,0 +1,88 @@
+// Money in minor units - amounts and unit prices become whole numbers of cents (or the minor
+// unit of their currency), and orders, products and order events record an ISO 4217 currency.
+// Existing rows are taken to be in DEFAULT_CURRENCY. The columns keep their DECIMAL
+// declaration, whose NUMERIC affinity stores whole numbers as integers.
+const { defaultCurrency, isCurrency, minorUnitFactorSql } = require('../src/money');
+
+const CURRENCY_TABLES = ['orders', 'products', 'order_events'];
+
+// Convert an amount column of a table with a currency column
+const minorUnitsSql = value => `CAST(ROUND(${value} * (${minorUnitFactorSql('currency')})) AS INTEGER)`;
+const majorUnitsSql = value => `${value} * 1.0 / (${minorUnitFactorSql('currency')})`;
+
+// Scale the amount recorded in order event snapshots, with one of the above
+const scaleEventAmounts = async (run, scale) => {
+  for (const column of ['before_values', 'after_values']) {
+    await run(`
+      UPDATE order_events SET ${column} = json_set(${column}, '$.amount', ${scale(`json_extract(${column}, '$.amount')`)})
+      WHERE json_type(${column}, '$.amount') IN ('integer', 'real')
+    `);
+  }
+};
+
+module.exports = {
+  up: async ({ run, all, addColumns }) => {
+    const currency = defaultCurrency();
+    if (!isCurrency(currency)) {
+      throw new Error(`DEFAULT_CURRENCY ${currency} is not a supported currency`);
+    }
+
+    // A database adopted with every migration pending may already hold minor units,
+    // and only needs the currency columns that earlier migrations rebuilt tables without
+    const converted = (await all('PRAGMA table_info(orders)')).some(column => column.name === 'currency');
+
+    for (const table of CURRENCY_TABLES) {
+      await addColumns(table, [{ name: 'currency', definition: `TEXT NOT NULL DEFAULT '${currency}'` }]);
+    }
+
+    if (converted) {
+      return;
+    }
+
+    await run(`UPDATE orders SET amount = ${minorUnitsSql('amount')}`);
+    await run(`UPDATE products SET unit_price = ${minorUnitsSql('unit_price')} WHERE unit_price IS NOT NULL`);
+    await run(`
+      UPDATE order_items SET unit_price = CAST(ROUND(unit_price * (
+        SELECT ${minorUnitFactorSql('orders.currency')} FROM orders WHERE orders.id = order_items.order_id
+      )) AS INTEGER)
+      WHERE order_id IN (SELECT id FROM orders)
+    `);
+    await scaleEventAmounts(run, minorUnitsSql);
+
+    // Rounding the unit price of a one-line order cuts off the remainder of its amount, e.g.
+    // 100.00 for 3 became 3 x 33.33. The remainder goes on a second line: 2 x 33.33 + 1 x 33.34
+    const uneven = await all(`
+      SELECT order_items.*, orders.amount FROM order_items JOIN orders ON orders.id = order_items.order_id
+      WHERE order_items.quantity * order_items.unit_price != orders.amount
+        AND orders.amount >= order_items.quantity
+        AND (SELECT COUNT(*) FROM order_items lines WHERE lines.order_id = order_items.order_id) = 1
+    `);
+
+    for (const line of uneven) {
+      const unitPrice = Math.floor(line.amount / line.quantity);
+      const remainder = line.amount - unitPrice * line.quantity;
+
+      await run('UPDATE order_items SET quantity = ?, unit_price = ? WHERE id = ?', [line.quantity - remainder, unitPrice, line.id]);
+      await run(
+        'INSERT INTO order_items (order_id, product, product_id, quantity, unit_price) VALUES (?, ?, ?, ?, ?)',
+        [line.order_id, line.product, line.product_id, remainder, unitPrice + 1]
+      );
+    }
+  },
+
+  down: async ({ run, dropColumns }) => {
+    await scaleEventAmounts(run, majorUnitsSql);
+    await run(`
+      UPDATE order_items SET unit_price = unit_price * 1.0 / (
+        SELECT ${minorUnitFactorSql('orders.currency')} FROM orders WHERE orders.id = order_items.order_id
+      )
+      WHERE order_id IN (SELECT id FROM orders)
+    `);
+    await run(`UPDATE products SET unit_price = ${majorUnitsSql('unit_price')} WHERE unit_price IS NOT NULL`);
+    await run(`UPDATE orders SET amount = ${majorUnitsSql('amount')}`);
+
+    for (const table of CURRENCY_TABLES) {
+      await dropColumns(table, ['currency']);
+    }
+  }
+};
@@ -0,0 +1,47 @@
+// Pricing - coupons, and the subtotal, discount and tax that make up the amount of an order
+// Existing orders have no discount or tax, so their subtotal is their amount
+const PRICING_COLUMNS = ['subtotal', 'discount', 'tax', 'coupon_id', 'coupon_code', 'tax_region', 'tax_rate'];
+
+module.exports = {
+  up: async ({ run, addColumns }) => {
+    await run(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        percent_off NUMERIC CHECK(percent_off IS NULL OR (percent_off > 0 AND percent_off <= 100)),
+        amount_off INTEGER CHECK(amount_off IS NULL OR amount_off > 0),
+        currency TEXT,
+        min_order_value INTEGER,
+        expires_at TEXT,
+        max_redemptions INTEGER,
+        times_redeemed INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        CHECK((percent_off IS NULL) != (amount_off IS NULL))
+      )
+    `);
+
+    // coupon_id has no foreign key, which SQLite would refuse to drop on rollback
+    await addColumns('orders', [
+      { name: 'subtotal', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0' },
+      { name: 'discount', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0' },
+      { name: 'tax', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0' },
+      { name: 'coupon_id', definition: 'INTEGER' },
+      { name: 'coupon_code', definition: 'TEXT' },
+      { name: 'tax_region', definition: 'TEXT' },
+      { name: 'tax_rate', definition: 'NUMERIC NOT NULL DEFAULT 0' }
+    ]);
+    await run('UPDATE orders SET subtotal = amount WHERE subtotal = 0');
+  },
+
+  // The breakdown is also removed from the order snapshots in the history
+  down: async ({ run, dropColumns }) => {
+    const paths = PRICING_COLUMNS.map(column => `'$.${column}'`).join(', ');
+    for (const column of ['before_values', 'after_values']) {
+      await run(`UPDATE order_events SET ${column} = json_remove(${column}, ${paths}) WHERE ${column} IS NOT NULL`);
+    }
+
+    await dropColumns('orders', PRICING_COLUMNS);
+    await run('DROP TABLE IF EXISTS coupons');
+  }
+};
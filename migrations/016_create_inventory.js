@@ -0,0 +1,33 @@
+// Inventory - stock levels of tracked products and the ledger of every stock movement
+module.exports = {
+  up: async ({ run }) => {
+    // available = on_hand - reserved; reserved units belong to orders that are not completed yet
+    await run(`
+      CREATE TABLE IF NOT EXISTS inventory (
+        product_id INTEGER PRIMARY KEY REFERENCES products(id),
+        on_hand INTEGER NOT NULL DEFAULT 0 CHECK(on_hand >= 0),
+        reserved INTEGER NOT NULL DEFAULT 0 CHECK(reserved >= 0 AND reserved <= on_hand),
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL REFERENCES products(id),
+        order_id INTEGER,
+        type TEXT NOT NULL CHECK(type IN ('adjustment', 'reservation', 'release', 'commit')),
+        quantity INTEGER NOT NULL,
+        reason TEXT,
+        actor TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+    await run('CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements(product_id)');
+    await run('CREATE INDEX IF NOT EXISTS idx_stock_movements_order_id ON stock_movements(order_id)');
+  },
+
+  down: async ({ run }) => {
+    await run('DROP TABLE IF EXISTS stock_movements');
+    await run('DROP TABLE IF EXISTS inventory');
+  }
+};
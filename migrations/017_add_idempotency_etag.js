@@ -0,0 +1,10 @@
+// Stored ETag of idempotent responses, so a replay sends the same validator as the original
+module.exports = {
+  up: async ({ addColumns }) => {
+    await addColumns('idempotency_keys', [{ name: 'etag', definition: 'TEXT' }]);
+  },
+
+  down: async ({ dropColumns }) => {
+    await dropColumns('idempotency_keys', ['etag']);
+  }
+};
@@ -0,0 +1,87 @@
+// Authentication - API keys sent as "Authorization: Bearer <key>"
+// Only a SHA-256 hash of each key is stored; the key itself is shown once when issued
+const crypto = require('crypto');
+const { run, get, withTransaction } = require('./database');
+const { sendError } = require('./errors');
+
+// Roles in increasing order of privilege
+// read-only: GET requests, operator: create/update, admin: delete and key management
+const ROLES = ['read-only', 'operator', 'admin'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a new API key with the given role
+ * Resolves with the stored record plus the plaintext `key`
+ */
+const issueApiKey = (name, role) => {
+  const key = `oak_${crypto.randomBytes(24).toString('hex')}`;
+
+  return withTransaction(async () => {
+    const { lastID } = await run(
+      'INSERT INTO api_keys (name, role, key_prefix, key_hash, created_at) VALUES (?, ?, ?, ?, ?)',
+      [name, role, key.slice(0, 12), hashKey(key), new Date().toISOString()]
+    );
+    const record = await get('SELECT id, name, role, key_prefix, created_at FROM api_keys WHERE id = ?', [lastID]);
+    return { ...record, key };
+  });
+};
+
+/**
+ * Read the API key from the Authorization header
+ */
+const readKey = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, key] = header.split(' ');
+  return scheme === 'Bearer' && key ? key : null;
+};
+
+/**
+ * Middleware - reject requests without a valid, unrevoked API key (401)
+ * Sets req.apiKey to the matching key record
+ */
+const authenticate = async (req, res, next) => {
+  const key = readKey(req);
+
+  try {
+    const record = key
+      ? await get(
+        'SELECT id, name, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+        [hashKey(key)]
+      )
+      : null;
+
+    if (!record) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.apiKey = record;
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Middleware factory - reject keys whose role is below `role` (403)
+ */
+const authorize = (role) => (req, res, next) => {
+  if (ROLES.indexOf(req.apiKey.role) < ROLES.indexOf(role)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      required: role,
+      role: req.apiKey.role
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  hashKey,
+  issueApiKey,
+  authenticate,
+  authorize
+};
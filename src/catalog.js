@@ -0,0 +1,94 @@
+// Catalog - resolves the customers and products referenced by orders
+// Orders keep a snapshot of the names, and link to the records by id
+const { run, get, all } = require('./database');
+const { HttpError } = require('./errors');
+
+/**
+ * Normalize a customer or product name
+ * Trims and collapses whitespace; matching is case-insensitive in the database
+ */
+const normalizeName = (name) => name.trim().replace(/\s+/g, ' ');
+
+/**
+ * Find a record by name, creating it when it does not exist yet
+ */
+const findOrCreateByName = async (table, name) => {
+  const normalized = normalizeName(name);
+
+  await run(`INSERT OR IGNORE INTO ${table} (name) VALUES (?)`, [normalized]);
+  return get(`SELECT * FROM ${table} WHERE name = ?`, [normalized]);
+};
+
+/**
+ * Load a record referenced by id in a request body, or throw a 400
+ */
+const findReferenced = async (table, field, id) => {
+  const row = Number.isInteger(id) ? await get(`SELECT * FROM ${table} WHERE id = ?`, [id]) : null;
+
+  if (!row) {
+    throw new HttpError(400, `Unknown ${field}`, { [field]: id });
+  }
+
+  return row;
+};
+
+/**
+ * Resolve the customer of an order from either customer_id or customer_name
+ */
+const resolveCustomer = ({ customer_id, customer_name }) => {
+  if (customer_id !== undefined) {
+    return findReferenced('customers', 'customer_id', customer_id);
+  }
+
+  return findOrCreateByName('customers', customer_name);
+};
+
+/**
+ * Resolve the product of a line item from either product_id or product
+ */
+const resolveProduct = ({ product_id, product }) => {
+  if (product_id !== undefined) {
+    return findReferenced('products', 'product_id', product_id);
+  }
+
+  return findOrCreateByName('products', product);
+};
+
+/**
+ * Look up the product of a line item without creating it
+ * Resolves with undefined for a product name that is not in the catalog yet
+ */
+const findProduct = ({ product_id, product }) => {
+  if (product_id !== undefined) {
+    return findReferenced('products', 'product_id', product_id);
+  }
+
+  return get('SELECT * FROM products WHERE name = ?', [normalizeName(product)]);
+};
+
+/**
+ * Attach the current customer record to each order as `customer`
+ */
+const attachCustomers = async (orders) => {
+  const ids = [...new Set(orders.map(order => order.customer_id).filter(id => id !== null))];
+
+  if (ids.length === 0) {
+    return orders.map(order => ({ ...order, customer: null }));
+  }
+
+  const customers = await all(
+    `SELECT id, name, email FROM customers WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+  const byId = new Map(customers.map(customer => [customer.id, customer]));
+
+  return orders.map(order => ({ ...order, customer: byId.get(order.customer_id) || null }));
+};
+
+module.exports = {
+  normalizeName,
+  resolveCustomer,
+  resolveProduct,
+  findProduct,
+  attachCustomers
+};
@@ -1,280 +1,881 @@
 // Orders controller - handles all order-related business logic
 // GitHub Copilot would generate these functions based on comments
-const { db } = require('./database');
+const { run, get, all, withTransaction } = require('./database');
+const { STATUS_TRANSITIONS, canTransition } = require('./lifecycle');
+const { HttpError, sendError } = require('./errors');
+const { getActor, recordOrderEvent, getOrderEvents } = require('./history');
+const {
+  validateItem,
+  validateItems,
+  itemInMinorUnits,
+  applyCatalogPrices,
+  itemsFromLegacyOrder,
+  legacyAmountError,
+  isOneProduct,
+  summarizeItems,
+  resolveItems,
+  insertItems,
+  getItems,
+  syncOrderFromItems
+} = require('./items');
+const { normalizeName, resolveCustomer, resolveProduct, attachCustomers } = require('./catalog');
+const { orderETag, ifMatchSatisfied, ifNoneMatchHit } = require('./etag');
+const { validateBasket, quoteNewOrder, insertOrder } = require('./orders');
+const { repriceOrder } = require('./pricing');
+const { syncOrderStock } = require('./inventory');
+const { parseOrderFilters } = require('./filters');
+const { parsePagination, paginationInfo, parseSort, encodeCursor, cursorCondition } = require('./pagination');
+const { searchOrders } = require('./search');
+const { purgeOrder } = require('./trash');
+const { deepEqual, applyMergePatch, applyJsonPatch } = require('./patch');
+const { toMinorUnits, formatMoney, moneyError, formatOrder } = require('./money');
+const { validateValue } = require('./validation');
+
+// Content types accepted by PATCH /orders/:id
+const PATCH_CONTENT_TYPES = ['application/merge-patch+json', 'application/json-patch+json', 'application/json'];
 
 /**
  * Create a new order
  * Validates input and inserts into database
+ * Accepts either an `items` array or a single product/quantity/amount
  */
-const createOrder = (req, res) => {
-  const { customer_name, product, quantity, amount, status, order_date } = req.body;
-
-  // Validate required fields
-  if (!customer_name || !product || !quantity || !amount || !status || !order_date) {
-    return res.status(400).json({ 
-      error: 'Missing required fields',
-      required: ['customer_name', 'product', 'quantity', 'amount', 'status', 'order_date']
-    });
+const createOrder = async (req, res) => {
+  const invalid = validateBasket(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
 
-  // Validate status
-  const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ 
-      error: 'Invalid status',
-      validStatuses
+  try {
+    const { created, etag } = await withTransaction(async () => {
+      const order = await insertOrder(req.body, req);
+      return { created: formatOrder(order), etag: orderETag(await orderRepresentation(order)) };
     });
-  }
 
-  // Validate quantity and amount
-  if (quantity <= 0 || amount <= 0) {
-    return res.status(400).json({ 
-      error: 'Quantity and amount must be positive numbers'
+    // Return created order with ID
+    res.set('ETag', etag);
+    res.status(201).json({
+      id: created.id,
+      customer_name: created.customer_name,
+      customer_id: created.customer_id,
+      product: created.product,
+      quantity: created.quantity,
+      subtotal: created.subtotal,
+      discount: created.discount,
+      tax: created.tax,
+      amount: created.amount,
+      currency: created.currency,
+      coupon_code: created.coupon_code,
+      tax_region: created.tax_region,
+      tax_rate: created.tax_rate,
+      status: created.status,
+      order_date: created.order_date,
+      version: created.version,
+      items: created.items,
+      message: 'Order created successfully'
     });
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  // Insert order into database
-  const sql = `INSERT INTO orders (customer_name, product, quantity, amount, status, order_date) 
-               VALUES (?, ?, ?, ?, ?, ?)`;
+/**
+ * Price an order without creating it
+ * Takes the body of POST /orders, without the customer, status and date, and responds with
+ * its line items, subtotal, discount, tax and total (amount). The coupon is checked, not used up
+ */
+const quoteOrder = async (req, res) => {
+  const invalid = validateBasket(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  try {
+    res.json(formatOrder(await quoteNewOrder(req.body)));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
 
-  db.run(sql, [customer_name, product, quantity, amount, status, order_date], function(err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
+/**
+ * Get all orders with pagination, filtering and sorting
+ * Supports: page, limit, cursor, sort, includeTotal, status, minAmount, maxAmount,
+ * customerId, startDate, endDate, and q for a full-text search.
+ * Sending `cursor` (empty for the first page) switches from offset to keyset pagination
+ */
+const getOrders = async (req, res) => {
+  if (req.query.q !== undefined) {
+    return searchOrders(req, res);
+  }
+
+  const useCursor = req.query.cursor !== undefined;
+
+  if (useCursor && req.query.page !== undefined) {
+    return res.status(400).json({ error: 'Use either page or cursor, not both' });
+  }
+
+  // Counting every match is what makes deep listings slow, so keyset pages skip it unless asked
+  const includeTotal = req.query.includeTotal !== undefined ? req.query.includeTotal === 'true' : !useCursor;
+
+  try {
+    // Parse pagination and sort parameters and build WHERE clause based on filters
+    const pagination = parsePagination(req.query);
+    const sort = parseSort(req.query.sort);
+    const { whereClause, params } = parseOrderFilters(req.query);
+    const { page, limit, offset } = pagination;
+
+    let pageWhere = whereClause;
+    const pageParams = [...params];
+
+    if (useCursor && req.query.cursor) {
+      const { condition, params: cursorParams } = cursorCondition(req.query.cursor, sort);
+      pageWhere = whereClause ? `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+      pageParams.push(...cursorParams);
     }
 
-    // Return created order with ID
-    res.status(201).json({
-      id: this.lastID,
-      customer_name,
-      product,
-      quantity,
-      amount,
-      status,
-      order_date,
-      message: 'Order created successfully'
+    // One extra row tells whether another page follows
+    const rows = await all(
+      `SELECT * FROM orders ${pageWhere} ORDER BY ${sort.orderBy} LIMIT ? OFFSET ?`,
+      [...pageParams, limit + 1, useCursor ? 0 : offset]
+    );
+    const hasNextPage = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+
+    // Get total count for pagination metadata
+    const totalOrders = includeTotal
+      ? (await get(`SELECT COUNT(*) as total FROM orders ${whereClause}`, params)).total
+      : undefined;
+
+    let info;
+    if (useCursor) {
+      info = {
+        limit,
+        sort: sort.key,
+        nextCursor: hasNextPage ? encodeCursor(pageRows[pageRows.length - 1], sort) : null,
+        hasNextPage,
+        ...(includeTotal ? { totalOrders } : {})
+      };
+    } else if (includeTotal) {
+      info = paginationInfo(pagination, totalOrders);
+    } else {
+      info = { page, limit, hasNextPage, hasPreviousPage: page > 1 };
+    }
+
+    // Return paginated response with customer details
+    res.json({
+      data: await attachCustomers(pageRows.map(order => formatOrder(order))),
+      pagination: info
     });
-  });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * The representation GET /orders/:id sends for an order row, with its customer and line items
+ * Its ETag is computed from it
+ */
+const orderRepresentation = async (row) => {
+  // Rows that already carry their items would put them before the customer and change the hash
+  const { items, ...fields } = row;
+  const [order] = await attachCustomers([fields]);
+  return formatOrder({ ...order, items: await getItems(row.id) });
+};
+
+/**
+ * Get a single order by ID, including its customer and line items
+ * Sends an ETag, and 304 Not Modified when If-None-Match matches it
+ */
+const getOrderById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const row = await get('SELECT * FROM orders WHERE id = ? AND deleted_at IS NULL', [id]);
+
+    if (!row) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = await orderRepresentation(row);
+    const etag = orderETag(order);
+    res.set('ETag', etag);
+
+    if (ifNoneMatchHit(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Fields of an order document that PUT replaces and PATCH patches
+// currency is part of the document but cannot change
+const EDITABLE_FIELDS = ['customer_id', 'customer_name', 'status', 'order_date', 'cancellation_reason', 'product', 'quantity', 'amount', 'currency', 'items'];
+
+// Fields a client may send back from a GET response; they are managed by the server and ignored
+const READ_ONLY_FIELDS = [
+  'id', 'version', 'created_at', 'updated_at', 'cancelled_at', 'customer', 'message',
+  'subtotal', 'discount', 'tax', 'coupon_id', 'coupon_code', 'tax_region', 'tax_rate'
+];
+
+// Summary fields that can only be edited directly on orders of a single product
+const SUMMARY_FIELDS = ['product', 'quantity', 'amount'];
+
+const ORDER_DOCUMENT_SCHEMA = { $ref: '#/components/schemas/OrderDocument' };
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build the editable document of an order, the representation PUT replaces and PATCH patches
+ */
+const toDocument = async (order) => formatOrder({
+  customer_id: order.customer_id,
+  customer_name: order.customer_name,
+  status: order.status,
+  order_date: order.order_date,
+  cancellation_reason: order.cancellation_reason,
+  product: order.product,
+  quantity: order.quantity,
+  amount: order.amount,
+  currency: order.currency,
+  items: await getItems(order.id)
+});
+
+/**
+ * Convert the money in an order document to minor units, so that equal amounts compare equal
+ * however they were written. Values that are not valid amounts are left as sent for
+ * validateOrderDocument to reject
+ */
+const documentInMinorUnits = (doc, currency) => {
+  const convert = (value) => {
+    const minorUnits = toMinorUnits(value, currency);
+    return minorUnits === null ? value : minorUnits;
+  };
+
+  return {
+    ...doc,
+    amount: convert(doc.amount),
+    items: Array.isArray(doc.items)
+      ? doc.items.map(item => (isObject(item) && item.unit_price !== undefined ? { ...item, unit_price: convert(item.unit_price) } : item))
+      : doc.items
+  };
 };
 
 /**
- * Get all orders with pagination and filtering
- * Supports: page, limit, status, minAmount, maxAmount, startDate, endDate
+ * Validate an order document against the OrderDocument schema and the current order, both with
+ * their money in minor units
+ * Besides the schema, fields must be known, a cancelled order needs a cancellation_reason, the
+ * currency cannot change, amounts must fit the currency, and changed items must leave the summary
+ * alone and reference this order's lines.
+ * Returns a list of { field, error } entries, empty when the document is valid
  */
-const getOrders = (req, res) => {
-  // Parse pagination parameters
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const offset = (page - 1) * limit;
-
-  // Validate pagination parameters
-  if (page < 1 || limit < 1 || limit > 100) {
-    return res.status(400).json({ 
-      error: 'Invalid pagination parameters',
-      constraints: 'page >= 1, 1 <= limit <= 100'
+const validateOrderDocument = (doc, current) => {
+  const { currency } = current;
+  const itemsChanged = !deepEqual(doc.items, current.items);
+
+  const errors = Object.keys(doc)
+    .filter(field => !EDITABLE_FIELDS.includes(field) && !READ_ONLY_FIELDS.includes(field))
+    .map(field => ({ field, error: 'Unknown field' }));
+  errors.push(...validateValue(ORDER_DOCUMENT_SCHEMA, doc, []));
+
+  // Fields the schema rejected are not checked again
+  const invalid = new Set(errors.map(({ field }) => field));
+
+  // A cancelled order needs a reason, as POST /orders/:id/cancel asks for one
+  const hasReason = typeof doc.cancellation_reason === 'string' && doc.cancellation_reason.trim() !== '';
+  if (doc.status === 'cancelled' && !hasReason && !invalid.has('cancellation_reason')) {
+    errors.push({ field: 'cancellation_reason', error: 'cancellation_reason is required to cancel an order' });
+  }
+
+  if (doc.currency !== undefined && doc.currency !== currency && !invalid.has('currency')) {
+    errors.push({ field: 'currency', error: 'currency cannot be changed once the order is created' });
+  }
+
+  // PUT fills in the current items when they are left out, so only a patch can remove them
+  if (doc.items === undefined) {
+    errors.push({ field: 'items', error: 'items is required' });
+  } else if (itemsChanged) {
+    // The summary is computed from the items, so it cannot be changed alongside them
+    SUMMARY_FIELDS
+      .filter(field => doc[field] !== current[field])
+      .forEach(field => errors.push({ field, error: `${field} is computed from items and cannot be changed with them` }));
+  }
+
+  if (itemsChanged && Array.isArray(doc.items) && ![...invalid].some(field => field.startsWith('items'))) {
+    // Unit prices already in minor units are valid, the ones left as sent are not
+    validateItems(doc.items, currency)
+      .forEach(({ index, error }) => errors.push({ field: `items/${index}/unit_price`, error }));
+
+    const currentIds = current.items.map(item => item.id);
+    const seenIds = new Set();
+
+    doc.items.forEach((item, index) => {
+      if (item.id === undefined) {
+        return;
+      }
+      if (!currentIds.includes(item.id) || seenIds.has(item.id)) {
+        errors.push({ field: `items/${index}/id`, error: 'id must reference a distinct existing item of this order' });
+      }
+      seenIds.add(item.id);
     });
   }
 
-  // Build WHERE clause based on filters
-  const filters = [];
-  const params = [];
+  if (!itemsChanged && !invalid.has('amount') && !(Number.isInteger(doc.amount) && doc.amount > 0)) {
+    errors.push({ field: 'amount', error: moneyError('amount', currency) });
+  }
 
-  // Filter by status
-  if (req.query.status) {
-    const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
-    if (!validStatuses.includes(req.query.status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status filter',
-        validStatuses
-      });
-    }
-    filters.push('status = ?');
-    params.push(req.query.status);
+  return errors;
+};
+
+/**
+ * Replace the line items of an order with the ones of a document
+ * Lines with an id are updated, lines without one are added and missing lines are removed
+ */
+const replaceItems = async (orderId, items, currentItems) => {
+  const keptIds = items.filter(item => item.id !== undefined).map(item => item.id);
+
+  for (const existing of currentItems.filter(line => !keptIds.includes(line.id))) {
+    await run('DELETE FROM order_items WHERE id = ?', [existing.id]);
   }
 
-  // Filter by minimum amount
-  if (req.query.minAmount) {
-    const minAmount = parseFloat(req.query.minAmount);
-    if (isNaN(minAmount) || minAmount < 0) {
-      return res.status(400).json({ error: 'Invalid minAmount parameter' });
+  for (const item of items) {
+    const existing = currentItems.find(line => line.id === item.id);
+
+    if (!existing) {
+      await insertItems(orderId, await resolveItems([item]));
+      continue;
     }
-    filters.push('amount >= ?');
-    params.push(minAmount);
+
+    // Re-resolve the product only when the reference or the name changed
+    let product = { id: existing.product_id, name: existing.product };
+    if (item.product_id !== undefined && item.product_id !== null && item.product_id !== existing.product_id) {
+      product = await resolveProduct({ product_id: item.product_id });
+    } else if (item.product !== undefined && item.product !== existing.product) {
+      product = await resolveProduct({ product: item.product });
+    }
+
+    await run(
+      'UPDATE order_items SET product = ?, product_id = ?, quantity = ?, unit_price = ? WHERE id = ?',
+      [product.name, product.id, item.quantity, item.unit_price, existing.id]
+    );
   }
+};
+
+/**
+ * Apply a complete order document to an order inside a transaction
+ * Shared by PUT and PATCH; resolves with the updated order, its customer and line items
+ */
+const applyOrderDocument = async (req, before, currentDocument, document) => {
+  const current = documentInMinorUnits(currentDocument, before.currency);
+  const doc = documentInMinorUnits(document, before.currency);
 
-  // Filter by maximum amount
-  if (req.query.maxAmount) {
-    const maxAmount = parseFloat(req.query.maxAmount);
-    if (isNaN(maxAmount) || maxAmount < 0) {
-      return res.status(400).json({ error: 'Invalid maxAmount parameter' });
+  const errors = validateOrderDocument(doc, current);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Validation failed', { fields: errors });
+  }
+
+  // Only apply a status change when the lifecycle allows it from the current status
+  if (doc.status !== before.status) {
+    assertTransition(before.status, doc.status);
+  }
+
+  const itemsChanged = !deepEqual(doc.items, current.items);
+  const summaryChanged = SUMMARY_FIELDS.some(field => doc[field] !== current[field]);
+
+  if (itemsChanged) {
+    assertItemsEditable(before);
+
+    // Lines sent without a unit price get the catalog price of their product
+    const { items, errors: priceErrors } = await applyCatalogPrices(doc.items, before.currency);
+    if (priceErrors.length > 0) {
+      throw new HttpError(400, 'Validation failed', {
+        fields: priceErrors.map(({ index, error }) => ({ field: `items/${index}/unit_price`, error }))
+      });
     }
-    filters.push('amount <= ?');
-    params.push(maxAmount);
+    doc.items = items;
+  }
+
+  // The summary of a one-product order rewrites its lines, so the same rule applies
+  if (summaryChanged) {
+    assertItemsEditable(before);
+  }
+
+  if (summaryChanged && !isOneProduct(current.items)) {
+    throw new HttpError(409, 'Order has multiple line items', {
+      hint: 'Change its items instead of product, quantity and amount'
+    });
+  }
+
+  // The amount of an order with a coupon or tax is its total, which is computed from its items
+  const isPriced = before.coupon_id !== null || Number(before.tax_rate) > 0;
+  if (doc.amount !== current.amount && isPriced) {
+    throw new HttpError(409, 'Order has a discount or tax', {
+      hint: 'Change its items instead of its amount, so that the totals are recomputed'
+    });
   }
 
-  // Filter by date range - start date
-  if (req.query.startDate) {
-    filters.push('order_date >= ?');
-    params.push(req.query.startDate);
+  // Customer and product names are resolved to catalog records
+  let customer = { id: before.customer_id, name: before.customer_name };
+  if (doc.customer_id !== undefined && doc.customer_id !== null && doc.customer_id !== before.customer_id) {
+    customer = await resolveCustomer({ customer_id: doc.customer_id });
+  } else if (doc.customer_name !== undefined && normalizeName(doc.customer_name) !== before.customer_name) {
+    customer = await resolveCustomer({ customer_name: doc.customer_name });
   }
 
-  // Filter by date range - end date
-  if (req.query.endDate) {
-    filters.push('order_date <= ?');
-    params.push(req.query.endDate);
+  // An omitted cancellation_reason is cleared, as in any full replacement
+  const fields = {
+    customer_name: customer.name,
+    customer_id: customer.id,
+    status: doc.status,
+    order_date: doc.order_date,
+    cancellation_reason: doc.cancellation_reason === undefined ? null : doc.cancellation_reason
+  };
+
+  if (itemsChanged) {
+    await replaceItems(before.id, doc.items, current.items);
+    const { product, quantity, amount: subtotal } = summarizeItems(await getItems(before.id));
+    Object.assign(fields, { product, quantity }, await repriceOrder(before, subtotal));
+  } else if (summaryChanged) {
+    const product = doc.product === current.product
+      ? { id: current.items.length ? current.items[0].product_id : null, name: current.product }
+      : await resolveProduct({ product: doc.product });
+
+    // Without a discount or tax the amount is the subtotal; otherwise only the quantity or product changed
+    const subtotal = isPriced ? before.subtotal : doc.amount;
+    const amountError = legacyAmountError(doc.quantity, subtotal, before.currency);
+    if (amountError) {
+      throw new HttpError(400, 'Validation failed', { fields: [{ field: isPriced ? 'quantity' : 'amount', error: amountError }] });
+    }
+    Object.assign(fields, { product: product.name, quantity: doc.quantity, subtotal, amount: doc.amount });
+
+    // The lines are split again from the new summary, so that they keep adding up to the subtotal
+    if (current.items.length > 0) {
+      await run('DELETE FROM order_items WHERE order_id = ?', [before.id]);
+      await insertItems(before.id, itemsFromLegacyOrder({ product: product.name, product_id: product.id, quantity: doc.quantity, amount: subtotal }));
+    }
   }
 
-  const whereClause = filters.length > 0 ? 'WHERE ' + filters.join(' AND ') : '';
+  const columns = Object.keys(fields).filter(column => fields[column] !== before[column]);
 
-  // Get total count for pagination metadata
-  const countSql = `SELECT COUNT(*) as total FROM orders ${whereClause}`;
-  
-  db.get(countSql, params, (err, countResult) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
+  if (columns.length > 0 || itemsChanged) {
+    const updates = [...columns.map(column => `${column} = ?`), 'version = version + 1', 'updated_at = ?'];
+    const params = [...columns.map(column => fields[column]), new Date().toISOString()];
+
+    if (doc.status === 'cancelled') {
+      updates.push('cancelled_at = COALESCE(cancelled_at, ?)');
+      params.push(new Date().toISOString());
     }
 
-    const totalOrders = countResult.total;
-    const totalPages = Math.ceil(totalOrders / limit);
+    await run(`UPDATE orders SET ${updates.join(', ')} WHERE id = ?`, [...params, before.id]);
+    await syncOrderStock(before.id, getActor(req));
+    const after = await get('SELECT * FROM orders WHERE id = ?', [before.id]);
+    await recordOrderEvent(before.id, 'updated', before, after, getActor(req));
+  }
 
-    // Get paginated orders
-    const dataSql = `SELECT * FROM orders ${whereClause} ORDER BY order_date DESC, id DESC LIMIT ? OFFSET ?`;
-    const dataParams = [...params, limit, offset];
+  return orderRepresentation(await get('SELECT * FROM orders WHERE id = ?', [before.id]));
+};
 
-    db.all(dataSql, dataParams, (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error', details: err.message });
+/**
+ * Replace an order by ID
+ * The body is the complete order; omitted optional fields are cleared.
+ * Send either `items` or, for one-line orders, product/quantity/amount
+ */
+const updateOrder = async (req, res) => {
+  try {
+    const order = await withTransaction(async () => {
+      const before = await findOrderForUpdate(req);
+      const current = await toDocument(before);
+      const doc = { ...req.body };
+
+      // Without items the current lines are kept and the summary fields apply,
+      // with items the summary is computed from them
+      if (doc.items === undefined) {
+        doc.items = current.items;
+      } else {
+        SUMMARY_FIELDS.forEach((field) => { doc[field] = current[field]; });
       }
 
-      // Return paginated response
-      res.json({
-        data: rows,
-        pagination: {
-          page,
-          limit,
-          totalOrders,
-          totalPages,
-          hasNextPage: page < totalPages,
-          hasPreviousPage: page > 1
-        }
-      });
+      return applyOrderDocument(req, before, current, doc);
     });
-  });
+
+    res.set('ETag', orderETag(order));
+    res.json({ ...order, message: 'Order updated successfully' });
+  } catch (err) {
+    sendError(res, err);
+  }
 };
 
 /**
- * Get a single order by ID
+ * Partially update an order by ID
+ * Accepts a JSON Merge Patch (application/merge-patch+json or application/json)
+ * or a JSON Patch (application/json-patch+json) against the order document
  */
-const getOrderById = (req, res) => {
-  const { id } = req.params;
+const patchOrder = async (req, res) => {
+  const contentType = req.is(PATCH_CONTENT_TYPES);
+  if (!contentType) {
+    return res.status(415).json({ error: 'Unsupported Media Type', supported: PATCH_CONTENT_TYPES });
+  }
+
+  const isJsonPatch = contentType === 'application/json-patch+json';
+
+  try {
+    const order = await withTransaction(async () => {
+      const before = await findOrderForUpdate(req);
+      const current = await toDocument(before);
+      const doc = isJsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, req.body);
+
+      if (!isObject(doc)) {
+        throw new HttpError(400, 'Validation failed', { fields: [{ field: '', error: 'The order must be a JSON object' }] });
+      }
+
+      return applyOrderDocument(req, before, current, doc);
+    });
 
-  if (!id || isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid order ID' });
+    res.set('ETag', orderETag(order));
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  const sql = 'SELECT * FROM orders WHERE id = ?';
+/**
+ * Delete an order by ID
+ * Moves the order to the trash, from where it can be restored until it is purged, and releases
+ * its reserved stock. With ?hard=true the order is removed permanently, whether or not it is in the trash
+ */
+const deleteOrder = async (req, res) => {
+  const { id } = req.params;
+  const hard = req.query.hard === 'true';
 
-  db.get(sql, [id], (err, row) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
-    }
+  try {
+    await withTransaction(async () => {
+      const before = await findOrderForUpdate(req, { includeTrashed: hard });
 
-    if (!row) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+      if (!before.deleted_at) {
+        const now = new Date().toISOString();
+        await run('UPDATE orders SET deleted_at = ?, version = version + 1, updated_at = ? WHERE id = ?', [now, now, id]);
+        await syncOrderStock(before.id, getActor(req));
+        await recordOrderEvent(before.id, 'deleted', before, null, getActor(req));
+      }
 
-    res.json(row);
-  });
+      if (hard) {
+        await purgeOrder(before.id, getActor(req));
+      }
+    });
+
+    res.json({ message: hard ? 'Order permanently deleted' : 'Order deleted successfully', id });
+  } catch (err) {
+    sendError(res, err);
+  }
 };
 
 /**
- * Update an order by ID
+ * Take an order back out of the trash
+ * Its stock is reserved again, so this fails with a 409 when the stock has run out meanwhile
  */
-const updateOrder = (req, res) => {
+const restoreOrder = async (req, res) => {
   const { id } = req.params;
-  const { customer_name, product, quantity, amount, status, order_date } = req.body;
 
-  if (!id || isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid order ID' });
+  try {
+    const { order, etag } = await withTransaction(async () => {
+      const before = await findOrderForUpdate(req, { includeTrashed: true });
+
+      if (!before.deleted_at) {
+        throw new HttpError(409, 'Order is not in the trash');
+      }
+
+      await run('UPDATE orders SET deleted_at = NULL, version = version + 1, updated_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+      await syncOrderStock(before.id, getActor(req));
+      const after = await get('SELECT * FROM orders WHERE id = ?', [id]);
+      await recordOrderEvent(before.id, 'restored', before, after, getActor(req));
+      return { order: after, etag: orderETag(await orderRepresentation(after)) };
+    });
+
+    res.set('ETag', etag);
+    res.json({ ...formatOrder(order), message: 'Order restored successfully' });
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  // Validate status if provided
-  if (status) {
-    const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        validStatuses
-      });
-    }
+/**
+ * Load the order a request is about to change
+ * Throws a 404 if it does not exist or is in the trash (unless `includeTrashed`),
+ * and a 412 if the request's If-Match header does not match its current ETag
+ */
+const findOrderForUpdate = async (req, { includeTrashed = false } = {}) => {
+  const order = await get(
+    `SELECT * FROM orders WHERE id = ? ${includeTrashed ? '' : 'AND deleted_at IS NULL'}`,
+    [req.params.id]
+  );
+
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
   }
 
-  // Validate quantity and amount if provided
-  if ((quantity !== undefined && quantity <= 0) || (amount !== undefined && amount <= 0)) {
-    return res.status(400).json({ 
-      error: 'Quantity and amount must be positive numbers'
+  const etag = orderETag(await orderRepresentation(order));
+  if (!ifMatchSatisfied(req.get('If-Match'), etag)) {
+    throw new HttpError(412, 'Precondition Failed', {
+      details: 'The order was modified by another request',
+      currentETag: etag
+    });
+  }
+
+  return order;
+};
+
+/**
+ * Throw a 409 if the lifecycle does not allow moving between two statuses
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new HttpError(409, 'Invalid status transition', {
+      from,
+      to,
+      allowedTransitions: STATUS_TRANSITIONS[from]
     });
   }
+};
+
+/**
+ * Move an order to a new status if the lifecycle allows it
+ * Shared by the process, complete and cancel action routes. Completing an order takes its
+ * reserved stock off hand, cancelling it releases the stock
+ */
+const transitionOrder = async (req, res, targetStatus, extraUpdates = {}) => {
+  const { id } = req.params;
+
+  const columns = Object.keys(extraUpdates);
+  const updates = ['status = ?', ...columns.map(column => `${column} = ?`), 'version = version + 1', 'updated_at = ?'];
+  const params = [targetStatus, ...columns.map(column => extraUpdates[column]), new Date().toISOString(), id];
 
-  // Build update query dynamically
-  const updates = [];
-  const params = [];
+  try {
+    const { order, etag } = await withTransaction(async () => {
+      const before = await findOrderForUpdate(req);
+      assertTransition(before.status, targetStatus);
 
-  if (customer_name) { updates.push('customer_name = ?'); params.push(customer_name); }
-  if (product) { updates.push('product = ?'); params.push(product); }
-  if (quantity) { updates.push('quantity = ?'); params.push(quantity); }
-  if (amount) { updates.push('amount = ?'); params.push(amount); }
-  if (status) { updates.push('status = ?'); params.push(status); }
-  if (order_date) { updates.push('order_date = ?'); params.push(order_date); }
+      await run(`UPDATE orders SET ${updates.join(', ')} WHERE id = ?`, params);
+      await syncOrderStock(before.id, getActor(req));
+      const after = await get('SELECT * FROM orders WHERE id = ?', [id]);
+      await recordOrderEvent(before.id, 'updated', before, after, getActor(req));
+      return { order: after, etag: orderETag(await orderRepresentation(after)) };
+    });
 
-  if (updates.length === 0) {
-    return res.status(400).json({ error: 'No fields to update' });
+    res.set('ETag', etag);
+    res.json(formatOrder(order));
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  params.push(id);
-  const sql = `UPDATE orders SET ${updates.join(', ')} WHERE id = ?`;
+/**
+ * Start processing a pending order
+ */
+const processOrder = (req, res) => {
+  transitionOrder(req, res, 'processing');
+};
 
-  db.run(sql, params, function(err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
-    }
+/**
+ * Mark a processing order as completed
+ */
+const completeOrder = (req, res) => {
+  transitionOrder(req, res, 'completed');
+};
 
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+/**
+ * Cancel a pending or processing order
+ * Requires a reason which is stored on the order
+ */
+const cancelOrder = (req, res) => {
+  transitionOrder(req, res, 'cancelled', {
+    cancellation_reason: req.body.reason.trim(),
+    cancelled_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Throw a 409 unless the line items of an order may still change
+ */
+const assertItemsEditable = (order) => {
+  if (order.status !== 'pending') {
+    throw new HttpError(409, 'Order items can only be changed while the order is pending', {
+      status: order.status
+    });
+  }
+};
+
+/**
+ * Apply a change to the line items of an order inside a transaction
+ * `change` is called with the current items and the order.
+ * Recomputes the order summary, records the change and resolves with the updated order and its ETag
+ */
+const changeOrderItems = (req, change) => {
+  const { id } = req.params;
+
+  return withTransaction(async () => {
+    const before = await findOrderForUpdate(req);
+    assertItemsEditable(before);
+
+    // Orders stored before line items existed get their single line first
+    const items = await getItems(id);
+    if (items.length === 0) {
+      await insertItems(id, await resolveItems(itemsFromLegacyOrder(before)));
     }
 
-    res.json({ message: 'Order updated successfully', id });
+    await change(await getItems(id), before);
+    await syncOrderFromItems(id);
+    await syncOrderStock(before.id, getActor(req));
+
+    const after = await get('SELECT * FROM orders WHERE id = ?', [id]);
+    await recordOrderEvent(before.id, 'updated', before, after, getActor(req));
+    return {
+      order: formatOrder({ ...after, items: await getItems(id) }),
+      etag: orderETag(await orderRepresentation(after))
+    };
   });
 };
 
 /**
- * Delete an order by ID
+ * Find a line item of an order, or throw a 404
+ */
+const findItem = (items, itemId) => {
+  const item = items.find(line => line.id === Number(itemId));
+
+  if (!item) {
+    throw new HttpError(404, 'Order item not found');
+  }
+
+  return item;
+};
+
+/**
+ * Add a line item to an order
  */
-const deleteOrder = (req, res) => {
+const addOrderItem = async (req, res) => {
   const { id } = req.params;
 
-  if (!id || isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid order ID' });
+  try {
+    // The unit price is validated against the currency of the order
+    const { order, etag } = await changeOrderItems(req, async (items, { currency }) => {
+      const itemError = validateItem(req.body, currency);
+      if (itemError) {
+        throw new HttpError(400, 'Invalid order item', { details: itemError });
+      }
+
+      // Without a unit_price the item gets the catalog price of its product
+      const { items: [item], errors } = await applyCatalogPrices([itemInMinorUnits(req.body, currency)], currency);
+      if (errors.length > 0) {
+        throw new HttpError(400, 'Invalid order item', { details: errors[0].error });
+      }
+
+      await insertItems(id, await resolveItems([item]));
+    });
+    res.set('ETag', etag);
+    res.status(201).json(order);
+  } catch (err) {
+    sendError(res, err);
   }
+};
 
-  const sql = 'DELETE FROM orders WHERE id = ?';
+/**
+ * Change the product, quantity or unit price of a line item
+ */
+const updateOrderItem = async (req, res) => {
+  const { itemId } = req.params;
+
+  try {
+    const { order, etag } = await changeOrderItems(req, async (items, { currency }) => {
+      const current = findItem(items, itemId);
+      const changesProduct = req.body.product !== undefined || req.body.product_id !== undefined;
+      const updated = {
+        product_id: changesProduct ? req.body.product_id : current.product_id,
+        product: changesProduct ? req.body.product : current.product,
+        quantity: req.body.quantity !== undefined ? req.body.quantity : current.quantity,
+        unit_price: req.body.unit_price !== undefined ? req.body.unit_price : formatMoney(current.unit_price, currency)
+      };
+
+      const itemError = validateItem(updated, currency);
+      if (itemError) {
+        throw new HttpError(400, 'Invalid order item', { details: itemError });
+      }
 
-  db.run(sql, [id], function(err) {
-    if (err) {
-      return res.status(500).json({ error: 'Database error', details: err.message });
-    }
+      const line = itemInMinorUnits(changesProduct ? (await resolveItems([updated]))[0] : updated, currency);
+      await run(
+        'UPDATE order_items SET product = ?, product_id = ?, quantity = ?, unit_price = ? WHERE id = ?',
+        [line.product, line.product_id, line.quantity, line.unit_price, current.id]
+      );
+    });
 
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    res.set('ETag', etag);
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Remove a line item from an order
+ * The last remaining line cannot be removed
+ */
+const deleteOrderItem = async (req, res) => {
+  const { itemId } = req.params;
+
+  try {
+    const { order, etag } = await changeOrderItems(req, async (items) => {
+      const current = findItem(items, itemId);
+
+      if (items.length === 1) {
+        throw new HttpError(409, 'An order must have at least one item');
+      }
+
+      await run('DELETE FROM order_items WHERE id = ?', [current.id]);
+    });
+
+    res.set('ETag', etag);
+    res.json(order);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get the change history of an order
+ * Still available after the order has been deleted
+ */
+const getOrderHistory = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const events = await getOrderEvents(id);
+
+    if (events.length === 0) {
+      const order = await get('SELECT id FROM orders WHERE id = ?', [id]);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
     }
 
-    res.json({ message: 'Order deleted successfully', id });
-  });
+    res.json({ order_id: Number(id), events });
+  } catch (err) {
+    sendError(res, err);
+  }
 };
 
 module.exports = {
   createOrder,
+  quoteOrder,
   getOrders,
   getOrderById,
   updateOrder,
-  deleteOrder
+  patchOrder,
+  deleteOrder,
+  restoreOrder,
+  processOrder,
+  completeOrder,
+  cancelOrder,
+  getOrderHistory,
+  addOrderItem,
+  updateOrderItem,
+  deleteOrderItem
 };
@@ -0,0 +1,299 @@
+// Coupons - discount codes applied to new orders
+// A coupon takes either a percentage (percent_off) or a fixed amount (amount_off) off the
+// subtotal, and may require a minimum order value, expire, or be limited to a number of uses
+const { run, get, all, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { parsePagination } = require('./pagination');
+const { SUPPORTED_CURRENCIES, isCurrency, toMinorUnits, formatMoney, moneyError, isPercentage, percentOf } = require('./money');
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{1,40}$/;
+
+// Codes are matched case-insensitively and stored in upper case
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Validate the expiry, usage limit and active flag of a coupon, the fields that can change
+ * Returns an error message, or null when they are valid
+ */
+const validateCouponLimits = ({ expires_at, max_redemptions, active }) => {
+  if (expires_at !== undefined && expires_at !== null && (typeof expires_at !== 'string' || isNaN(Date.parse(expires_at)))) {
+    return 'expires_at must be an ISO 8601 timestamp or null';
+  }
+
+  if (max_redemptions !== undefined && max_redemptions !== null && (!Number.isInteger(max_redemptions) || max_redemptions <= 0)) {
+    return 'max_redemptions must be a positive integer or null';
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active must be a boolean';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a new coupon, with its amounts in its currency
+ * Returns an error message, or null when it is valid
+ */
+const validateCoupon = (coupon) => {
+  const { code, percent_off, amount_off, currency, min_order_value } = coupon;
+
+  if (typeof code !== 'string' || !COUPON_CODE_PATTERN.test(normalizeCode(code))) {
+    return 'code must be 1 to 40 letters, digits, dashes or underscores';
+  }
+
+  if ((percent_off === undefined) === (amount_off === undefined)) {
+    return 'Set either percent_off or amount_off';
+  }
+
+  if (percent_off !== undefined && (!isPercentage(percent_off) || Number(percent_off) === 0)) {
+    return 'percent_off must be above 0 and at most 100, with at most 3 decimal places';
+  }
+
+  // Fixed amounts only make sense in one currency; percentages apply to any unless one is given
+  const needsCurrency = amount_off !== undefined || (min_order_value !== undefined && min_order_value !== null);
+  if ((needsCurrency || currency !== undefined) && !isCurrency(currency)) {
+    return `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}${needsCurrency ? ' with amount_off or min_order_value' : ''}`;
+  }
+
+  if (amount_off !== undefined && toMinorUnits(amount_off, currency) === null) {
+    return moneyError('amount_off', currency);
+  }
+
+  if (min_order_value !== undefined && min_order_value !== null && toMinorUnits(min_order_value, currency) === null) {
+    return moneyError('min_order_value', currency);
+  }
+
+  return validateCouponLimits(coupon);
+};
+
+/**
+ * Convert a coupon row to its API representation
+ */
+const formatCoupon = (row) => ({
+  ...row,
+  amount_off: formatMoney(row.amount_off, row.currency),
+  min_order_value: formatMoney(row.min_order_value, row.currency),
+  active: row.active === 1
+});
+
+/**
+ * Load a coupon by the :id route parameter, or throw a 404
+ */
+const findCoupon = async (req) => {
+  const row = await get('SELECT * FROM coupons WHERE id = ?', [req.params.id]);
+  if (!row) {
+    throw new HttpError(404, 'Coupon not found');
+  }
+  return row;
+};
+
+/**
+ * Find the coupon for a code and check that it applies to an order with this subtotal
+ * Throws a 400 explaining why when it does not
+ */
+const findApplicableCoupon = async (code, currency, subtotal) => {
+  const coupon = await get('SELECT * FROM coupons WHERE code = ?', [normalizeCode(code)]);
+  const reject = (details) => {
+    throw new HttpError(400, 'Invalid coupon', { coupon_code: code, details });
+  };
+
+  if (!coupon) {
+    reject('Coupon not found');
+  }
+  if (coupon.active !== 1) {
+    reject('Coupon is not active');
+  }
+  if (coupon.expires_at && Date.parse(coupon.expires_at) <= Date.now()) {
+    reject('Coupon has expired');
+  }
+  if (coupon.max_redemptions !== null && coupon.times_redeemed >= coupon.max_redemptions) {
+    reject('Coupon has reached its usage limit');
+  }
+  if (coupon.currency && coupon.currency !== currency) {
+    reject(`Coupon only applies to orders in ${coupon.currency}`);
+  }
+  if (coupon.min_order_value !== null && subtotal < coupon.min_order_value) {
+    reject(`Coupon requires a subtotal of at least ${formatMoney(coupon.min_order_value, currency)} ${currency}`);
+  }
+
+  return coupon;
+};
+
+/**
+ * Discount a coupon gives on a subtotal, in minor units
+ * A fixed amount never takes the subtotal below zero
+ */
+const couponDiscount = (coupon, subtotal) => {
+  if (coupon.percent_off !== null) {
+    return percentOf(subtotal, coupon.percent_off);
+  }
+
+  return Math.min(coupon.amount_off, subtotal);
+};
+
+/**
+ * Count a use of a coupon
+ * Must run in the transaction that checked it with findApplicableCoupon, so concurrent
+ * orders cannot go over its usage limit
+ */
+const redeemCoupon = (coupon) => {
+  return run('UPDATE coupons SET times_redeemed = times_redeemed + 1 WHERE id = ?', [coupon.id]);
+};
+
+/**
+ * Create a coupon
+ * Body: code, percent_off or amount_off, and optionally currency, min_order_value,
+ * expires_at and max_redemptions
+ */
+const createCoupon = async (req, res) => {
+  const validationError = validateCoupon(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid coupon', details: validationError });
+  }
+
+  const { code, percent_off, amount_off, currency = null, min_order_value, expires_at, max_redemptions } = req.body;
+
+  try {
+    const coupon = await withTransaction(async () => {
+      const { lastID } = await run(
+        `INSERT INTO coupons (code, percent_off, amount_off, currency, min_order_value, expires_at, max_redemptions, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          normalizeCode(code),
+          percent_off === undefined ? null : Number(percent_off),
+          amount_off === undefined ? null : toMinorUnits(amount_off, currency),
+          currency,
+          min_order_value === undefined || min_order_value === null ? null : toMinorUnits(min_order_value, currency),
+          expires_at ? new Date(expires_at).toISOString() : null,
+          max_redemptions === undefined ? null : max_redemptions,
+          new Date().toISOString()
+        ]
+      );
+      return get('SELECT * FROM coupons WHERE id = ?', [lastID]);
+    });
+
+    res.status(201).json(formatCoupon(coupon));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('coupons.code')) {
+      return res.status(409).json({ error: 'Coupon already exists' });
+    }
+    sendError(res, err);
+  }
+};
+
+/**
+ * List coupons with pagination, newest first
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const { page, limit, offset } = pagination;
+
+    const { total } = await get('SELECT COUNT(*) as total FROM coupons');
+    const rows = await all('SELECT * FROM coupons ORDER BY id DESC LIMIT ? OFFSET ?', [limit, offset]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      data: rows.map(formatCoupon),
+      pagination: {
+        page,
+        limit,
+        totalCoupons: total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get a coupon by ID
+ */
+const getCouponById = async (req, res) => {
+  try {
+    res.json(formatCoupon(await findCoupon(req)));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Change the expiry, usage limit or active flag of a coupon
+ * The discount itself cannot change, since orders that used the coupon are repriced with it
+ * when their items change
+ */
+const updateCoupon = async (req, res) => {
+  const fixed = ['code', 'percent_off', 'amount_off', 'currency', 'min_order_value'].filter(field => req.body[field] !== undefined);
+  if (fixed.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid coupon',
+      details: `${fixed.join(', ')} cannot be changed; create a new coupon instead`
+    });
+  }
+
+  const validationError = validateCouponLimits(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid coupon', details: validationError });
+  }
+
+  const { expires_at, max_redemptions, active } = req.body;
+
+  try {
+    const coupon = await withTransaction(async () => {
+      const current = await findCoupon(req);
+
+      await run(
+        'UPDATE coupons SET expires_at = ?, max_redemptions = ?, active = ? WHERE id = ?',
+        [
+          expires_at === undefined ? current.expires_at : expires_at && new Date(expires_at).toISOString(),
+          max_redemptions === undefined ? current.max_redemptions : max_redemptions,
+          active === undefined ? current.active : Number(active),
+          current.id
+        ]
+      );
+      return findCoupon(req);
+    });
+
+    res.json(formatCoupon(coupon));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Delete a coupon by ID
+ * Coupons applied to orders cannot be deleted; deactivate them instead
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const coupon = await findCoupon(req);
+      const { orderCount } = await get('SELECT COUNT(*) as orderCount FROM orders WHERE coupon_id = ?', [coupon.id]);
+
+      if (orderCount > 0) {
+        throw new HttpError(409, 'Coupon is used by orders', { order_count: orderCount });
+      }
+
+      await run('DELETE FROM coupons WHERE id = ?', [coupon.id]);
+    });
+
+    res.json({ message: 'Coupon deleted successfully', id: req.params.id });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  findApplicableCoupon,
+  couponDiscount,
+  redeemCoupon,
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+};
@@ -0,0 +1,94 @@
+// CSV - minimal RFC 4180 parsing for uploads and formatting for exports
+// Supports quoted fields with commas, escaped quotes ("") and line breaks
+
+/**
+ * Parse CSV text into records
+ * Each record is { line, values } where line is the 1-based line the record starts on;
+ * blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  endRecord();
+  return records;
+};
+
+// Text starting with one of these is run as a formula by spreadsheet applications
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format one CSV field
+ * Text that a spreadsheet would run as a formula is prefixed with a single quote
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a CSV line, including its CRLF line ending
+ */
+const formatCsvRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
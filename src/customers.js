@@ -0,0 +1,147 @@
+// Customers controller - CRUD for customer records referenced by orders
+const { run, get, all, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { normalizeName } = require('./catalog');
+const { parsePagination } = require('./pagination');
+
+/**
+ * Check whether a write failed on the unique customer name
+ */
+const isDuplicateName = (err) => err.code === 'SQLITE_CONSTRAINT' && err.message.includes('customers.name');
+
+/**
+ * Create a new customer
+ */
+const createCustomer = async (req, res) => {
+  const name = normalizeName(req.body.name);
+  const email = req.body.email || null;
+
+  try {
+    const customer = await withTransaction(async () => {
+      const { lastID } = await run('INSERT INTO customers (name, email) VALUES (?, ?)', [name, email]);
+      return get('SELECT * FROM customers WHERE id = ?', [lastID]);
+    });
+    res.status(201).json(customer);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      const existing = await get('SELECT id FROM customers WHERE name = ?', [name]).catch(() => null);
+      return res.status(409).json({ error: 'Customer already exists', id: existing ? existing.id : null });
+    }
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get all customers with pagination
+ */
+const getCustomers = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { total } = await get('SELECT COUNT(*) as total FROM customers');
+    const rows = await all('SELECT * FROM customers ORDER BY name ASC LIMIT ? OFFSET ?', [limit, offset]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        totalCustomers: total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get a single customer by ID, with the number of orders placed
+ */
+const getCustomerById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const customer = await get('SELECT * FROM customers WHERE id = ?', [id]);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { orderCount } = await get('SELECT COUNT(*) as orderCount FROM orders WHERE customer_id = ?', [id]);
+    res.json({ ...customer, order_count: orderCount });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Update a customer by ID
+ * Orders keep the customer name they were placed with
+ */
+const updateCustomer = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const customer = await withTransaction(async () => {
+      const current = await get('SELECT * FROM customers WHERE id = ?', [id]);
+
+      if (!current) {
+        throw new HttpError(404, 'Customer not found');
+      }
+
+      const updated = {
+        name: req.body.name !== undefined ? req.body.name : current.name,
+        email: req.body.email !== undefined ? req.body.email : current.email
+      };
+
+      await run('UPDATE customers SET name = ?, email = ? WHERE id = ?', [normalizeName(updated.name), updated.email, id]);
+      return get('SELECT * FROM customers WHERE id = ?', [id]);
+    });
+
+    res.json(customer);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ error: 'Customer already exists' });
+    }
+    sendError(res, err);
+  }
+};
+
+/**
+ * Delete a customer by ID
+ * Customers that still have orders cannot be deleted
+ */
+const deleteCustomer = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await withTransaction(async () => {
+      const { orderCount } = await get('SELECT COUNT(*) as orderCount FROM orders WHERE customer_id = ?', [id]);
+
+      if (orderCount > 0) {
+        throw new HttpError(409, 'Customer has orders', { order_count: orderCount });
+      }
+
+      const { changes } = await run('DELETE FROM customers WHERE id = ?', [id]);
+
+      if (changes === 0) {
+        throw new HttpError(404, 'Customer not found');
+      }
+    });
+
+    res.json({ message: 'Customer deleted successfully', id });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+  deleteCustomer
+};
@@ -1,45 +1,364 @@
 // Database configuration and initialization
-// This module sets up SQLite database connection and creates orders table
+// This module sets up the SQLite connection and applies schema migrations
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
 
 const dbPath = process.env.DB_PATH || path.join(__dirname, '../database/orders.db');
 
 // Create and configure database connection
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
-    console.error('Error connecting to database:', err.message);
+    logger.error('Error connecting to database', { err, path: dbPath });
   } else {
-    console.log('Connected to SQLite database');
+    logger.info('Connected to SQLite database', { path: dbPath });
   }
 });
 
-// Initialize database schema
-const initializeDatabase = () => {
+// Attach the failing statement to database errors, for the logs
+const withSql = (err, sql) => Object.assign(err, { sql });
+
+// Emits 'query' with the sql, the seconds SQLite spent on it and whether it failed, after
+// every statement
+const queryEvents = new EventEmitter();
+
+const secondsSince = started => Number(process.hrtime.bigint() - started) / 1e9;
+
+// Promise wrappers around the callback API, used by multi-step operations
+const run = (sql, params = []) => {
+  const started = process.hrtime.bigint();
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      queryEvents.emit('query', { sql, seconds: secondsSince(started), failed: Boolean(err) });
+      if (err) {
+        reject(withSql(err, sql));
+      } else {
+        resolve({ lastID: this.lastID, changes: this.changes });
+      }
+    });
+  });
+};
+
+const get = (sql, params = []) => {
+  const started = process.hrtime.bigint();
   return new Promise((resolve, reject) => {
-    db.run(`
-      CREATE TABLE IF NOT EXISTS orders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        customer_name TEXT NOT NULL,
-        product TEXT NOT NULL,
-        quantity INTEGER NOT NULL,
-        amount DECIMAL(10, 2) NOT NULL,
-        status TEXT NOT NULL CHECK(status IN ('pending', 'processing', 'completed', 'cancelled')),
-        order_date TEXT NOT NULL,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
+    db.get(sql, params, (err, row) => {
+      queryEvents.emit('query', { sql, seconds: secondsSince(started), failed: Boolean(err) });
       if (err) {
-        reject(err);
+        reject(withSql(err, sql));
       } else {
-        console.log('Orders table initialized');
-        resolve();
+        resolve(row);
       }
     });
   });
 };
 
+const all = (sql, params = []) => {
+  const started = process.hrtime.bigint();
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      queryEvents.emit('query', { sql, seconds: secondsSince(started), failed: Boolean(err) });
+      if (err) {
+        reject(withSql(err, sql));
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+};
+
+/**
+ * Iterate over the rows of a query one at a time, without loading the result into memory
+ * Each row is fetched when the consumer asks for it; the statement is finalized when
+ * iteration ends or is abandoned. The query event reports the time spent in SQLite only,
+ * not the time the consumer took between rows
+ */
+const iterate = async function* (sql, params = []) {
+  let seconds = 0;
+  let failed = false;
+  let statement = null;
+
+  // Make one call into SQLite, adding its duration to the total
+  const timed = async (call) => {
+    const started = process.hrtime.bigint();
+    try {
+      return await new Promise(call);
+    } catch (err) {
+      failed = true;
+      throw withSql(err, sql);
+    } finally {
+      seconds += secondsSince(started);
+    }
+  };
+
+  try {
+    statement = await timed((resolve, reject) => {
+      const prepared = db.prepare(sql, params, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(prepared);
+        }
+      });
+    });
+
+    while (true) {
+      const row = await timed((resolve, reject) => {
+        statement.get((err, next) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(next);
+          }
+        });
+      });
+
+      if (row === undefined) {
+        return;
+      }
+      yield row;
+    }
+  } finally {
+    if (statement) {
+      statement.finalize();
+    }
+    queryEvents.emit('query', { sql, seconds, failed });
+  }
+};
+
+// All requests share one connection, so a second BEGIN would fail while a
+// transaction is open, and a stray write would land inside someone else's
+// transaction. Every write goes through withTransaction, queued one at a time.
+let transactionQueue = Promise.resolve();
+
+// Emits 'commit' after every committed transaction
+const transactionEvents = new EventEmitter();
+
+/**
+ * Run `work` inside a transaction, committing on success and rolling back on error
+ * Resolves with whatever `work` resolves with
+ */
+const withTransaction = (work) => {
+  const result = transactionQueue.then(async () => {
+    await run('BEGIN IMMEDIATE');
+    try {
+      const value = await work();
+      await run('COMMIT');
+      transactionEvents.emit('commit');
+      return value;
+    } catch (err) {
+      await run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  });
+
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Run `work` between transactions, so its reads only see committed data
+ * Resolves with whatever `work` resolves with
+ */
+const readCommitted = (work) => {
+  const result = transactionQueue.then(work);
+
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+// Schema migrations - numbered files in migrations/, each with an up and a down function
+// Migrations 001-012 predate the migration system and tolerate tables and columns that already
+// exist, so databases created by earlier versions adopt them without changes
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+/**
+ * Add columns to a table, skipping any that already exist
+ */
+const addColumns = async (table, columns) => {
+  const existing = (await all(`PRAGMA table_info(${table})`)).map(row => row.name);
+
+  for (const column of columns.filter(({ name }) => !existing.includes(name))) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`);
+  }
+};
+
+/**
+ * Drop columns from a table, skipping any that do not exist
+ * SQLite refuses to drop indexed, unique or foreign key columns; rebuild the table for those
+ */
+const dropColumns = async (table, names) => {
+  const existing = (await all(`PRAGMA table_info(${table})`)).map(row => row.name);
+
+  for (const name of names.filter(column => existing.includes(column))) {
+    await run(`ALTER TABLE ${table} DROP COLUMN ${name}`);
+  }
+};
+
+// Passed to the up and down function of every migration
+const migrationHelpers = { run, get, all, addColumns, dropColumns };
+
+/**
+ * Load the migrations in migrations/, oldest first
+ * Files are named <version>_<name>.js, e.g. 001_create_orders.js
+ */
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => /^(\d+)_(\w+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: parseInt(version), name, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = () => {
+  return withTransaction(() => run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `));
+};
+
+/**
+ * Compare the migrations in migrations/ with those applied to the database
+ * `pending` are not applied yet; `unknown` were applied by a newer version of the code
+ */
+const getMigrationStatus = async () => {
+  await ensureMigrationsTable();
+  const applied = await all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  const migrations = loadMigrations();
+  const isApplied = ({ version }) => applied.some(row => row.version === version);
+
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    migrations: migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: isApplied({ version }) ? applied.find(row => row.version === version).applied_at : null
+    })),
+    pending: migrations.filter(migration => !isApplied(migration)).map(({ version, name }) => ({ version, name })),
+    unknown: applied.filter(row => !migrations.some(migration => migration.version === row.version))
+  };
+};
+
+/**
+ * Apply every pending migration, oldest first, each in its own transaction
+ * Resolves with the migrations that were applied
+ */
+const migrate = async () => {
+  await ensureMigrationsTable();
+  const applied = [];
+
+  for (const migration of loadMigrations()) {
+    const ran = await withTransaction(async () => {
+      if (await get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version])) {
+        return false;
+      }
+
+      await migration.up(migrationHelpers);
+      await run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+      return true;
+    });
+
+    if (ran) {
+      applied.push({ version: migration.version, name: migration.name });
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * Revert the `steps` most recently applied migrations, newest first, each in its own transaction
+ * Resolves with the migrations that were reverted
+ */
+const rollback = async (steps = 1) => {
+  await ensureMigrationsTable();
+  const migrations = loadMigrations();
+  const reverted = [];
+
+  for (let step = 0; step < steps; step++) {
+    const last = await withTransaction(async () => {
+      const row = await get('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT 1');
+      if (!row) {
+        return null;
+      }
+
+      const migration = migrations.find(({ version }) => version === row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} (${row.name}) is not in ${MIGRATIONS_DIR}`);
+      }
+
+      await migration.down(migrationHelpers);
+      await run('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+      return { version: row.version, name: row.name };
+    });
+
+    if (!last) {
+      break;
+    }
+    reverted.push(last);
+  }
+
+  return reverted;
+};
+
+// Initialize database schema by applying any pending migrations
+const initializeDatabase = () => migrate();
+
+/**
+ * Make sure the schema matches this version of the code, before the server or a command uses it
+ * Pending migrations are applied when AUTO_MIGRATE=true; otherwise this throws
+ */
+const checkSchema = async () => {
+  const { pending, unknown } = await getMigrationStatus();
+
+  if (unknown.length > 0) {
+    throw new Error(`Database schema is newer than this code (unknown migrations: ${unknown.map(({ version }) => version).join(', ')})`);
+  }
+
+  if (pending.length === 0) {
+    return;
+  }
+
+  if (process.env.AUTO_MIGRATE !== 'true') {
+    throw new Error(`Database schema is behind by ${pending.length} migration(s). Run "npm run migrate" or set AUTO_MIGRATE=true`);
+  }
+
+  const applied = await migrate();
+  logger.info('Applied migrations', { migrations: applied.map(({ version, name }) => `${String(version).padStart(3, '0')}_${name}`) });
+};
+
+/**
+ * Close the connection once the queued transactions have finished
+ */
+const closeDatabase = () => {
+  return readCommitted(() => new Promise((resolve, reject) => {
+    db.close(err => (err ? reject(err) : resolve()));
+  }));
+};
+
 module.exports = {
   db,
-  initializeDatabase
+  run,
+  get,
+  all,
+  iterate,
+  withTransaction,
+  readCommitted,
+  transactionEvents,
+  queryEvents,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  initializeDatabase,
+  checkSchema,
+  closeDatabase
 };
@@ -0,0 +1,34 @@
+// HTTP errors - thrown from business logic and turned into JSON responses by controllers
+const { logger } = require('./logger');
+
+/**
+ * An error that maps to a specific HTTP status and JSON body
+ * `extra` fields are merged into the response next to `error`
+ */
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = { error: message, ...extra };
+  }
+}
+
+/**
+ * Send an error as a JSON response
+ * Anything that is not an HttpError is logged and reported as a database error; the response
+ * carries the request id instead of the error message, to find the log line by
+ */
+const sendError = (res, err) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json(err.body);
+  }
+
+  (res.req.log || logger).error('Database error', { err });
+  res.status(500).json({ error: 'Database error', requestId: res.req.id });
+};
+
+module.exports = {
+  HttpError,
+  sendError
+};
@@ -0,0 +1,51 @@
+// ETags - optimistic concurrency and conditional GETs for orders
+// The ETag is a hash of the representation GET /orders/:id sends, so it changes with everything
+// the order shows, including its customer and line items, and not only with its version column
+const crypto = require('crypto');
+
+/**
+ * Build the ETag of an order from its representation, with its customer and line items
+ */
+const orderETag = (representation) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(representation)).digest('base64url');
+  return `"${hash.slice(0, 27)}"`;
+};
+
+/**
+ * Parse an If-Match / If-None-Match header into a list of tags
+ */
+const parseTags = (header) => {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+/**
+ * Check an If-Match header against the current ETag
+ * A missing header always matches. The comparison is strong, so weak tags never match
+ */
+const ifMatchSatisfied = (header, etag) => {
+  if (header === undefined) {
+    return true;
+  }
+
+  const tags = parseTags(header);
+  return tags.includes('*') || tags.includes(etag);
+};
+
+/**
+ * Check whether an If-None-Match header lists the current ETag
+ * The comparison is weak, so W/ tags match by their opaque value
+ */
+const ifNoneMatchHit = (header, etag) => {
+  if (header === undefined) {
+    return false;
+  }
+
+  const tags = parseTags(header).map(tag => tag.replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etag);
+};
+
+module.exports = {
+  orderETag,
+  ifMatchSatisfied,
+  ifNoneMatchHit
+};
@@ -0,0 +1,119 @@
+// Order export - streams every order matching the GET /orders filters and search as CSV, NDJSON or XLSX
+// Rows are read from SQLite one at a time, so the size of an export is not limited by memory
+const { Readable, pipeline } = require('stream');
+const { iterate } = require('./database');
+const { sendError } = require('./errors');
+const { parseOrderFilters } = require('./filters');
+const { SEARCH_FROM, toMatchQuery, withMatch } = require('./search');
+const { formatCsvRow } = require('./csv');
+const { xlsxRow, xlsxStream } = require('./xlsx');
+const { formatOrder } = require('./money');
+
+// Exported columns, in order; amounts are exact decimal strings as in the API
+// The price breakdown comes last, so the columns of earlier exports keep their position
+const EXPORT_COLUMNS = [
+  'id', 'customer_id', 'customer_name', 'product', 'quantity', 'amount', 'currency', 'status',
+  'order_date', 'cancellation_reason', 'cancelled_at', 'version', 'updated_at',
+  'subtotal', 'discount', 'tax', 'coupon_code', 'tax_region', 'tax_rate'
+];
+
+// Rows are grouped into chunks of about this many characters before they are written
+const CHUNK_SIZE = 64 * 1024;
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    stream: (rows) => batch(lines(rows, formatCsvRow, formatCsvRow(EXPORT_COLUMNS)))
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    stream: (rows) => batch(lines(rows, values => `${JSON.stringify(toObject(values))}\n`))
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    stream: (rows) => xlsxStream('Orders', batch(lines(rows, xlsxRow, xlsxRow(EXPORT_COLUMNS))))
+  }
+};
+
+const toObject = (values) => Object.fromEntries(EXPORT_COLUMNS.map((column, index) => [column, values[index]]));
+
+/**
+ * Format each row with `format`, after an optional header line
+ */
+const lines = async function* (rows, format, header) {
+  if (header !== undefined) {
+    yield header;
+  }
+  for await (const row of rows) {
+    const order = formatOrder(row);
+    yield format(EXPORT_COLUMNS.map(column => order[column]));
+  }
+};
+
+/**
+ * Join small strings into chunks of about CHUNK_SIZE characters
+ */
+const batch = async function* (source) {
+  let chunk = '';
+  for await (const text of source) {
+    chunk += text;
+    if (chunk.length >= CHUNK_SIZE) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  if (chunk) {
+    yield chunk;
+  }
+};
+
+/**
+ * Read the orders to export: the ones matching the filters, newest first, or with q the ones
+ * matching the search as well, best matches first like GET /orders
+ */
+const exportRows = (query) => {
+  const { whereClause, params } = parseOrderFilters(query);
+
+  if (query.q === undefined) {
+    return iterate(`SELECT * FROM orders ${whereClause} ORDER BY order_date DESC, id DESC`, params);
+  }
+
+  const match = toMatchQuery(query.q);
+  return iterate(
+    `SELECT orders.* ${SEARCH_FROM} ${withMatch(whereClause)} ORDER BY bm25(orders_fts) ASC, orders.id DESC`,
+    [...params, match]
+  );
+};
+
+/**
+ * Export orders as a file download
+ * Query: format=csv|ndjson|xlsx, q, plus the GET /orders filters
+ */
+const exportOrders = (req, res) => {
+  const format = req.query.format || 'csv';
+
+  let rows;
+  try {
+    rows = exportRows(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const exporter = EXPORT_FORMATS[format];
+  const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.set('Content-Type', exporter.contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // pipeline waits for the client to read each chunk, and stops reading rows if it disconnects
+  pipeline(Readable.from(exporter.stream(rows)), res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      req.log.error('Error exporting orders', { err });
+    }
+  });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportOrders
+};
@@ -0,0 +1,231 @@
+// Order filters - the query parameters shared by GET /orders, search, export and reports
+// Any order field can be filtered with `field=operator:value`, e.g. status=in:pending,processing
+const { ORDER_STATUSES } = require('./lifecycle');
+const { HttpError } = require('./errors');
+const { isCurrency, comparableAmountSql, comparableAmount } = require('./money');
+
+// Filterable fields and the type their values are parsed as
+const FILTER_FIELDS = {
+  id: 'integer',
+  customer_id: 'integer',
+  customer_name: 'text',
+  product: 'text',
+  quantity: 'integer',
+  subtotal: 'money',
+  discount: 'money',
+  tax: 'money',
+  amount: 'money',
+  currency: 'currency',
+  coupon_code: 'text',
+  tax_region: 'text',
+  status: 'status',
+  order_date: 'date',
+  created_at: 'date',
+  updated_at: 'date',
+  cancelled_at: 'date',
+  deleted_at: 'date'
+};
+
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN',
+  nin: 'NOT IN',
+  like: 'LIKE'
+};
+
+// Operators each type accepts; like matches text with * as a wildcard
+const TYPE_OPERATORS = {
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  money: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  currency: ['eq', 'ne', 'in', 'nin'],
+  status: ['eq', 'ne', 'in', 'nin'],
+  text: Object.keys(OPERATORS),
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like']
+};
+
+// How invalid values are described, for types that are not simply non-empty
+const TYPE_DESCRIPTIONS = {
+  integer: 'an integer',
+  money: 'a decimal amount',
+  currency: 'a supported ISO 4217 currency code'
+};
+
+// Query parameters that are not filters
+const NON_FILTER_PARAMS = ['page', 'limit', 'cursor', 'sort', 'includeTotal', 'q', 'format', 'groupBy'];
+
+// Shorthand filters that predate the filter syntax
+const LEGACY_FILTERS = ['minAmount', 'maxAmount', 'customerId', 'startDate', 'endDate'];
+
+// IN lists longer than this are rejected
+const MAX_LIST_VALUES = 100;
+
+/**
+ * Convert one filter value to its field type, or throw a 400
+ */
+const parseValue = (field, type, value) => {
+  if (type === 'integer' && /^-?\d+$/.test(value)) {
+    return parseInt(value);
+  }
+
+  if (type === 'money' && comparableAmount(value) !== null) {
+    return comparableAmount(value);
+  }
+
+  if (type === 'currency' && isCurrency(value)) {
+    return value;
+  }
+
+  if (type === 'status') {
+    if (!ORDER_STATUSES.includes(value)) {
+      throw new HttpError(400, 'Invalid status filter', { validStatuses: ORDER_STATUSES });
+    }
+    return value;
+  }
+
+  if ((type === 'text' || type === 'date') && value !== '') {
+    return value;
+  }
+
+  throw new HttpError(400, 'Invalid filter value', {
+    field,
+    value,
+    details: `${field} must be ${TYPE_DESCRIPTIONS[type] || `a non-empty ${type}`}`
+  });
+};
+
+/**
+ * Turn a like pattern into SQL: * matches anything, % and _ are literal
+ */
+const toLikePattern = (value) => value.replace(/[\\%_]/g, match => `\\${match}`).replace(/\*/g, '%');
+
+/**
+ * Parse one `operator:value` expression for a field into a condition and its parameters
+ * A value without an operator prefix means eq
+ */
+const parseExpression = (field, expression) => {
+  const type = FILTER_FIELDS[field];
+  const match = /^([a-z]+):(.*)$/s.exec(expression);
+  const operator = match ? match[1] : 'eq';
+  const value = match ? match[2] : expression;
+
+  if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+    throw new HttpError(400, 'Unknown filter operator', { field, operator, operators: TYPE_OPERATORS[type] });
+  }
+
+  if (!TYPE_OPERATORS[type].includes(operator)) {
+    throw new HttpError(400, 'Operator not supported for this field', { field, operator, operators: TYPE_OPERATORS[type] });
+  }
+
+  // Amounts are compared in the same units whatever the currency of the order, so amount=gt:100
+  // means more than 100 dollars for a USD order and more than 100 yen for a JPY one
+  const column = type === 'money' ? comparableAmountSql(`orders.${field}`, 'orders.currency') : `orders.${field}`;
+
+  if (operator === 'in' || operator === 'nin') {
+    const values = value.split(',').map(item => item.trim());
+    if (values.length > MAX_LIST_VALUES) {
+      throw new HttpError(400, 'Invalid filter value', { field, details: `At most ${MAX_LIST_VALUES} values are allowed` });
+    }
+    return {
+      condition: `${column} ${OPERATORS[operator]} (${values.map(() => '?').join(', ')})`,
+      params: values.map(item => parseValue(field, type, item))
+    };
+  }
+
+  if (operator === 'like') {
+    return { condition: `${column} LIKE ? ESCAPE '\\'`, params: [toLikePattern(parseValue(field, type, value))] };
+  }
+
+  return { condition: `${column} ${OPERATORS[operator]} ?`, params: [parseValue(field, type, value)] };
+};
+
+/**
+ * Build the WHERE clause for the order filters in a query string
+ * Supports `field=operator:value` for every field in FILTER_FIELDS (repeat a field to combine
+ * conditions), plus the shorthand minAmount, maxAmount, customerId, startDate and endDate.
+ * Only orders that are not deleted match, or only deleted ones with `trashed`.
+ * Throws a 400 for an unknown field or operator, or an invalid value
+ */
+const parseOrderFilters = (query, { trashed = false } = {}) => {
+  const filters = [trashed ? 'orders.deleted_at IS NOT NULL' : 'orders.deleted_at IS NULL'];
+  const params = [];
+
+  Object.keys(query).forEach((field) => {
+    if (NON_FILTER_PARAMS.includes(field) || LEGACY_FILTERS.includes(field)) {
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(FILTER_FIELDS, field)) {
+      throw new HttpError(400, 'Unknown filter field', { field, filterableFields: Object.keys(FILTER_FIELDS) });
+    }
+
+    const expressions = Array.isArray(query[field]) ? query[field] : [query[field]];
+    expressions.forEach((expression) => {
+      if (typeof expression !== 'string') {
+        throw new HttpError(400, 'Invalid filter value', { field });
+      }
+      // An empty parameter, as sent by a blank form field, does not filter
+      if (expression === '') {
+        return;
+      }
+      const { condition, params: conditionParams } = parseExpression(field, expression);
+      filters.push(condition);
+      params.push(...conditionParams);
+    });
+  });
+
+  // Filter by minimum amount
+  if (query.minAmount) {
+    const minAmount = comparableAmount(query.minAmount);
+    if (minAmount === null || minAmount < 0) {
+      throw new HttpError(400, 'Invalid minAmount parameter');
+    }
+    filters.push(`${comparableAmountSql('orders.amount', 'orders.currency')} >= ?`);
+    params.push(minAmount);
+  }
+
+  // Filter by maximum amount
+  if (query.maxAmount) {
+    const maxAmount = comparableAmount(query.maxAmount);
+    if (maxAmount === null || maxAmount < 0) {
+      throw new HttpError(400, 'Invalid maxAmount parameter');
+    }
+    filters.push(`${comparableAmountSql('orders.amount', 'orders.currency')} <= ?`);
+    params.push(maxAmount);
+  }
+
+  // Filter by customer
+  if (query.customerId) {
+    const customerId = parseInt(query.customerId);
+    if (isNaN(customerId) || customerId < 1) {
+      throw new HttpError(400, 'Invalid customerId parameter');
+    }
+    filters.push('orders.customer_id = ?');
+    params.push(customerId);
+  }
+
+  // Filter by date range - start date
+  if (query.startDate) {
+    filters.push('orders.order_date >= ?');
+    params.push(query.startDate);
+  }
+
+  // Filter by date range - end date
+  if (query.endDate) {
+    filters.push('orders.order_date <= ?');
+    params.push(query.endDate);
+  }
+
+  return {
+    whereClause: 'WHERE ' + filters.join(' AND '),
+    params
+  };
+};
+
+module.exports = {
+  parseOrderFilters
+};
@@ -0,0 +1,152 @@
+// Health - liveness and readiness probes, and graceful shutdown
+// On SIGTERM or SIGINT the server stops accepting connections and answers 503 to its probes.
+// It ends the order streams, then waits up to SHUTDOWN_TIMEOUT_MS for requests in progress
+// before it closes the remaining connections and the database.
+const { version } = require('../package.json');
+const { get, all, loadMigrations, closeDatabase } = require('./database');
+const { logger } = require('./logger');
+const { closeStreams } = require('./stream');
+const { stopWebhookDispatcher } = require('./webhooks');
+const { stopTrashPurge } = require('./trash');
+
+// How long requests in progress get to finish, configurable through the environment
+const shutdownTimeoutMs = () => {
+  const value = Number(process.env.SHUTDOWN_TIMEOUT_MS);
+  return process.env.SHUTDOWN_TIMEOUT_MS !== undefined && Number.isFinite(value) && value >= 0 ? value : 10000;
+};
+
+// A check that takes longer than this fails
+const CHECK_TIMEOUT_MS = 2000;
+
+// How often idle connections are closed while draining
+const IDLE_CHECK_MS = 100;
+
+const startedAt = Date.now();
+
+// The migrations this code ships with, read once at startup so the readiness probe does not touch the disk
+const knownVersions = loadMigrations().map(({ version }) => version);
+
+// The shutdown in progress, if any
+let shutdown = null;
+
+/**
+ * Run a check, failing it when it throws or takes longer than CHECK_TIMEOUT_MS
+ * A check resolves with details for the report, and ok: false when they show a problem
+ */
+const runCheck = async (check) => {
+  const started = process.hrtime.bigint();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+  });
+
+  try {
+    const { ok = true, ...details } = await Promise.race([check(), timeout]);
+    return { status: ok ? 'OK' : 'Failing', latencyMs: Number(process.hrtime.bigint() - started) / 1e6, ...details };
+  } catch (err) {
+    return { status: 'Failing', error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const checkDatabase = async () => {
+  await get('SELECT 1');
+  return {};
+};
+
+// Only reads schema_migrations; unlike getMigrationStatus it never creates the table or takes a write lock
+const checkMigrations = async () => {
+  const applied = (await all('SELECT version FROM schema_migrations ORDER BY version ASC')).map(row => row.version);
+  const pending = knownVersions.filter(known => !applied.includes(known));
+  const unknown = applied.filter(appliedVersion => !knownVersions.includes(appliedVersion));
+
+  return {
+    ok: pending.length === 0 && unknown.length === 0,
+    currentVersion: applied.length > 0 ? applied[applied.length - 1] : 0,
+    pending: pending.length,
+    unknown: unknown.length
+  };
+};
+
+/**
+ * Describe the process
+ */
+const processReport = () => ({
+  timestamp: new Date().toISOString(),
+  version,
+  uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000)
+});
+
+/**
+ * Liveness probe - 200 while the process is serving, 503 once it is shutting down
+ * Does not touch the database; restarting would not fix it
+ */
+const getLiveness = (req, res) => {
+  res.status(shutdown ? 503 : 200).json({ status: shutdown ? 'Shutting down' : 'OK', ...processReport() });
+};
+
+/**
+ * Readiness probe - 200 when the database answers and its schema is up to date, otherwise 503
+ */
+const getReadiness = async (req, res) => {
+  const [database, migrations] = await Promise.all([runCheck(checkDatabase), runCheck(checkMigrations)]);
+  const healthy = database.status === 'OK' && migrations.status === 'OK';
+  const status = shutdown ? 'Shutting down' : healthy ? 'OK' : 'Failing';
+
+  res.status(status === 'OK' ? 200 : 503).json({ status, ...processReport(), checks: { database, migrations } });
+};
+
+/**
+ * Middleware - ask clients to close keep-alive connections once the server is shutting down
+ */
+const drainConnections = (req, res, next) => {
+  if (shutdown) {
+    res.set('Connection', 'close');
+  }
+  next();
+};
+
+const drain = async (server, signal) => {
+  const timeoutMs = shutdownTimeoutMs();
+  logger.info('Shutting down', { signal, timeoutMs });
+
+  stopTrashPurge();
+  const dispatcherStopped = stopWebhookDispatcher();
+  const closed = new Promise(resolve => server.close(() => resolve()));
+
+  // Streams never end on their own
+  closeStreams();
+
+  // Keep-alive connections whose requests finish while draining would otherwise stay open until they time out
+  const idleTimer = setInterval(() => server.closeIdleConnections(), IDLE_CHECK_MS);
+  const timer = setTimeout(() => {
+    logger.warn('Requests still in progress at the shutdown timeout; closing their connections');
+    server.closeAllConnections();
+  }, timeoutMs);
+
+  await closed;
+  clearInterval(idleTimer);
+  clearTimeout(timer);
+  await dispatcherStopped;
+  await closeDatabase();
+  logger.info('Shutdown complete');
+};
+
+/**
+ * Shut the server down gracefully; resolves once the database is closed
+ * Calling it again returns the shutdown in progress
+ */
+const shutdownServer = (server, signal) => {
+  if (!shutdown) {
+    shutdown = drain(server, signal);
+  }
+  return shutdown;
+};
+
+module.exports = {
+  getLiveness,
+  getReadiness,
+  drainConnections,
+  shutdownServer
+};
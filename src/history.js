@@ -0,0 +1,106 @@
+// Order history - audit trail of every change made to an order
+// Events are kept after the order itself is deleted
+const { run, all } = require('./database');
+const { enqueueOrderEvent } = require('./webhooks');
+const { formatOrder } = require('./money');
+
+/**
+ * Identify the client making a request
+ * Uses the name of the authenticated API key, otherwise the X-Client-Id header
+ * or the remote address
+ */
+const getActor = (req) => {
+  if (req.apiKey) {
+    return req.apiKey.name;
+  }
+
+  return req.get('X-Client-Id') || req.ip;
+};
+
+// Bookkeeping columns that change on every write and are not reported as changes
+const IGNORED_FIELDS = ['version', 'updated_at'];
+
+/**
+ * Compare two versions of an order row
+ * Returns only the fields that changed, as separate before/after objects
+ */
+const diffOrders = (before, after) => {
+  const changedBefore = {};
+  const changedAfter = {};
+
+  Object.keys(after).forEach((field) => {
+    if (!IGNORED_FIELDS.includes(field) && before[field] !== after[field]) {
+      changedBefore[field] = before[field];
+      changedAfter[field] = after[field];
+    }
+  });
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+/**
+ * Record an order event
+ * `before` is null for created orders and `after` is null for deleted orders.
+ * Updates that did not change any field are not recorded.
+ * Also queues the matching webhook event, in the caller's transaction.
+ */
+const recordOrderEvent = async (orderId, eventType, before, after, actor) => {
+  let values = { before, after };
+
+  if (eventType === 'updated') {
+    values = diffOrders(before, after);
+    if (Object.keys(values.after).length === 0) {
+      return;
+    }
+  }
+
+  await run(
+    `INSERT INTO order_events (order_id, event_type, before_values, after_values, actor, created_at, status, currency)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      orderId,
+      eventType,
+      values.before ? JSON.stringify(values.before) : null,
+      values.after ? JSON.stringify(values.after) : null,
+      actor,
+      new Date().toISOString(),
+      (after || before).status,
+      (after || before).currency
+    ]
+  );
+  await enqueueOrderEvent(eventType, before, after);
+};
+
+/**
+ * Convert an order_events row to its API representation
+ * Amounts are recorded in minor units and formatted in the currency of the order
+ */
+const formatOrderEvent = (row) => ({
+  id: row.id,
+  order_id: row.order_id,
+  event_type: row.event_type,
+  before: row.before_values ? formatOrder(JSON.parse(row.before_values), row.currency) : null,
+  after: row.after_values ? formatOrder(JSON.parse(row.after_values), row.currency) : null,
+  actor: row.actor,
+  created_at: row.created_at
+});
+
+/**
+ * Load the event timeline for an order, oldest first
+ */
+const getOrderEvents = async (orderId) => {
+  const rows = await all(
+    'SELECT * FROM order_events WHERE order_id = ? ORDER BY id ASC',
+    [orderId]
+  );
+
+  return rows.map(formatOrderEvent);
+};
+
+module.exports = {
+  getActor,
+  diffOrders,
+  recordOrderEvent,
+  formatOrderEvent,
+  getOrderEvents
+};
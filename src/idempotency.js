@@ -0,0 +1,157 @@
+// Idempotency - lets clients retry POST requests safely with an Idempotency-Key header
+// The first successful response is stored and replayed for retries with the same key
+const crypto = require('crypto');
+const { run, get, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+
+// How long a key is remembered, configurable with IDEMPOTENCY_KEY_TTL_HOURS
+const ttlHours = () => Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a request may hold its key before a retry takes the key over, configurable with
+// IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS. Covers requests that never finished, e.g. after a crash
+const inProgressTimeoutSeconds = () => Number(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS) || 60;
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads always match
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint a request by method, path and body
+ */
+const fingerprint = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.path}\n${canonicalize(req.body)}`)
+    .digest('hex');
+};
+
+/**
+ * Claim a key for this request, or return the stored record for a retry
+ * Keys are scoped to the API key that sent them. A claim that has been in progress for longer than
+ * the timeout is taken over. Resolves with { existing } for a retry, or with { reservedAt }, which
+ * identifies the claim when the response is stored
+ */
+const reserveKey = (scope, key, requestFingerprint) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - inProgressTimeoutSeconds() * 1000);
+
+  return withTransaction(async () => {
+    await run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [now.toISOString()]);
+    await run(
+      'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND status_code IS NULL AND created_at <= ?',
+      [scope, key, staleBefore.toISOString()]
+    );
+
+    const existing = await get(
+      'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+      [scope, key]
+    );
+
+    if (existing) {
+      return { existing };
+    }
+
+    const expiresAt = new Date(now.getTime() + ttlHours() * 60 * 60 * 1000);
+    await run(
+      `INSERT INTO idempotency_keys (scope, idempotency_key, fingerprint, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [scope, key, requestFingerprint, now.toISOString(), expiresAt.toISOString()]
+    );
+    return { reservedAt: now.toISOString() };
+  });
+};
+
+/**
+ * Store the response and its ETag for a reserved key
+ * Failed requests release the key so the client can fix the request and retry.
+ * A claim taken over by a retry meanwhile is left alone
+ */
+const completeKey = (scope, key, reservedAt, statusCode, body, etag) => {
+  return withTransaction(async () => {
+    if (statusCode >= 200 && statusCode < 300) {
+      await run(
+        `UPDATE idempotency_keys SET status_code = ?, response_body = ?, etag = ?
+         WHERE scope = ? AND idempotency_key = ? AND created_at = ?`,
+        [statusCode, JSON.stringify(body), etag || null, scope, key, reservedAt]
+      );
+    } else {
+      await run(
+        'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND created_at = ?',
+        [scope, key, reservedAt]
+      );
+    }
+  });
+};
+
+/**
+ * Middleware - honor the Idempotency-Key header
+ * A retry with the same payload replays the stored response; reusing a key
+ * with a different payload returns 422, and a retry while the first request
+ * is still running returns 409 until the in-progress timeout has passed
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > 255) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key header', constraints: '1-255 characters' });
+  }
+
+  const scope = req.apiKey ? String(req.apiKey.id) : '';
+  const requestFingerprint = fingerprint(req);
+
+  let reservedAt;
+
+  try {
+    const reservation = await reserveKey(scope, key, requestFingerprint);
+    const { existing } = reservation;
+    reservedAt = reservation.reservedAt;
+
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) {
+        throw new HttpError(422, 'Idempotency-Key was already used with a different request');
+      }
+
+      if (existing.status_code === null) {
+        throw new HttpError(409, 'A request with this Idempotency-Key is still in progress');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      if (existing.etag) {
+        res.set('ETag', existing.etag);
+      }
+      return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+    }
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  // Store the response before it is sent, so an immediate retry sees it
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    completeKey(scope, key, reservedAt, res.statusCode, body, res.get('ETag'))
+      .catch(err => req.log.error('Error storing idempotent response', { err }))
+      .then(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,180 @@
+// Bulk import - creates many orders from a CSV or NDJSON upload in one transaction
+// Every row goes through the same validation as POST /orders
+const { run, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { parseCsv } = require('./csv');
+const { validateNewOrder, insertOrder } = require('./orders');
+
+// Upload formats, by Content-Type
+const CSV_TYPES = ['text/csv'];
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+
+// all-or-nothing rolls the whole import back when any row is rejected, skip imports the valid rows
+const IMPORT_MODES = ['all-or-nothing', 'skip'];
+
+// CSV columns describe single-product orders; numeric columns are converted before validation,
+// while amounts stay decimal strings so they are parsed exactly. amount is the price before
+// any coupon and tax
+const CSV_COLUMNS = [
+  'customer_id', 'customer_name', 'product', 'quantity', 'amount', 'currency', 'status', 'order_date',
+  'coupon_code', 'tax_region'
+];
+const NUMERIC_COLUMNS = ['customer_id', 'quantity'];
+
+/**
+ * Turn a CSV upload into rows of { row, order }
+ * The first line is the header; row is the line number in the file
+ */
+const csvRows = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    throw new HttpError(400, 'Invalid CSV', { details: err.message });
+  }
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...data] = records;
+  const columns = header.values.map(column => column.trim().toLowerCase());
+  const unknown = columns.filter(column => !CSV_COLUMNS.includes(column));
+
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Unknown CSV columns', { columns: unknown, allowedColumns: CSV_COLUMNS });
+  }
+
+  return data.map(({ line, values }) => {
+    const order = {};
+
+    columns.forEach((column, index) => {
+      const value = (values[index] || '').trim();
+      if (value === '') {
+        return;
+      }
+      order[column] = NUMERIC_COLUMNS.includes(column) && !isNaN(value) ? Number(value) : value;
+    });
+
+    return { row: line, order };
+  });
+};
+
+/**
+ * Turn an NDJSON upload into rows of { row, order }, one JSON order per line
+ * Lines that are not valid JSON are kept with a parse error
+ */
+const ndjsonRows = (text) => {
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ row: index + 1, line: line.trim() }))
+    .filter(({ line }) => line !== '')
+    .map(({ row, line }) => {
+      try {
+        return { row, order: JSON.parse(line) };
+      } catch (err) {
+        return { row, parseError: err.message };
+      }
+    });
+};
+
+/**
+ * Validate and insert one row inside its own savepoint
+ * Resolves with the created order, or with an error entry for the report
+ */
+const importRow = async ({ row, order, parseError }, req) => {
+  if (parseError) {
+    return { error: { row, error: 'Invalid JSON', details: parseError } };
+  }
+
+  const invalid = validateNewOrder(order);
+  if (invalid) {
+    return { error: { row, ...invalid } };
+  }
+
+  await run('SAVEPOINT import_row');
+  try {
+    const created = await insertOrder(order, req);
+    await run('RELEASE import_row');
+    return { created };
+  } catch (err) {
+    await run('ROLLBACK TO import_row');
+    await run('RELEASE import_row');
+
+    if (err instanceof HttpError) {
+      return { error: { row, ...err.body } };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Import orders from a CSV (text/csv) or NDJSON (application/x-ndjson) upload
+ * Query: mode=all-or-nothing|skip (default all-or-nothing), dryRun=true to validate without writing
+ */
+const importOrders = async (req, res) => {
+  const mode = req.query.mode || 'all-or-nothing';
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+  const isCsv = req.is(CSV_TYPES);
+  if (!isCsv && !req.is(NDJSON_TYPES)) {
+    return res.status(415).json({ error: 'Unsupported Media Type', supported: [...CSV_TYPES, ...NDJSON_TYPES] });
+  }
+
+  try {
+    const text = typeof req.body === 'string' ? req.body : '';
+    const rows = isCsv ? csvRows(text) : ndjsonRows(text);
+
+    if (rows.length === 0) {
+      throw new HttpError(400, 'No rows to import');
+    }
+
+    const report = await withTransaction(async () => {
+      const created = [];
+      const errors = [];
+
+      // The outer savepoint lets a dry run or a rejected all-or-nothing import undo every row
+      await run('SAVEPOINT order_import');
+
+      for (const row of rows) {
+        const result = await importRow(row, req);
+        if (result.error) {
+          errors.push(result.error);
+        } else {
+          created.push(result.created);
+        }
+      }
+
+      const rollBack = dryRun || (mode === 'all-or-nothing' && errors.length > 0);
+      if (rollBack) {
+        await run('ROLLBACK TO order_import');
+      }
+      await run('RELEASE order_import');
+
+      return {
+        mode,
+        dryRun,
+        totalRows: rows.length,
+        accepted: created.length,
+        rejected: errors.length,
+        imported: rollBack ? 0 : created.length,
+        orderIds: rollBack ? [] : created.map(order => order.id),
+        errors
+      };
+    });
+
+    if (mode === 'all-or-nothing' && report.rejected > 0) {
+      return res.status(422).json({ error: 'Import rejected', ...report });
+    }
+
+    res.status(report.imported > 0 ? 201 : 200).json(report);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  IMPORT_MODES,
+  CSV_TYPES,
+  NDJSON_TYPES,
+  importOrders
+};
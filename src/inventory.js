@@ -0,0 +1,277 @@
+// Inventory - stock levels of products, kept with a ledger of every stock movement
+// Only products with an inventory record are tracked; the first adjustment starts tracking one.
+// Orders reserve stock for their items while pending or processing, commit it when completed
+// (the units leave on_hand) and release it when cancelled or deleted. Movements are written in
+// the transaction of the order change that caused them.
+const { run, get, all, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { parsePagination } = require('./pagination');
+const { getActor } = require('./history');
+
+// Order statuses that hold stock
+const RESERVING_STATUSES = ['pending', 'processing'];
+
+const INVENTORY_QUERY = `
+  SELECT inventory.product_id, products.name AS product, products.sku, inventory.on_hand, inventory.reserved,
+    inventory.on_hand - inventory.reserved AS available, inventory.updated_at
+  FROM inventory JOIN products ON products.id = inventory.product_id
+`;
+
+/**
+ * Write a movement to the stock ledger
+ */
+const recordMovement = (productId, orderId, type, quantity, actor, reason = null) => {
+  return run(
+    `INSERT INTO stock_movements (product_id, order_id, type, quantity, reason, actor, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [productId, orderId, type, quantity, reason, actor, new Date().toISOString()]
+  );
+};
+
+/**
+ * Units of each product an order holds, by product id
+ */
+const heldByOrder = async (orderId) => {
+  const rows = await all(
+    `SELECT product_id, SUM(CASE type WHEN 'reservation' THEN quantity ELSE -quantity END) AS held
+     FROM stock_movements WHERE order_id = ? AND type != 'adjustment' GROUP BY product_id`,
+    [orderId]
+  );
+  return new Map(rows.filter(({ held }) => held !== 0).map(({ product_id, held }) => [product_id, held]));
+};
+
+/**
+ * Units of each tracked product in the items of an order, by product id
+ */
+const unitsOfItems = async (orderId) => {
+  const rows = await all(
+    `SELECT order_items.product_id, SUM(order_items.quantity) AS quantity
+     FROM order_items JOIN inventory ON inventory.product_id = order_items.product_id
+     WHERE order_items.order_id = ? GROUP BY order_items.product_id`,
+    [orderId]
+  );
+  return new Map(rows.map(({ product_id, quantity }) => [product_id, quantity]));
+};
+
+/**
+ * Units of each tracked product an order should hold, by product id
+ */
+const neededByOrder = async (order) => {
+  if (!order || order.deleted_at || !RESERVING_STATUSES.includes(order.status)) {
+    return new Map();
+  }
+  return unitsOfItems(order.id);
+};
+
+/**
+ * Reserve or release stock so an order holds what it needs
+ * Throws a 409 listing every product without enough available stock
+ */
+const reconcileStock = async (orderId, held, needed, actor) => {
+  const now = new Date().toISOString();
+  const changes = [...new Set([...held.keys(), ...needed.keys()])]
+    .map(productId => ({ productId, change: (needed.get(productId) || 0) - (held.get(productId) || 0) }))
+    .filter(({ change }) => change !== 0);
+  const shortages = [];
+
+  for (const { productId, change } of changes) {
+    if (change < 0) {
+      await run('UPDATE inventory SET reserved = reserved - ?, updated_at = ? WHERE product_id = ?', [-change, now, productId]);
+      await recordMovement(productId, orderId, 'release', -change, actor);
+      continue;
+    }
+
+    // The availability check and the reservation are one statement, and writes are serialized,
+    // so concurrent orders cannot reserve the same units
+    const { changes: reserved } = await run(
+      'UPDATE inventory SET reserved = reserved + ?, updated_at = ? WHERE product_id = ? AND on_hand - reserved >= ?',
+      [change, now, productId, change]
+    );
+
+    if (reserved === 0) {
+      const { product, available } = await get(`${INVENTORY_QUERY} WHERE inventory.product_id = ?`, [productId]);
+      shortages.push({ product_id: productId, product, requested: change, available });
+    } else {
+      await recordMovement(productId, orderId, 'reservation', change, actor);
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw new HttpError(409, 'Insufficient stock', { items: shortages });
+  }
+};
+
+/**
+ * Bring the stock an order holds in line with its status and items
+ * Must run in the transaction that changed the order. While the order is pending or processing
+ * it holds what its items need, once completed what it held leaves the stock, and otherwise
+ * what it held is released. Pass `created` for a new order: one created as completed reserves
+ * its units first, so its stock is checked and taken out like that of any other order.
+ * Throws a 409 listing every product without enough available stock
+ */
+const syncOrderStock = async (orderId, actor, { created = false } = {}) => {
+  const order = await get('SELECT id, status, deleted_at FROM orders WHERE id = ?', [orderId]);
+  let held = await heldByOrder(orderId);
+
+  if (order && order.status === 'completed') {
+    if (created) {
+      await reconcileStock(orderId, held, await unitsOfItems(orderId), actor);
+      held = await heldByOrder(orderId);
+    }
+
+    const now = new Date().toISOString();
+    for (const [productId, quantity] of held) {
+      await run(
+        'UPDATE inventory SET on_hand = on_hand - ?, reserved = reserved - ?, updated_at = ? WHERE product_id = ?',
+        [quantity, quantity, now, productId]
+      );
+      await recordMovement(productId, orderId, 'commit', quantity, actor);
+    }
+    return;
+  }
+
+  await reconcileStock(orderId, held, await neededByOrder(order), actor);
+};
+
+/**
+ * Load the inventory of the product in the :productId route parameter, or throw a 404
+ */
+const findInventory = async (req) => {
+  const row = await get(`${INVENTORY_QUERY} WHERE inventory.product_id = ?`, [req.params.productId]);
+  if (!row) {
+    throw new HttpError(404, 'Inventory not found', { details: 'The product is not tracked; adjust its stock to start tracking it' });
+  }
+  return row;
+};
+
+/**
+ * List the stock levels of tracked products, by product name
+ * Query: page, limit, and lowStock=<n> for products with at most n units available
+ */
+const getInventory = async (req, res) => {
+  const lowStock = req.query.lowStock === undefined ? null : Number(req.query.lowStock);
+
+  try {
+    const pagination = parsePagination(req.query);
+    const { page, limit, offset } = pagination;
+    const where = lowStock === null ? '' : 'WHERE inventory.on_hand - inventory.reserved <= ?';
+    const params = lowStock === null ? [] : [lowStock];
+
+    const { total } = await get(`SELECT COUNT(*) as total FROM inventory ${where}`, params);
+    const rows = await all(`${INVENTORY_QUERY} ${where} ORDER BY products.name ASC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        totalProducts: total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get the stock level of one product
+ */
+const getProductInventory = async (req, res) => {
+  try {
+    res.json(await findInventory(req));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * List the stock movements of a product, newest first
+ */
+const getStockMovements = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const inventory = await findInventory(req);
+
+    const { total } = await get('SELECT COUNT(*) as total FROM stock_movements WHERE product_id = ?', [inventory.product_id]);
+    const rows = await all(
+      'SELECT * FROM stock_movements WHERE product_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+      [inventory.product_id, pagination.limit, pagination.offset]
+    );
+    const totalPages = Math.ceil(total / pagination.limit);
+
+    res.json({
+      data: rows,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        totalMovements: total,
+        totalPages,
+        hasNextPage: pagination.page < totalPages,
+        hasPreviousPage: pagination.page > 1
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Adjust the stock of a product, e.g. for a delivery, breakage or a stock count
+ * Body: quantity (units to add, negative to remove) or on_hand (the counted stock), and a reason.
+ * The first adjustment of a product starts tracking it
+ */
+const adjustInventory = async (req, res) => {
+  const { quantity, on_hand, reason } = req.body;
+
+  if ((quantity === undefined) === (on_hand === undefined)) {
+    return res.status(400).json({ error: 'Invalid adjustment', details: 'Send either quantity or on_hand' });
+  }
+
+  if (quantity === 0) {
+    return res.status(400).json({ error: 'Invalid adjustment', details: 'quantity must not be 0' });
+  }
+
+  try {
+    const inventory = await withTransaction(async () => {
+      const product = await get('SELECT id FROM products WHERE id = ?', [req.params.productId]);
+      if (!product) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      const now = new Date().toISOString();
+      await run('INSERT OR IGNORE INTO inventory (product_id, updated_at) VALUES (?, ?)', [product.id, now]);
+      const current = await get('SELECT on_hand, reserved FROM inventory WHERE product_id = ?', [product.id]);
+      const change = quantity !== undefined ? quantity : on_hand - current.on_hand;
+
+      if (current.on_hand + change < current.reserved) {
+        throw new HttpError(409, 'Adjustment leaves less stock than is reserved', {
+          on_hand: current.on_hand + change,
+          reserved: current.reserved
+        });
+      }
+
+      if (change !== 0) {
+        await run('UPDATE inventory SET on_hand = on_hand + ?, updated_at = ? WHERE product_id = ?', [change, now, product.id]);
+        await recordMovement(product.id, null, 'adjustment', change, getActor(req), reason.trim());
+      }
+
+      return findInventory(req);
+    });
+
+    res.status(201).json(inventory);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  syncOrderStock,
+  getInventory,
+  getProductInventory,
+  getStockMovements,
+  adjustInventory
+};
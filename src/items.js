@@ -0,0 +1,179 @@
+// Order items - line items that make up an order
+// The order row keeps a summary (product, total quantity, amount) computed from its lines.
+// Unit prices are stored in the minor units of the order's currency
+const { run, get, all } = require('./database');
+const { resolveProduct, findProduct } = require('./catalog');
+const { toMinorUnits, formatMoney, moneyError } = require('./money');
+const { repriceOrder } = require('./pricing');
+
+/**
+ * Validate the unit_price of a line item that matches its schema against the order's currency
+ * unit_price may be left out to use the catalog price of the product, see applyCatalogPrices.
+ * Returns an error message, or null when the item is valid
+ */
+const validateItem = ({ unit_price }, currency) => {
+  if (unit_price !== undefined && toMinorUnits(unit_price, currency) === null) {
+    return moneyError('unit_price', currency);
+  }
+
+  return null;
+};
+
+/**
+ * Validate the unit prices of a list of line items
+ * Returns a list of { index, error } entries, empty when every item is valid
+ */
+const validateItems = (items, currency) => {
+  return items
+    .map((item, index) => ({ index, error: validateItem(item, currency) }))
+    .filter(result => result.error);
+};
+
+/**
+ * Convert the unit price of a validated line item sent by a client to minor units
+ */
+const itemInMinorUnits = (item, currency) => {
+  return item.unit_price === undefined ? item : { ...item, unit_price: toMinorUnits(item.unit_price, currency) };
+};
+
+/**
+ * Give line items sent without a unit_price the catalog price of their product
+ * Only prices in the order's currency are used. Returns the items, and a list of
+ * { index, error } entries for the ones left without a price
+ */
+const applyCatalogPrices = async (items, currency) => {
+  const priced = [];
+  const errors = [];
+
+  for (const [index, item] of items.entries()) {
+    if (item.unit_price !== undefined) {
+      priced.push(item);
+      continue;
+    }
+
+    const product = await findProduct(item);
+    if (product && product.unit_price !== null && product.currency === currency) {
+      priced.push({ ...item, unit_price: product.unit_price });
+    } else {
+      errors.push({ index, error: `unit_price is required, the product has no catalog price in ${currency}` });
+      priced.push(item);
+    }
+  }
+
+  return { items: priced, errors };
+};
+
+/**
+ * Build the line items for an order given as a product, quantity and amount, with the amount in
+ * minor units
+ * The amount is shared evenly between the units. When it does not divide, the remainder goes on a
+ * second line one minor unit dearer, e.g. 10.00 for 3 is 2 x 3.33 + 1 x 3.34, so the lines add up
+ * to the amount. The amount must be at least one minor unit per unit, see legacyAmountError
+ */
+const itemsFromLegacyOrder = ({ product, product_id, quantity, amount }) => {
+  const unitPrice = Math.floor(amount / quantity);
+  const remainder = amount - unitPrice * quantity;
+
+  return [
+    { product, product_id, quantity: quantity - remainder, unit_price: unitPrice },
+    { product, product_id, quantity: remainder, unit_price: unitPrice + 1 }
+  ].filter(line => line.quantity > 0);
+};
+
+/**
+ * Check that an amount in minor units leaves every unit of a quantity a positive price
+ * Returns an error message, or null when itemsFromLegacyOrder can split it
+ */
+const legacyAmountError = (quantity, amount, currency) => {
+  if (amount >= quantity) {
+    return null;
+  }
+
+  return `amount must be at least ${formatMoney(quantity, currency)} ${currency} for a quantity of ${quantity}`;
+};
+
+/**
+ * Whether the line items of an order are all of one product, so that its summary describes them
+ */
+const isOneProduct = (items) => new Set(items.map(item => item.product_id || item.product)).size <= 1;
+
+/**
+ * Compute the order summary columns from its line items
+ */
+const summarizeItems = (items) => ({
+  product: items.map(item => item.product).join(', '),
+  quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+  amount: items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0)
+});
+
+/**
+ * Link each line item to its product record
+ * Products given by name are created when they do not exist yet
+ */
+const resolveItems = async (items) => {
+  const resolved = [];
+
+  for (const item of items) {
+    const product = await resolveProduct(item);
+    resolved.push({
+      product_id: product.id,
+      product: product.name,
+      quantity: item.quantity,
+      unit_price: item.unit_price
+    });
+  }
+
+  return resolved;
+};
+
+/**
+ * Insert line items for an order
+ */
+const insertItems = async (orderId, items) => {
+  for (const item of items) {
+    await run(
+      'INSERT INTO order_items (order_id, product_id, product, quantity, unit_price) VALUES (?, ?, ?, ?, ?)',
+      [orderId, item.product_id || null, item.product, item.quantity, item.unit_price]
+    );
+  }
+};
+
+/**
+ * Load the line items of an order
+ */
+const getItems = (orderId) => {
+  return all(
+    'SELECT id, product_id, product, quantity, unit_price FROM order_items WHERE order_id = ? ORDER BY id ASC',
+    [orderId]
+  );
+};
+
+/**
+ * Recompute the order summary and totals after its line items changed
+ */
+const syncOrderFromItems = async (orderId) => {
+  const order = await get('SELECT * FROM orders WHERE id = ?', [orderId]);
+  const { product, quantity, amount: subtotal } = summarizeItems(await getItems(orderId));
+  const { discount, tax, amount } = await repriceOrder(order, subtotal);
+
+  await run(
+    `UPDATE orders SET product = ?, quantity = ?, subtotal = ?, discount = ?, tax = ?, amount = ?,
+       version = version + 1, updated_at = ? WHERE id = ?`,
+    [product, quantity, subtotal, discount, tax, amount, new Date().toISOString(), orderId]
+  );
+};
+
+module.exports = {
+  validateItem,
+  validateItems,
+  itemInMinorUnits,
+  applyCatalogPrices,
+  itemsFromLegacyOrder,
+  legacyAmountError,
+  isOneProduct,
+  summarizeItems,
+  resolveItems,
+  insertItems,
+  getItems,
+  syncOrderFromItems
+};
@@ -0,0 +1,94 @@
+// API keys controller - admin endpoints to issue, list and revoke keys
+// Run directly to issue a key from the command line: node src/keys.js <name> <role>
+require('dotenv').config();
+const { run, get, all, withTransaction, checkSchema, db } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { ROLES, issueApiKey } = require('./auth');
+const { openApiDocument } = require('./openapi');
+const { validateValue } = require('./validation');
+
+/**
+ * Issue a new API key
+ * The plaintext key is only returned in this response
+ */
+const createKey = async (req, res) => {
+  try {
+    const record = await issueApiKey(req.body.name.trim(), req.body.role);
+    res.status(201).json(record);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * List all API keys without their secrets
+ */
+const getKeys = async (req, res) => {
+  try {
+    const rows = await all(
+      'SELECT id, name, role, key_prefix, created_at, revoked_at FROM api_keys ORDER BY id ASC'
+    );
+    res.json({ data: rows });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Revoke an API key by ID
+ * Revoked keys are kept for reference but can no longer authenticate
+ */
+const revokeKey = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const record = await withTransaction(async () => {
+      const { changes } = await run(
+        'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), id]
+      );
+
+      if (changes === 0) {
+        throw new HttpError(404, 'API key not found');
+      }
+
+      return get('SELECT id, name, role, key_prefix, created_at, revoked_at FROM api_keys WHERE id = ?', [id]);
+    });
+
+    res.json(record);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Issue a key from the command line, e.g. to create the first admin key
+const main = async () => {
+  const [name, role = 'admin'] = process.argv.slice(2);
+  const errors = validateValue(openApiDocument.components.schemas.NewApiKey, { name, role }, []);
+
+  if (errors.length > 0) {
+    console.error(`Usage: npm run keys:create -- <name> [${ROLES.join('|')}]\n${errors.map(({ error }) => error).join('\n')}`);
+    process.exit(1);
+  }
+
+  try {
+    await checkSchema();
+    const record = await issueApiKey(name.trim(), role);
+    console.log(`\n🔑 Issued ${record.role} key "${record.name}" (id ${record.id}):\n\n   ${record.key}\n`);
+    console.log('Store it now - it cannot be shown again.');
+    db.close();
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createKey,
+  getKeys,
+  revokeKey
+};
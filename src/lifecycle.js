@@ -0,0 +1,28 @@
+// Order lifecycle - defines the allowed status transitions for an order
+// pending -> processing -> completed, cancel allowed only before completion
+const ORDER_STATUSES = ['pending', 'processing', 'completed', 'cancelled'];
+
+// Statuses an order may be created or imported with; cancelled orders come only from a
+// cancellation, which records its reason
+const INITIAL_STATUSES = ['pending', 'processing', 'completed'];
+
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+/**
+ * Check whether an order may move from one status to another
+ */
+const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  INITIAL_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition
+};
@@ -0,0 +1,99 @@
+// Structured logging - one JSON object per line on stdout
+// Each line has a time, a level and a message, plus the fields bound to the logger and those
+// passed with the message. Values of sensitive fields are redacted. LOG_LEVEL picks the lowest
+// level written (debug, info, warn, error or silent); under test the default is silent.
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Fields whose values never reach the log, wherever they are nested
+const SENSITIVE_FIELDS = /authorization|cookie|password|secret|token|api_?key|^key$/i;
+
+// Client-supplied request ids are kept when they are short and plain
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const logLevel = () => {
+  const fallback = process.env.NODE_ENV === 'test' ? 'silent' : 'info';
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LEVELS, level) ? level : fallback;
+};
+
+/**
+ * JSON.stringify replacer - redact sensitive fields and keep the useful parts of errors,
+ * including the SQL statement of database errors
+ */
+const replacer = (key, value) => {
+  if (key !== '' && SENSITIVE_FIELDS.test(key) && value !== undefined && value !== null) {
+    return '[REDACTED]';
+  }
+  // Not instanceof Error, which misses errors created in another realm, e.g. by native modules
+  if (Object.prototype.toString.call(value) === '[object Error]') {
+    const { name, message, code, sql, stack } = value;
+    return { name, message, code, sql, stack };
+  }
+  return value;
+};
+
+/**
+ * Create a logger that adds `bindings` to every line it writes
+ */
+const createLogger = (bindings = {}) => {
+  const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[logLevel()]) {
+      return;
+    }
+
+    const line = { time: new Date().toISOString(), level, msg: message, ...bindings, ...fields };
+    process.stdout.write(`${JSON.stringify(line, replacer)}\n`);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+};
+
+const logger = createLogger();
+
+/**
+ * Middleware - give each request an id and a logger, and log it when it ends
+ * The id is taken from the X-Request-Id header when the client sends a usable one, echoed in the
+ * response, and added to every line written through req.log. Server errors are logged as errors
+ * and client errors as warnings
+ */
+const requestLogger = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  const { method, path, query } = req;
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.set('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    req.log[level]('Request completed', {
+      method,
+      path,
+      query,
+      status,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      actor: req.apiKey ? req.apiKey.name : null,
+      // The client went away before the response was complete
+      aborted: !res.writableFinished
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  logger,
+  requestLogger
+};
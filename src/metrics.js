@@ -0,0 +1,172 @@
+// Metrics - request, database and order figures in the Prometheus text format
+// Requests are measured by middleware and queries through the query events of the database
+// wrappers, so every route and statement is covered without changes to the handlers. Order
+// gauges are read from the database when the metrics are scraped.
+const { get, all, queryEvents } = require('./database');
+const { ORDER_STATUSES } = require('./lifecycle');
+const { sendError } = require('./errors');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+// Histogram bucket upper bounds, in seconds
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const QUERY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// Statement kinds used as the operation label of query metrics; others are counted as "other"
+const QUERY_OPERATIONS = ['select', 'insert', 'update', 'delete', 'begin', 'commit', 'rollback'];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+/**
+ * A counter with one series per combination of label values
+ */
+const createCounter = (name, help) => {
+  const series = new Map();
+
+  return {
+    inc: (labels, value = 1) => {
+      const key = JSON.stringify(labels);
+      series.set(key, { labels, value: (series.has(key) ? series.get(key).value : 0) + value });
+    },
+    render: () => [
+      ...header(name, help, 'counter'),
+      ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+};
+
+/**
+ * A histogram with one series per combination of label values
+ */
+const createHistogram = (name, help, buckets) => {
+  const series = new Map();
+
+  return {
+    observe: (labels, value) => {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render: () => [
+      ...header(name, help, 'histogram'),
+      ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    ]
+  };
+};
+
+/**
+ * A gauge whose series are read by `collect` at every scrape
+ * `collect` resolves with a list of { labels, value }
+ */
+const createGauge = (name, help, collect) => ({
+  render: async () => [
+    ...header(name, help, 'gauge'),
+    ...(await collect()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  ]
+});
+
+const httpRequests = createCounter('http_requests_total', 'HTTP requests handled, by method, route and status');
+const httpRequestDuration = createHistogram(
+  'http_request_duration_seconds',
+  'Time to respond to HTTP requests, by method, route and status',
+  REQUEST_BUCKETS
+);
+const dbQueries = createCounter('db_queries_total', 'SQLite statements run, by operation and result');
+const dbQueryDuration = createHistogram('db_query_duration_seconds', 'Time SQLite spent on statements, by operation', QUERY_BUCKETS);
+
+const ordersByStatus = createGauge('orders_by_status', 'Orders outside the trash, by status', async () => {
+  const rows = await all('SELECT status, COUNT(*) AS count FROM orders WHERE deleted_at IS NULL GROUP BY status');
+  return ORDER_STATUSES.map(status => ({
+    labels: { status },
+    value: (rows.find(row => row.status === status) || { count: 0 }).count
+  }));
+});
+
+const ordersCreatedPerMinute = createGauge('orders_created_per_minute', 'Orders created in the last 60 seconds', async () => {
+  const { count } = await get("SELECT COUNT(*) AS count FROM orders WHERE created_at >= datetime('now', '-1 minute')");
+  return [{ labels: {}, value: count }];
+});
+
+const METRICS = [httpRequests, httpRequestDuration, dbQueries, dbQueryDuration, ordersByStatus, ordersCreatedPerMinute];
+
+/**
+ * The operation label of a statement, from its first keyword
+ */
+const queryOperation = (sql) => {
+  const keyword = (/^\s*(\w+)/.exec(sql) || [])[1];
+  const operation = keyword ? keyword.toLowerCase() : 'other';
+  return QUERY_OPERATIONS.includes(operation) ? operation : 'other';
+};
+
+queryEvents.on('query', ({ sql, seconds, failed }) => {
+  const operation = queryOperation(sql);
+  dbQueries.inc({ operation, result: failed ? 'error' : 'ok' });
+  dbQueryDuration.observe({ operation }, seconds);
+});
+
+/**
+ * Middleware - count each request and time it when its connection closes
+ * The route label is the matched route pattern, e.g. /orders/:id, so ids do not create new series;
+ * requests that end before reaching a route, such as unknown paths and rejected API keys,
+ * are labeled "unmatched"
+ */
+const requestMetrics = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('close', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.route.path : 'unmatched',
+      status: String(res.statusCode)
+    };
+
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+
+  next();
+};
+
+/**
+ * Get all metrics in the Prometheus text format
+ */
+const getMetrics = async (req, res) => {
+  try {
+    const lines = [];
+    for (const metric of METRICS) {
+      lines.push(...await metric.render());
+    }
+
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(`${lines.join('\n')}\n`);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  requestMetrics,
+  getMetrics
+};
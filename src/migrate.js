@@ -0,0 +1,62 @@
+// Migration commands - apply, revert and inspect schema migrations
+// npm run migrate, npm run migrate:rollback [-- <steps>], npm run migrate:status
+require('dotenv').config();
+const { db, getMigrationStatus, migrate, rollback } = require('./database');
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const commands = {
+  up: async () => {
+    const applied = await migrate();
+
+    if (applied.length === 0) {
+      console.log('✅ Schema is up to date');
+    }
+    applied.forEach(migration => console.log(`⬆️  Applied ${label(migration)}`));
+  },
+
+  down: async (steps = '1') => {
+    if (!/^\d+$/.test(steps) || parseInt(steps) < 1) {
+      throw new Error('steps must be a positive integer');
+    }
+
+    const reverted = await rollback(parseInt(steps));
+
+    if (reverted.length === 0) {
+      console.log('Nothing to roll back');
+    }
+    reverted.forEach(migration => console.log(`⬇️  Reverted ${label(migration)}`));
+  },
+
+  status: async () => {
+    const { currentVersion, migrations, pending, unknown } = await getMigrationStatus();
+
+    console.log(`\nSchema version ${currentVersion}, ${pending.length} pending\n`);
+    migrations.forEach((migration) => {
+      console.log(`  ${migration.applied_at ? '✔' : '✗'} ${label(migration)}${migration.applied_at ? `  (${migration.applied_at})` : ''}`);
+    });
+    unknown.forEach(migration => console.log(`  ? ${label(migration)}  (applied, but not in migrations/)`));
+    console.log('');
+  }
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    console.error('Usage: node src/migrate.js <up|down|status> [steps]');
+    process.exit(1);
+  }
+
+  try {
+    await commands[command](...args);
+    db.close();
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,176 @@
+// Money - amounts are stored as integers in the minor unit of their ISO 4217 currency
+// (cents for USD, yen for JPY, fils for BHD) and sent to clients as exact decimal strings
+
+// Supported currencies by the number of decimal places of their minor unit
+const CURRENCY_EXPONENTS = {
+  ...Object.fromEntries(['CLP', 'ISK', 'JPY', 'KRW', 'PYG', 'UGX', 'VND', 'XAF', 'XOF'].map(code => [code, 0])),
+  ...Object.fromEntries([
+    'AED', 'AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'HUF', 'IDR', 'ILS', 'INR',
+    'MXN', 'MYR', 'NOK', 'NZD', 'PHP', 'PLN', 'RON', 'SAR', 'SEK', 'SGD', 'THB', 'TRY', 'TWD', 'USD', 'ZAR'
+  ].map(code => [code, 2])),
+  ...Object.fromEntries(['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'].map(code => [code, 3]))
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_EXPONENTS).sort();
+
+// Decimal places of the currency with the smallest minor unit
+const MAX_EXPONENT = Math.max(...Object.values(CURRENCY_EXPONENTS));
+
+const DECIMAL_PATTERN = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+// Percentages, such as tax rates and coupon discounts, are exact to this many decimal places
+const PERCENT_DECIMALS = 3;
+
+// Currency of orders and products that do not name one
+const defaultCurrency = () => process.env.DEFAULT_CURRENCY || 'USD';
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCY_EXPONENTS, code);
+
+const currencyExponent = (code) => (isCurrency(code) ? CURRENCY_EXPONENTS[code] : 2);
+
+/**
+ * Move the decimal point of a decimal string `exponent` places to the right
+ * Shifting the digits as text keeps 0.29 from becoming 28.999999999999996.
+ * Returns null when the text is not a plain decimal number
+ */
+const decimalToUnits = (text, exponent) => {
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const digits = fraction.padEnd(exponent, '0');
+  return Number(`${sign}${whole}${digits.slice(0, exponent)}.${digits.slice(exponent) || '0'}`);
+};
+
+/**
+ * Convert an amount sent by a client, as a number or a decimal string, to minor units
+ * Returns null unless it is positive and has no more decimal places than the currency allows
+ */
+const toMinorUnits = (value, currency) => {
+  if (typeof value !== 'string' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    return null;
+  }
+
+  const units = decimalToUnits(String(value), currencyExponent(currency));
+  return Number.isSafeInteger(units) && units > 0 ? units : null;
+};
+
+/**
+ * Format an amount in minor units as an exact decimal string, e.g. 299998 USD as "2999.98"
+ */
+const formatMoney = (minorUnits, currency) => {
+  if (minorUnits === null || minorUnits === undefined) {
+    return minorUnits;
+  }
+
+  const exponent = currencyExponent(currency);
+  const digits = String(Math.abs(minorUnits)).padStart(exponent + 1, '0');
+  const sign = minorUnits < 0 ? '-' : '';
+
+  return exponent === 0 ? `${sign}${digits}` : `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+/**
+ * Validation message for an amount that toMinorUnits rejected
+ */
+const moneyError = (field, currency) => {
+  const exponent = currencyExponent(currency);
+  const places = exponent === 0 ? 'no decimal places' : `at most ${exponent} decimal places`;
+  return `${field} must be a positive amount in ${currency} with ${places}`;
+};
+
+/**
+ * Check that a value, as a number or a decimal string, is a percentage from 0 to 100
+ * with at most PERCENT_DECIMALS decimal places, e.g. a tax rate of 8.875
+ */
+const isPercentage = (value) => {
+  if (typeof value !== 'string' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    return false;
+  }
+
+  const units = decimalToUnits(String(value), PERCENT_DECIMALS);
+  return Number.isInteger(units) && units >= 0 && units <= 100 * 10 ** PERCENT_DECIMALS;
+};
+
+/**
+ * Take a percentage of an amount in minor units, rounded half up to a whole minor unit
+ * e.g. 7.25% of 1999 cents is 145 cents
+ */
+const percentOf = (minorUnits, percent) => {
+  const units = decimalToUnits(String(percent), PERCENT_DECIMALS);
+  return Math.round(minorUnits * units / (100 * 10 ** PERCENT_DECIMALS));
+};
+
+/**
+ * Convert a line item to its API representation
+ */
+const formatItem = (item, currency) => ({ ...item, unit_price: formatMoney(item.unit_price, currency) });
+
+// Money columns of an order; amount is the total after discount and tax
+const ORDER_MONEY_FIELDS = ['subtotal', 'discount', 'tax', 'amount'];
+
+/**
+ * Convert an order row, or the changed fields of one, to its API representation
+ * `currency` is needed for partial rows such as the changes recorded in the order history
+ */
+const formatOrder = (order, currency = order.currency) => {
+  const formatted = { ...order };
+
+  ORDER_MONEY_FIELDS
+    .filter(field => order[field] !== undefined)
+    .forEach((field) => { formatted[field] = formatMoney(order[field], currency); });
+  if (Array.isArray(order.items)) {
+    formatted.items = order.items.map(item => formatItem(item, currency));
+  }
+
+  return formatted;
+};
+
+/**
+ * SQL expression for the factor between the major and minor unit of a currency column
+ */
+const minorUnitFactorSql = (currencyColumn) => {
+  const branches = Object.keys(CURRENCY_EXPONENTS)
+    .filter(code => CURRENCY_EXPONENTS[code] !== 2)
+    .map(code => `WHEN '${code}' THEN ${10 ** CURRENCY_EXPONENTS[code]}`);
+
+  return `CASE ${currencyColumn} ${branches.join(' ')} ELSE 100 END`;
+};
+
+/**
+ * SQL expression for an amount column in units of 10^-MAX_EXPONENT, so that amounts
+ * in currencies with different minor units compare exactly against comparableAmount()
+ */
+const comparableAmountSql = (column, currencyColumn) => {
+  return `(${column} * ${10 ** MAX_EXPONENT} / (${minorUnitFactorSql(currencyColumn)}))`;
+};
+
+/**
+ * Convert a decimal string to the units of comparableAmountSql, or null if it is not a number
+ */
+const comparableAmount = (text) => decimalToUnits(text, MAX_EXPONENT);
+
+/**
+ * Convert an amount in the minor units of a currency to the units of comparableAmountSql
+ */
+const comparableMinorUnits = (amount, currency) => amount * 10 ** (MAX_EXPONENT - currencyExponent(currency));
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  defaultCurrency,
+  isCurrency,
+  currencyExponent,
+  toMinorUnits,
+  formatMoney,
+  moneyError,
+  isPercentage,
+  percentOf,
+  formatItem,
+  formatOrder,
+  minorUnitFactorSql,
+  comparableAmountSql,
+  comparableAmount,
+  comparableMinorUnits
+};
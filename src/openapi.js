@@ -0,0 +1,1223 @@
+// OpenAPI 3.1 description of the API, served at /openapi.json and browsable at /docs
+// It is the source of truth for the routes and the shape of their requests: the validate
+// middleware (see validation.js) checks every request against it, and a test fails when the
+// routes in server.js and the paths here differ. Enumerations come from the modules that use them
+const { version } = require('../package.json');
+const { ORDER_STATUSES, INITIAL_STATUSES } = require('./lifecycle');
+const { SUPPORTED_CURRENCIES } = require('./money');
+const { ROLES } = require('./auth');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('./webhooks');
+const { EXPORT_FORMATS } = require('./exports');
+const { IMPORT_MODES, CSV_TYPES, NDJSON_TYPES } = require('./imports');
+const { REVENUE_GROUPS } = require('./reports');
+
+const schema = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const json = (description, body) => ({ description, content: { 'application/json': { schema: body } } });
+
+const jsonBody = (body, required = true) => ({ required, content: { 'application/json': { schema: body } } });
+
+// A string with at least one character that is not whitespace
+const text = (description) => ({ type: 'string', pattern: '\\S', description });
+
+const nullable = (type) => [type, 'null'];
+
+const pathId = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'integer', minimum: 1 } });
+
+const query = (name, description, querySchema) => ({ name, in: 'query', description, schema: querySchema });
+
+const PAGE_PARAMETERS = [
+  query('page', 'Page number', { type: 'integer', minimum: 1, default: 1 }),
+  query('limit', 'Results per page', { type: 'integer', minimum: 1, maximum: 100, default: 10 })
+];
+
+// field=operator:value pairs, checked against the filterable fields by filters.js
+const FILTER_PARAMETER = {
+  name: 'filters',
+  in: 'query',
+  description: 'Order filters as field=operator:value, e.g. status=in:pending,processing or amount=gt:100, '
+    + 'and the shorthands status, minAmount, maxAmount, customerId, startDate and endDate',
+  style: 'form',
+  explode: true,
+  schema: { type: 'object', additionalProperties: { type: 'string' } }
+};
+
+const listOf = (item) => ({
+  type: 'object',
+  properties: {
+    data: { type: 'array', items: item },
+    pagination: schema('Pagination')
+  }
+});
+
+const deleted = json('Deleted', {
+  type: 'object',
+  properties: { message: { type: 'string' }, id: { type: ['integer', 'string'] } }
+});
+
+/**
+ * Describe an operation
+ * `role` is the least API key role allowed, or null for routes that need no key.
+ * Every operation that takes parameters or a body may answer 400 Validation failed, and one that
+ * takes a body 415 for a media type it does not accept
+ */
+const operation = ({ operationId, summary, description, tag, role = 'read-only', parameters, requestBody, responses }) => {
+  const roleText = role && role !== 'read-only' ? `Requires an \`${role}\` key.` : null;
+
+  return {
+    operationId,
+    summary,
+    ...(description || roleText ? { description: [description, roleText].filter(Boolean).join('\n\n') } : {}),
+    tags: [tag],
+    ...(role === null ? { security: [] } : {}),
+    ...(parameters ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      ...responses,
+      ...(parameters || requestBody ? { 400: response('BadRequest') } : {}),
+      ...(requestBody ? { 415: response('UnsupportedMediaType') } : {}),
+      ...(role === null ? {} : { 401: response('Unauthorized') }),
+      ...(role === null || role === 'read-only' ? {} : { 403: response('Forbidden') })
+    }
+  };
+};
+
+const schemas = {
+  Money: {
+    type: ['number', 'string'],
+    description: 'Positive amount in the currency, as a number or a decimal string with no more decimal places than the currency has',
+    examples: ['2999.98']
+  },
+  Decimal: {
+    type: nullable('string'),
+    description: 'Exact decimal amount in the currency',
+    examples: ['2999.98']
+  },
+  Currency: { type: 'string', enum: SUPPORTED_CURRENCIES, description: 'ISO 4217 currency code' },
+  OrderStatus: { type: 'string', enum: ORDER_STATUSES },
+  InitialOrderStatus: {
+    type: 'string',
+    enum: INITIAL_STATUSES,
+    description: 'Orders are cancelled through POST /orders/{id}/cancel, not created cancelled'
+  },
+  OrderDate: {
+    type: 'string',
+    format: 'date',
+    description: 'Date of the order, YYYY-MM-DD',
+    examples: ['2026-02-07']
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      requestId: { type: 'string', description: 'Sent with server errors; the X-Request-Id that identifies the request in the logs' }
+    },
+    additionalProperties: true
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'fields'],
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Parameter name, or path of the body field such as items/1/quantity' },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  HealthCheck: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['OK', 'Failing'] },
+      latencyMs: { type: 'number' },
+      error: { type: 'string', description: 'Why the check failed, when it did not answer' }
+    },
+    additionalProperties: true
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['OK', 'Failing', 'Shutting down'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      version: { type: 'string' },
+      uptimeSeconds: { type: 'integer' },
+      checks: {
+        type: 'object',
+        description: 'Only reported by the readiness probe',
+        properties: {
+          database: schema('HealthCheck'),
+          migrations: {
+            ...schema('HealthCheck'),
+            description: 'Also carries the currentVersion of the schema and the number of pending and unknown migrations'
+          }
+        }
+      }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    description: 'Also carries the total count, named after the listing (totalOrders, totalCustomers, ...)',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      hasNextPage: { type: 'boolean' },
+      hasPreviousPage: { type: 'boolean' },
+      nextCursor: { type: nullable('string'), description: 'Cursor of the next page, with cursor pagination' }
+    },
+    additionalProperties: { type: 'integer' }
+  },
+  NewItem: {
+    type: 'object',
+    required: ['quantity'],
+    description: 'A line item; send product or product_id. Without unit_price the catalog price of the product is used',
+    properties: {
+      product_id: { type: 'integer', minimum: 1 },
+      product: text('Product name, added to the catalog when unknown'),
+      quantity: { type: 'integer', minimum: 1 },
+      unit_price: schema('Money')
+    },
+    anyOf: [{ required: ['product'] }, { required: ['product_id'] }]
+  },
+  ItemChanges: {
+    type: 'object',
+    properties: {
+      product_id: { type: 'integer', minimum: 1 },
+      product: text(),
+      quantity: { type: 'integer', minimum: 1 },
+      unit_price: schema('Money')
+    }
+  },
+  Item: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      product_id: { type: nullable('integer') },
+      product: { type: 'string' },
+      quantity: { type: 'integer' },
+      unit_price: schema('Decimal')
+    }
+  },
+  NewOrder: {
+    type: 'object',
+    required: ['status', 'order_date'],
+    description: 'Send customer_name or customer_id, and items or a single product, quantity and amount',
+    properties: {
+      customer_name: text(),
+      customer_id: { type: 'integer', minimum: 1 },
+      product: text(),
+      quantity: { type: 'integer', minimum: 1 },
+      amount: schema('Money'),
+      currency: schema('Currency'),
+      status: schema('InitialOrderStatus'),
+      order_date: schema('OrderDate'),
+      items: { type: 'array', minItems: 1, items: schema('NewItem') },
+      coupon_code: text('Code of a coupon to apply'),
+      tax_region: text('Region whose TAX_RATES entry is charged')
+    },
+    allOf: [
+      { anyOf: [{ required: ['customer_name'] }, { required: ['customer_id'] }] },
+      { anyOf: [{ required: ['items'] }, { required: ['product', 'quantity', 'amount'] }] }
+    ]
+  },
+  QuoteRequest: {
+    type: 'object',
+    description: 'Send items or a single product, quantity and amount',
+    properties: {
+      product: text(),
+      quantity: { type: 'integer', minimum: 1 },
+      amount: schema('Money'),
+      currency: schema('Currency'),
+      items: { type: 'array', minItems: 1, items: schema('NewItem') },
+      coupon_code: text(),
+      tax_region: text()
+    },
+    anyOf: [{ required: ['items'] }, { required: ['product', 'quantity', 'amount'] }]
+  },
+  Quote: {
+    type: 'object',
+    properties: {
+      currency: schema('Currency'),
+      items: { type: 'array', items: schema('Item') },
+      subtotal: schema('Decimal'),
+      discount: schema('Decimal'),
+      tax: schema('Decimal'),
+      amount: schema('Decimal'),
+      coupon_id: { type: nullable('integer') },
+      coupon_code: { type: nullable('string') },
+      tax_region: { type: nullable('string') },
+      tax_rate: { type: 'number' }
+    }
+  },
+  OrderDocument: {
+    type: 'object',
+    required: ['status', 'order_date'],
+    description: 'The complete order. Send items, or product, quantity and amount for a one-line order. '
+      + 'Read-only fields of GET /orders/{id} may be sent back unchanged',
+    properties: {
+      customer_name: text(),
+      customer_id: { type: nullable('integer'), minimum: 1 },
+      product: text(),
+      quantity: { type: 'integer', minimum: 1 },
+      amount: schema('Money'),
+      currency: schema('Currency'),
+      status: schema('OrderStatus'),
+      order_date: schema('OrderDate'),
+      cancellation_reason: { type: nullable('string') },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['quantity'],
+          description: 'Lines with an id change that line, lines without one are added',
+          properties: {
+            id: { type: 'integer', minimum: 1 },
+            product_id: { type: nullable('integer'), minimum: 1 },
+            product: text(),
+            quantity: { type: 'integer', minimum: 1 },
+            unit_price: schema('Money')
+          },
+          anyOf: [{ required: ['product'] }, { required: ['product_id'], properties: { product_id: { type: 'integer' } } }]
+        }
+      }
+    },
+    allOf: [
+      { anyOf: [{ required: ['customer_name'] }, { required: ['customer_id'], properties: { customer_id: { type: 'integer' } } }] },
+      { anyOf: [{ required: ['items'] }, { required: ['product', 'quantity', 'amount'] }] }
+    ]
+  },
+  JsonPatchOperation: {
+    type: 'object',
+    required: ['op', 'path'],
+    properties: {
+      op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+      path: { type: 'string', description: 'JSON Pointer into the order document' },
+      from: { type: 'string' },
+      value: { description: 'Required by add, replace and test' }
+    }
+  },
+  Order: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      customer_id: { type: nullable('integer') },
+      customer: {
+        type: nullable('object'),
+        properties: { id: { type: 'integer' }, name: { type: 'string' }, email: { type: nullable('string') } }
+      },
+      customer_name: { type: 'string' },
+      product: { type: 'string' },
+      quantity: { type: 'integer' },
+      subtotal: schema('Decimal'),
+      discount: schema('Decimal'),
+      tax: schema('Decimal'),
+      amount: schema('Decimal'),
+      currency: schema('Currency'),
+      coupon_code: { type: nullable('string') },
+      tax_region: { type: nullable('string') },
+      tax_rate: { type: 'number' },
+      status: schema('OrderStatus'),
+      order_date: { type: 'string' },
+      cancellation_reason: { type: nullable('string') },
+      cancelled_at: { type: nullable('string') },
+      version: { type: 'integer' },
+      updated_at: { type: nullable('string') },
+      items: { type: 'array', items: schema('Item') }
+    }
+  },
+  OrderEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      order_id: { type: 'integer' },
+      event_type: { type: 'string', enum: ['created', 'updated', 'deleted', 'restored', 'purged'] },
+      before: { type: nullable('object'), description: 'Changed fields before the change' },
+      after: { type: nullable('object'), description: 'Changed fields after the change' },
+      actor: { type: nullable('string') },
+      created_at: { type: 'string' }
+    }
+  },
+  Metrics: {
+    type: 'object',
+    properties: {
+      orderCount: { type: 'integer' },
+      totalAmount: schema('Decimal'),
+      averageAmount: schema('Decimal'),
+      quantitySold: { type: 'integer' }
+    },
+    description: 'Statistics also carry the currency and byStatus; revenue buckets their period, product or customer',
+    additionalProperties: true
+  },
+  NewCustomer: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: text('Unique, compared case-insensitively'),
+      email: { type: nullable('string'), format: 'email' }
+    }
+  },
+  CustomerChanges: {
+    type: 'object',
+    properties: {
+      name: text(),
+      email: { type: nullable('string'), format: 'email' }
+    }
+  },
+  Customer: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      email: { type: nullable('string') },
+      created_at: { type: 'string' },
+      order_count: { type: 'integer', description: 'Only on GET /customers/{id}' }
+    }
+  },
+  NewProduct: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: text('Unique, compared case-insensitively'),
+      sku: { type: nullable('string'), pattern: '\\S' },
+      unit_price: { anyOf: [schema('Money'), { type: 'null' }], description: 'Catalog price, used for items sent without one' },
+      currency: schema('Currency')
+    }
+  },
+  ProductChanges: {
+    type: 'object',
+    properties: {
+      name: text(),
+      sku: { type: nullable('string'), pattern: '\\S' },
+      unit_price: { anyOf: [schema('Money'), { type: 'null' }] },
+      currency: schema('Currency')
+    }
+  },
+  Product: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      sku: { type: nullable('string') },
+      unit_price: schema('Decimal'),
+      currency: schema('Currency'),
+      created_at: { type: 'string' },
+      units_ordered: { type: 'integer', description: 'Only on GET /products/{id}' }
+    }
+  },
+  Inventory: {
+    type: 'object',
+    properties: {
+      product_id: { type: 'integer' },
+      product: { type: 'string' },
+      sku: { type: nullable('string') },
+      on_hand: { type: 'integer' },
+      reserved: { type: 'integer', description: 'Held by pending and processing orders' },
+      available: { type: 'integer' },
+      updated_at: { type: 'string' }
+    }
+  },
+  StockAdjustment: {
+    type: 'object',
+    required: ['reason'],
+    description: 'Send quantity to add or remove units, or on_hand to record a stock count',
+    properties: {
+      quantity: { type: 'integer', description: 'Units to add, negative to remove; not 0' },
+      on_hand: { type: 'integer', minimum: 0 },
+      reason: text()
+    }
+  },
+  StockMovement: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      order_id: { type: nullable('integer') },
+      type: { type: 'string', enum: ['adjustment', 'reservation', 'release', 'commit'] },
+      quantity: { type: 'integer' },
+      reason: { type: nullable('string') },
+      actor: { type: nullable('string') },
+      created_at: { type: 'string' }
+    }
+  },
+  NewCoupon: {
+    type: 'object',
+    required: ['code'],
+    description: 'Send exactly one of percent_off and amount_off',
+    properties: {
+      code: { type: 'string', description: '1 to 40 letters, digits, dashes or underscores; matched case-insensitively' },
+      percent_off: { type: ['number', 'string'], description: 'Above 0 and at most 100, with at most 3 decimal places' },
+      amount_off: schema('Money'),
+      currency: schema('Currency'),
+      min_order_value: { anyOf: [schema('Money'), { type: 'null' }] },
+      expires_at: { type: nullable('string'), format: 'date-time' },
+      max_redemptions: { type: nullable('integer'), minimum: 1 }
+    }
+  },
+  CouponChanges: {
+    type: 'object',
+    description: 'Only the expiry, usage limit and active flag can change',
+    properties: {
+      expires_at: { type: nullable('string'), format: 'date-time' },
+      max_redemptions: { type: nullable('integer'), minimum: 1 },
+      active: { type: 'boolean' }
+    }
+  },
+  Coupon: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      code: { type: 'string' },
+      percent_off: { type: nullable('number') },
+      amount_off: schema('Decimal'),
+      currency: { type: nullable('string') },
+      min_order_value: schema('Decimal'),
+      expires_at: { type: nullable('string') },
+      max_redemptions: { type: nullable('integer') },
+      times_redeemed: { type: 'integer' },
+      active: { type: 'boolean' },
+      created_at: { type: 'string' }
+    }
+  },
+  NewApiKey: {
+    type: 'object',
+    required: ['name', 'role'],
+    properties: {
+      name: text('Recorded as the actor of the changes made with the key'),
+      role: { type: 'string', enum: ROLES }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      key_prefix: { type: 'string' },
+      created_at: { type: 'string' },
+      revoked_at: { type: nullable('string') },
+      key: { type: 'string', description: 'The key itself, only returned when it is created' }
+    }
+  },
+  NewWebhook: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri', description: 'http or https URL' },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS }, description: 'Defaults to every event' },
+      secret: { type: 'string', minLength: 16, description: 'Signing secret, generated when left out' }
+    }
+  },
+  WebhookChanges: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      active: { type: 'boolean' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      active: { type: 'boolean' },
+      created_at: { type: 'string' },
+      secret: { type: 'string', description: 'Only returned when the webhook is created' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      event_type: { type: 'string', enum: WEBHOOK_EVENTS },
+      payload: { type: 'string' },
+      status: { type: 'string', enum: DELIVERY_STATUSES },
+      attempt_count: { type: 'integer' },
+      next_attempt_at: { type: nullable('string') },
+      last_attempt_at: { type: nullable('string') },
+      response_status: { type: nullable('integer') },
+      last_error: { type: nullable('string') },
+      created_at: { type: 'string' },
+      attempts: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+const ORDER_ID = pathId('id', 'Order id');
+
+const paths = {
+  '/health': {
+    get: operation({
+      operationId: 'getHealth',
+      summary: 'Health check',
+      description: 'Same as /health/ready.',
+      tag: 'Service',
+      role: null,
+      responses: {
+        200: json('The database answers and its schema is up to date', schema('Health')),
+        503: json('A check failed, or the server is shutting down', schema('Health'))
+      }
+    })
+  },
+  '/health/live': {
+    get: operation({
+      operationId: 'getLiveness',
+      summary: 'Liveness probe',
+      description: 'Answers 200 while the process serves requests. Does not check the database.',
+      tag: 'Service',
+      role: null,
+      responses: {
+        200: json('The process is serving', schema('Health')),
+        503: json('The server is shutting down', schema('Health'))
+      }
+    })
+  },
+  '/health/ready': {
+    get: operation({
+      operationId: 'getReadiness',
+      summary: 'Readiness probe',
+      tag: 'Service',
+      role: null,
+      responses: {
+        200: json('The database answers and its schema is up to date', schema('Health')),
+        503: json('A check failed, or the server is shutting down', schema('Health'))
+      }
+    })
+  },
+  '/openapi.json': {
+    get: operation({
+      operationId: 'getOpenApiDocument',
+      summary: 'This OpenAPI document',
+      tag: 'Service',
+      role: null,
+      responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+    })
+  },
+  '/docs': {
+    get: operation({
+      operationId: 'getDocs',
+      summary: 'Interactive API documentation (Swagger UI)',
+      tag: 'Service',
+      role: null,
+      responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+    })
+  },
+  '/metrics': {
+    get: operation({
+      operationId: 'getMetrics',
+      summary: 'Request, database and order metrics for Prometheus',
+      description: 'HTTP request counts and latencies by route and status, SQLite statement counts and timings, '
+        + 'orders by status and orders created in the last minute.',
+      tag: 'Service',
+      responses: {
+        200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } }
+      }
+    })
+  },
+  '/orders': {
+    post: operation({
+      operationId: 'createOrder',
+      summary: 'Create an order',
+      description: 'Retries are safe with an Idempotency-Key header: a retry with the same key and payload replays the first response.',
+      tag: 'Orders',
+      role: 'operator',
+      parameters: [{ name: 'Idempotency-Key', in: 'header', schema: { type: 'string', maxLength: 255 } }],
+      requestBody: jsonBody(schema('NewOrder')),
+      responses: {
+        201: json('The created order', schema('Order')),
+        409: response('Conflict'),
+        422: json('Idempotency-Key reused with a different payload', schema('Error'))
+      }
+    }),
+    get: operation({
+      operationId: 'getOrders',
+      summary: 'List orders',
+      description: 'Sending cursor (empty for the first page) switches from page numbers to keyset pagination. q searches like GET /orders/search, and cannot be combined with cursor or sort.',
+      tag: 'Orders',
+      parameters: [
+        ...PAGE_PARAMETERS,
+        query('cursor', 'nextCursor of the previous page, empty for the first page', { type: 'string' }),
+        query('sort', 'Comma-separated columns, - for descending, e.g. -amount,customer_name', { type: 'string', default: '-order_date,-id' }),
+        query('includeTotal', 'Count every match; defaults to true without a cursor', { type: 'boolean' }),
+        query('q', 'Full-text search query', { type: 'string' }),
+        FILTER_PARAMETER
+      ],
+      responses: { 200: json('A page of orders', listOf(schema('Order'))) }
+    })
+  },
+  '/orders/quote': {
+    post: operation({
+      operationId: 'quoteOrder',
+      summary: 'Price an order without creating it',
+      tag: 'Orders',
+      requestBody: jsonBody(schema('QuoteRequest')),
+      responses: { 200: json('The price breakdown', schema('Quote')) }
+    })
+  },
+  '/orders/import': {
+    post: operation({
+      operationId: 'importOrders',
+      summary: 'Import orders from CSV or NDJSON',
+      tag: 'Orders',
+      role: 'operator',
+      parameters: [
+        query('mode', 'all-or-nothing rejects the whole file when a row is invalid, skip imports the valid rows', { type: 'string', enum: IMPORT_MODES, default: 'all-or-nothing' }),
+        query('dryRun', 'Validate without writing', { type: 'string', enum: ['true', 'false', '1', '0'] })
+      ],
+      requestBody: {
+        required: true,
+        content: Object.fromEntries([...CSV_TYPES, ...NDJSON_TYPES].map(type => [type, { schema: { type: 'string' } }]))
+      },
+      responses: {
+        200: json('Import report, nothing was imported', { type: 'object' }),
+        201: json('Import report', { type: 'object' }),
+        415: response('UnsupportedMediaType'),
+        422: json('All-or-nothing import rejected, with the errors of each row', schema('Error'))
+      }
+    })
+  },
+  '/orders/search': {
+    get: operation({
+      operationId: 'searchOrders',
+      summary: 'Full-text search over customer names and products',
+      tag: 'Orders',
+      parameters: [query('q', 'Words to find; every word must match as a prefix, ignoring case and accents. Quotes and other search syntax are treated as plain text', { type: 'string' }), ...PAGE_PARAMETERS, FILTER_PARAMETER]
+        .map(parameter => (parameter.name === 'q' ? { ...parameter, required: true } : parameter)),
+      responses: { 200: json('Matching orders by relevance', listOf(schema('Order'))) }
+    })
+  },
+  '/orders/export': {
+    get: operation({
+      operationId: 'exportOrders',
+      summary: 'Download the matching orders',
+      tag: 'Orders',
+      parameters: [
+        query('format', 'File format', { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }),
+        query('q', 'Full-text search query; only matching orders are exported, best matches first', { type: 'string' }),
+        FILTER_PARAMETER
+      ],
+      responses: {
+        200: {
+          description: 'The orders as a file',
+          content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [contentType.split(';')[0], { schema: { type: 'string' } }]))
+        }
+      }
+    })
+  },
+  '/orders/stream': {
+    get: operation({
+      operationId: 'streamOrders',
+      summary: 'Live feed of order changes (Server-Sent Events)',
+      tag: 'Orders',
+      parameters: [
+        query('status', 'Comma-separated statuses to receive events for', { type: 'string' }),
+        query('lastEventId', 'Resume after this event, like the Last-Event-ID header', { type: 'string', pattern: '^\\d+$' }),
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } }
+      ],
+      responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+    })
+  },
+  '/orders/stats': {
+    get: operation({
+      operationId: 'getOrderStats',
+      summary: 'Order counts, amounts and quantities, overall and by status',
+      tag: 'Reports',
+      parameters: [FILTER_PARAMETER],
+      responses: { 200: json('Statistics of the matching orders', schema('Metrics')) }
+    })
+  },
+  '/orders/trash': {
+    get: operation({
+      operationId: 'getTrash',
+      summary: 'List deleted orders that can still be restored',
+      tag: 'Orders',
+      parameters: [...PAGE_PARAMETERS, FILTER_PARAMETER],
+      responses: { 200: json('A page of deleted orders, each with purge_after', listOf(schema('Order'))) }
+    })
+  },
+  '/orders/{id}': {
+    parameters: [ORDER_ID],
+    get: operation({
+      operationId: 'getOrderById',
+      summary: 'Get an order',
+      description: 'Sends an ETag; If-None-Match with the current ETag answers 304 Not Modified.',
+      tag: 'Orders',
+      responses: { 200: json('The order', schema('Order')), 304: { description: 'Not modified' }, 404: response('NotFound') }
+    }),
+    put: operation({
+      operationId: 'updateOrder',
+      summary: 'Replace an order',
+      description: 'Send If-Match with the ETag of the order to make sure it has not changed meanwhile.',
+      tag: 'Orders',
+      role: 'operator',
+      requestBody: jsonBody(schema('OrderDocument')),
+      responses: { 200: json('The updated order', schema('Order')), 404: response('NotFound'), 409: response('Conflict'), 412: response('PreconditionFailed') }
+    }),
+    patch: operation({
+      operationId: 'patchOrder',
+      summary: 'Partially update an order',
+      description: 'A JSON Merge Patch or a JSON Patch against the order document of PUT /orders/{id}; the result is validated like a PUT.',
+      tag: 'Orders',
+      role: 'operator',
+      requestBody: {
+        required: true,
+        content: {
+          'application/merge-patch+json': { schema: { type: 'object' } },
+          'application/json': { schema: { type: 'object' } },
+          'application/json-patch+json': { schema: { type: 'array', items: schema('JsonPatchOperation') } }
+        }
+      },
+      responses: {
+        200: json('The updated order', schema('Order')),
+        404: response('NotFound'),
+        409: response('Conflict'),
+        412: response('PreconditionFailed'),
+        415: response('UnsupportedMediaType')
+      }
+    }),
+    delete: operation({
+      operationId: 'deleteOrder',
+      summary: 'Move an order to the trash',
+      tag: 'Orders',
+      role: 'admin',
+      parameters: [query('hard', 'Delete the order permanently instead', { type: 'boolean', default: false })],
+      responses: { 200: deleted, 404: response('NotFound') }
+    })
+  },
+  '/orders/{id}/history': {
+    parameters: [ORDER_ID],
+    get: operation({
+      operationId: 'getOrderHistory',
+      summary: 'Change history of an order, oldest first',
+      tag: 'Orders',
+      responses: {
+        200: json('The events of the order', { type: 'object', properties: { order_id: { type: 'integer' }, events: { type: 'array', items: schema('OrderEvent') } } }),
+        404: response('NotFound')
+      }
+    })
+  },
+  '/orders/{id}/restore': {
+    parameters: [ORDER_ID],
+    post: operation({
+      operationId: 'restoreOrder',
+      summary: 'Take an order back out of the trash',
+      tag: 'Orders',
+      role: 'operator',
+      responses: { 200: json('The restored order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/orders/{id}/items': {
+    parameters: [ORDER_ID],
+    post: operation({
+      operationId: 'addOrderItem',
+      summary: 'Add a line item to a pending order',
+      tag: 'Order items',
+      role: 'operator',
+      requestBody: jsonBody(schema('NewItem')),
+      responses: { 201: json('The repriced order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/orders/{id}/items/{itemId}': {
+    parameters: [ORDER_ID, pathId('itemId', 'Line item id')],
+    put: operation({
+      operationId: 'updateOrderItem',
+      summary: 'Change a line item of a pending order',
+      tag: 'Order items',
+      role: 'operator',
+      requestBody: jsonBody(schema('ItemChanges')),
+      responses: { 200: json('The repriced order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    }),
+    delete: operation({
+      operationId: 'deleteOrderItem',
+      summary: 'Remove a line item from a pending order',
+      tag: 'Order items',
+      role: 'operator',
+      responses: { 200: json('The repriced order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/orders/{id}/process': {
+    parameters: [ORDER_ID],
+    post: operation({
+      operationId: 'processOrder',
+      summary: 'Move a pending order to processing',
+      tag: 'Order lifecycle',
+      role: 'operator',
+      responses: { 200: json('The updated order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/orders/{id}/complete': {
+    parameters: [ORDER_ID],
+    post: operation({
+      operationId: 'completeOrder',
+      summary: 'Complete a processing order',
+      tag: 'Order lifecycle',
+      role: 'operator',
+      responses: { 200: json('The updated order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/orders/{id}/cancel': {
+    parameters: [ORDER_ID],
+    post: operation({
+      operationId: 'cancelOrder',
+      summary: 'Cancel a pending or processing order',
+      tag: 'Order lifecycle',
+      role: 'operator',
+      requestBody: jsonBody({ type: 'object', required: ['reason'], properties: { reason: text('Stored on the order') } }),
+      responses: { 200: json('The updated order', schema('Order')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/reports/revenue': {
+    get: operation({
+      operationId: 'getRevenueReport',
+      summary: 'Revenue grouped by period, product or customer',
+      description: 'Amounts are order totals after discount and tax; product buckets share each order total between its lines by price.',
+      tag: 'Reports',
+      parameters: [query('groupBy', 'Time buckets without orders are included', { type: 'string', enum: REVENUE_GROUPS, default: 'month' }), FILTER_PARAMETER],
+      responses: {
+        200: json('Revenue buckets', {
+          type: 'object',
+          properties: { groupBy: { type: 'string' }, currency: schema('Currency'), buckets: { type: 'array', items: schema('Metrics') } }
+        })
+      }
+    })
+  },
+  '/customers': {
+    post: operation({
+      operationId: 'createCustomer',
+      summary: 'Create a customer',
+      tag: 'Customers',
+      role: 'operator',
+      requestBody: jsonBody(schema('NewCustomer')),
+      responses: { 201: json('The created customer', schema('Customer')), 409: response('Conflict') }
+    }),
+    get: operation({
+      operationId: 'getCustomers',
+      summary: 'List customers by name',
+      tag: 'Customers',
+      parameters: PAGE_PARAMETERS,
+      responses: { 200: json('A page of customers', listOf(schema('Customer'))) }
+    })
+  },
+  '/customers/{id}': {
+    parameters: [pathId('id', 'Customer id')],
+    get: operation({
+      operationId: 'getCustomerById',
+      summary: 'Get a customer with their number of orders',
+      tag: 'Customers',
+      responses: { 200: json('The customer', schema('Customer')), 404: response('NotFound') }
+    }),
+    put: operation({
+      operationId: 'updateCustomer',
+      summary: 'Change a customer',
+      tag: 'Customers',
+      role: 'operator',
+      requestBody: jsonBody(schema('CustomerChanges')),
+      responses: { 200: json('The updated customer', schema('Customer')), 404: response('NotFound'), 409: response('Conflict') }
+    }),
+    delete: operation({
+      operationId: 'deleteCustomer',
+      summary: 'Delete a customer without orders',
+      tag: 'Customers',
+      role: 'admin',
+      responses: { 200: deleted, 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/products': {
+    post: operation({
+      operationId: 'createProduct',
+      summary: 'Create a product',
+      tag: 'Products',
+      role: 'operator',
+      requestBody: jsonBody(schema('NewProduct')),
+      responses: { 201: json('The created product', schema('Product')), 409: response('Conflict') }
+    }),
+    get: operation({
+      operationId: 'getProducts',
+      summary: 'List products by name',
+      tag: 'Products',
+      parameters: PAGE_PARAMETERS,
+      responses: { 200: json('A page of products', listOf(schema('Product'))) }
+    })
+  },
+  '/products/{id}': {
+    parameters: [pathId('id', 'Product id')],
+    get: operation({
+      operationId: 'getProductById',
+      summary: 'Get a product with the units ordered',
+      tag: 'Products',
+      responses: { 200: json('The product', schema('Product')), 404: response('NotFound') }
+    }),
+    put: operation({
+      operationId: 'updateProduct',
+      summary: 'Change a product',
+      tag: 'Products',
+      role: 'operator',
+      requestBody: jsonBody(schema('ProductChanges')),
+      responses: { 200: json('The updated product', schema('Product')), 404: response('NotFound'), 409: response('Conflict') }
+    }),
+    delete: operation({
+      operationId: 'deleteProduct',
+      summary: 'Delete a product that is on no order',
+      tag: 'Products',
+      role: 'admin',
+      responses: { 200: deleted, 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/inventory': {
+    get: operation({
+      operationId: 'getInventory',
+      summary: 'List the stock levels of tracked products',
+      tag: 'Inventory',
+      parameters: [...PAGE_PARAMETERS, query('lowStock', 'Only products with at most this many units available', { type: 'integer', minimum: 0 })],
+      responses: { 200: json('A page of stock levels', listOf(schema('Inventory'))) }
+    })
+  },
+  '/inventory/{productId}': {
+    parameters: [pathId('productId', 'Product id')],
+    get: operation({
+      operationId: 'getProductInventory',
+      summary: 'Get the stock level of a product',
+      tag: 'Inventory',
+      responses: { 200: json('The stock level', schema('Inventory')), 404: response('NotFound') }
+    })
+  },
+  '/inventory/{productId}/movements': {
+    parameters: [pathId('productId', 'Product id')],
+    get: operation({
+      operationId: 'getStockMovements',
+      summary: 'The stock ledger of a product, newest first',
+      tag: 'Inventory',
+      parameters: PAGE_PARAMETERS,
+      responses: { 200: json('A page of stock movements', listOf(schema('StockMovement'))), 404: response('NotFound') }
+    })
+  },
+  '/inventory/{productId}/adjustments': {
+    parameters: [pathId('productId', 'Product id')],
+    post: operation({
+      operationId: 'adjustInventory',
+      summary: 'Add or remove stock, or record a stock count',
+      description: 'The first adjustment of a product starts tracking its stock.',
+      tag: 'Inventory',
+      role: 'operator',
+      requestBody: jsonBody(schema('StockAdjustment')),
+      responses: { 201: json('The new stock level', schema('Inventory')), 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/coupons': {
+    post: operation({
+      operationId: 'createCoupon',
+      summary: 'Create a coupon',
+      tag: 'Coupons',
+      role: 'admin',
+      requestBody: jsonBody(schema('NewCoupon')),
+      responses: { 201: json('The created coupon', schema('Coupon')), 409: response('Conflict') }
+    }),
+    get: operation({
+      operationId: 'getCoupons',
+      summary: 'List coupons',
+      tag: 'Coupons',
+      parameters: PAGE_PARAMETERS,
+      responses: { 200: json('A page of coupons', listOf(schema('Coupon'))) }
+    })
+  },
+  '/coupons/{id}': {
+    parameters: [pathId('id', 'Coupon id')],
+    get: operation({
+      operationId: 'getCouponById',
+      summary: 'Get a coupon',
+      tag: 'Coupons',
+      responses: { 200: json('The coupon', schema('Coupon')), 404: response('NotFound') }
+    }),
+    patch: operation({
+      operationId: 'updateCoupon',
+      summary: 'Change the expiry, usage limit or active flag of a coupon',
+      tag: 'Coupons',
+      role: 'admin',
+      requestBody: jsonBody(schema('CouponChanges')),
+      responses: { 200: json('The updated coupon', schema('Coupon')), 404: response('NotFound') }
+    }),
+    delete: operation({
+      operationId: 'deleteCoupon',
+      summary: 'Delete a coupon no order uses',
+      tag: 'Coupons',
+      role: 'admin',
+      responses: { 200: deleted, 404: response('NotFound'), 409: response('Conflict') }
+    })
+  },
+  '/api-keys': {
+    post: operation({
+      operationId: 'createKey',
+      summary: 'Issue an API key',
+      tag: 'API keys',
+      role: 'admin',
+      requestBody: jsonBody(schema('NewApiKey')),
+      responses: { 201: json('The key, with the key itself shown only this once', schema('ApiKey')) }
+    }),
+    get: operation({
+      operationId: 'getKeys',
+      summary: 'List API keys without their secrets',
+      tag: 'API keys',
+      role: 'admin',
+      responses: { 200: json('Every key', { type: 'object', properties: { data: { type: 'array', items: schema('ApiKey') } } }) }
+    })
+  },
+  '/api-keys/{id}': {
+    parameters: [pathId('id', 'API key id')],
+    delete: operation({
+      operationId: 'revokeKey',
+      summary: 'Revoke an API key',
+      tag: 'API keys',
+      role: 'admin',
+      responses: { 200: json('The revoked key', schema('ApiKey')), 404: response('NotFound') }
+    })
+  },
+  '/webhooks': {
+    post: operation({
+      operationId: 'createWebhook',
+      summary: 'Subscribe a URL to order events',
+      tag: 'Webhooks',
+      role: 'admin',
+      requestBody: jsonBody(schema('NewWebhook')),
+      responses: { 201: json('The webhook, with its secret shown only this once', schema('Webhook')) }
+    }),
+    get: operation({
+      operationId: 'getWebhooks',
+      summary: 'List webhooks',
+      tag: 'Webhooks',
+      role: 'admin',
+      responses: { 200: json('Every webhook', { type: 'object', properties: { data: { type: 'array', items: schema('Webhook') } } }) }
+    })
+  },
+  '/webhooks/{id}': {
+    parameters: [pathId('id', 'Webhook id')],
+    get: operation({
+      operationId: 'getWebhookById',
+      summary: 'Get a webhook',
+      tag: 'Webhooks',
+      role: 'admin',
+      responses: { 200: json('The webhook', schema('Webhook')), 404: response('NotFound') }
+    }),
+    patch: operation({
+      operationId: 'updateWebhook',
+      summary: 'Change the url, events or active flag of a webhook',
+      tag: 'Webhooks',
+      role: 'admin',
+      requestBody: jsonBody(schema('WebhookChanges')),
+      responses: { 200: json('The updated webhook', schema('Webhook')), 404: response('NotFound') }
+    }),
+    delete: operation({
+      operationId: 'deleteWebhook',
+      summary: 'Delete a webhook and its deliveries',
+      tag: 'Webhooks',
+      role: 'admin',
+      responses: { 200: deleted, 404: response('NotFound') }
+    })
+  },
+  '/webhooks/{id}/deliveries': {
+    parameters: [pathId('id', 'Webhook id')],
+    get: operation({
+      operationId: 'getWebhookDeliveries',
+      summary: 'Delivery log of a webhook, with every attempt',
+      tag: 'Webhooks',
+      role: 'admin',
+      parameters: [...PAGE_PARAMETERS, query('status', 'Only deliveries in this status', { type: 'string', enum: DELIVERY_STATUSES })],
+      responses: { 200: json('A page of deliveries, newest first', listOf(schema('WebhookDelivery'))), 404: response('NotFound') }
+    })
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    parameters: [pathId('id', 'Webhook id'), pathId('deliveryId', 'Delivery id')],
+    post: operation({
+      operationId: 'redeliverWebhook',
+      summary: 'Send a delivery again',
+      tag: 'Webhooks',
+      role: 'admin',
+      responses: { 202: json('The delivery is queued', schema('WebhookDelivery')), 404: response('NotFound') }
+    })
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Orders Management API',
+    version,
+    description: 'Orders with line items, pricing, inventory, history, webhooks and reports. '
+      + 'Every route except the health check and the documentation requires an API key. '
+      + 'Every response carries an X-Request-Id header, taken from the request when it sends a usable one.'
+  },
+  security: [{ apiKey: [] }],
+  paths,
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'http', scheme: 'bearer', description: 'API key issued with POST /api-keys or npm run keys:create' }
+    },
+    schemas,
+    responses: {
+      BadRequest: {
+        description: 'Invalid request; Validation failed lists every field that does not match this document',
+        content: { 'application/json': { schema: { anyOf: [schema('ValidationError'), schema('Error')] } } }
+      },
+      Unauthorized: json('Missing or invalid API key', schema('Error')),
+      Forbidden: json('The API key role is not allowed', schema('Error')),
+      NotFound: json('Not found', schema('Error')),
+      Conflict: json('Conflict with the current state, such as an illegal status change or insufficient stock', schema('Error')),
+      PreconditionFailed: json('Stale If-Match ETag', schema('Error')),
+      UnsupportedMediaType: json('Unsupported Content-Type', schema('Error'))
+    }
+  }
+};
+
+// Swagger UI is loaded from a CDN so the API has no front-end dependencies. The version is pinned
+// and the browser checks each file against its Subresource Integrity hash, so a changed file on
+// the CDN is refused instead of run on a page that holds API keys
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.33.1';
+const SWAGGER_UI_INTEGRITY = {
+  css: 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW',
+  bundle: 'sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw'
+};
+
+/**
+ * Serve the OpenAPI document
+ */
+const getOpenApiDocument = (req, res) => {
+  res.json(openApiDocument);
+};
+
+/**
+ * Serve a Swagger UI page for the OpenAPI document
+ */
+const getDocs = (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${openApiDocument.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" integrity="${SWAGGER_UI_INTEGRITY.css}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_INTEGRITY.bundle}" crossorigin="anonymous"></script>
+  <script>
+    SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+  openApiDocument,
+  getOpenApiDocument,
+  getDocs
+};
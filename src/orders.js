@@ -0,0 +1,178 @@
+// New orders - validation, pricing and insertion shared by POST /orders, quotes and the bulk import
+const { run, get } = require('./database');
+const { HttpError } = require('./errors');
+const { getActor, recordOrderEvent } = require('./history');
+const {
+  validateItems,
+  itemInMinorUnits,
+  applyCatalogPrices,
+  itemsFromLegacyOrder,
+  legacyAmountError,
+  summarizeItems,
+  resolveItems,
+  insertItems,
+  getItems
+} = require('./items');
+const { normalizeName, resolveCustomer, findProduct } = require('./catalog');
+const { defaultCurrency, toMinorUnits, formatMoney, moneyError } = require('./money');
+const { taxRates, isTaxRegion, priceOrder } = require('./pricing');
+const { redeemCoupon } = require('./coupons');
+const { syncOrderStock } = require('./inventory');
+const { validateValue } = require('./validation');
+
+const NEW_ORDER_SCHEMA = { $ref: '#/components/schemas/NewOrder' };
+
+const currencyOf = (body) => (body.currency === undefined ? defaultCurrency() : body.currency);
+
+/**
+ * Check what the schema of a new order or quote cannot: the decimal places of its amounts in
+ * its currency, an amount that covers its quantity, and its tax_region against the configured regions
+ * Takes a payload that matches its schema; returns the JSON error body, or null when it is valid
+ */
+const validateBasket = (body) => {
+  const { amount, items, tax_region } = body;
+  const currency = currencyOf(body);
+
+  if (items !== undefined) {
+    const itemErrors = validateItems(items, currency);
+    if (itemErrors.length > 0) {
+      return { error: 'Invalid order items', items: itemErrors };
+    }
+  } else if (toMinorUnits(amount, currency) === null) {
+    return { error: 'Invalid amount', details: moneyError('amount', currency) };
+  } else if (legacyAmountError(body.quantity, toMinorUnits(amount, currency), currency)) {
+    return { error: 'Invalid amount', details: legacyAmountError(body.quantity, toMinorUnits(amount, currency), currency) };
+  }
+
+  if (tax_region !== undefined && !isTaxRegion(tax_region)) {
+    return {
+      error: 'Invalid tax region',
+      taxRegions: [...taxRates().keys()]
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validate a new order that did not go through the validate middleware, such as an imported row
+ * The payload is checked against the NewOrder schema, then by validateBasket.
+ * Returns the JSON error body, or null when the payload is valid
+ */
+const validateNewOrder = (body) => {
+  const fields = validateValue(NEW_ORDER_SCHEMA, body, []);
+  if (fields.length > 0) {
+    return { error: 'Validation failed', fields };
+  }
+
+  return validateBasket(body);
+};
+
+/**
+ * Build the line items of a validated payload, in minor units, with catalog prices filled in
+ * Throws a 400 for items without a price, and for a single-product payload whose amount does not
+ * match the catalog price of its product
+ */
+const basketItems = async (body, currency) => {
+  if (body.items === undefined) {
+    const { product, quantity } = body;
+    const amount = toMinorUnits(body.amount, currency);
+
+    // Only products without a catalog price in the currency are priced from the amount sent
+    const catalogProduct = await findProduct({ product });
+    if (catalogProduct && catalogProduct.unit_price !== null && catalogProduct.currency === currency) {
+      const expected = catalogProduct.unit_price * quantity;
+      if (amount !== expected) {
+        throw new HttpError(400, 'Invalid amount', {
+          details: `amount must be ${formatMoney(expected, currency)}, the catalog price of ${catalogProduct.name} times the quantity`
+        });
+      }
+      return [{ product, quantity, unit_price: catalogProduct.unit_price }];
+    }
+
+    return itemsFromLegacyOrder({ product, quantity, amount });
+  }
+
+  const { items, errors } = await applyCatalogPrices(body.items.map(item => itemInMinorUnits(item, currency)), currency);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid order items', { items: errors });
+  }
+
+  return items;
+};
+
+/**
+ * Price the line items of a validated payload
+ * The amount of a single-product payload is its subtotal, before discount and tax
+ */
+const priceBasket = (body, lines, currency) => {
+  const subtotal = body.items === undefined ? toMinorUnits(body.amount, currency) : summarizeItems(lines).amount;
+  return priceOrder(subtotal, { currency, coupon_code: body.coupon_code, tax_region: body.tax_region });
+};
+
+/**
+ * Price a validated order payload without saving anything or using up its coupon
+ * Resolves with its line items and totals, in minor units
+ */
+const quoteNewOrder = async (body) => {
+  const currency = currencyOf(body);
+  const lines = [];
+
+  for (const item of await basketItems(body, currency)) {
+    const product = await findProduct(item);
+    lines.push({
+      product_id: product ? product.id : null,
+      product: product ? product.name : normalizeName(item.product),
+      quantity: item.quantity,
+      unit_price: item.unit_price
+    });
+  }
+
+  const { coupon, ...pricing } = await priceBasket(body, lines, currency);
+  return { currency, items: lines, ...pricing };
+};
+
+/**
+ * Insert a validated order with its line items, reserve their stock and record it in the order history
+ * Must run inside a transaction; resolves with the created order and its items, in minor units.
+ * Throws a 409 when a tracked product does not have enough stock
+ */
+const insertOrder = async (body, req) => {
+  const { quantity, status, order_date } = body;
+  const currency = currencyOf(body);
+
+  const customer = await resolveCustomer(body);
+
+  // The order totals are computed from the line items, and its coupon is used up
+  const lines = await resolveItems(await basketItems(body, currency));
+  const summary = body.items === undefined ? { product: lines[0].product, quantity } : summarizeItems(lines);
+  const pricing = await priceBasket(body, lines, currency);
+
+  if (pricing.coupon) {
+    await redeemCoupon(pricing.coupon);
+  }
+
+  const { lastID } = await run(
+    `INSERT INTO orders (customer_name, customer_id, product, quantity, subtotal, discount, tax, amount, currency,
+       coupon_id, coupon_code, tax_region, tax_rate, status, order_date, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      customer.name, customer.id, summary.product, summary.quantity, pricing.subtotal, pricing.discount, pricing.tax,
+      pricing.amount, currency, pricing.coupon_id, pricing.coupon_code, pricing.tax_region, pricing.tax_rate,
+      status, order_date, new Date().toISOString()
+    ]
+  );
+  await insertItems(lastID, lines);
+  await syncOrderStock(lastID, getActor(req), { created: true });
+
+  const order = await get('SELECT * FROM orders WHERE id = ?', [lastID]);
+  await recordOrderEvent(lastID, 'created', null, order, getActor(req));
+  return { ...order, items: await getItems(lastID) };
+};
+
+module.exports = {
+  validateBasket,
+  validateNewOrder,
+  quoteNewOrder,
+  insertOrder
+};
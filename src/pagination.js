@@ -0,0 +1,130 @@
+// Pagination and sorting for order listings
+// Offset pagination uses page/limit; keyset pagination uses an opaque cursor that
+// holds the sort values of the last row of the previous page
+const { HttpError } = require('./errors');
+const { comparableAmountSql, comparableMinorUnits } = require('./money');
+
+// Columns GET /orders can be sorted by; all of them are NOT NULL
+const SORTABLE_COLUMNS = ['id', 'order_date', 'amount', 'quantity', 'customer_name', 'product', 'status'];
+
+// Columns sorted by an expression instead of their stored value, with the value a cursor keeps for a row
+// Amounts sort in the same units as the amount filter, whatever the currency of the order
+const SORT_EXPRESSIONS = {
+  amount: { sql: comparableAmountSql('amount', 'currency'), value: row => comparableMinorUnits(row.amount, row.currency) }
+};
+
+const sortSql = column => (SORT_EXPRESSIONS[column] ? SORT_EXPRESSIONS[column].sql : column);
+const sortValue = (row, column) => (SORT_EXPRESSIONS[column] ? SORT_EXPRESSIONS[column].value(row) : row[column]);
+
+const DEFAULT_SORT = '-order_date,-id';
+
+/**
+ * Parse the page and limit query parameters
+ * Throws a 400 when they are out of range
+ */
+const parsePagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+
+  if (page < 1 || limit < 1 || limit > 100) {
+    throw new HttpError(400, 'Invalid pagination parameters', {
+      constraints: 'page >= 1, 1 <= limit <= 100'
+    });
+  }
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Build the pagination metadata of a listing
+ */
+const paginationInfo = ({ page, limit }, totalOrders) => {
+  const totalPages = Math.ceil(totalOrders / limit);
+
+  return {
+    page,
+    limit,
+    totalOrders,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+};
+
+/**
+ * Parse a sort parameter such as "-amount,customer_name"
+ * A leading "-" sorts descending. id is appended as a tiebreaker so the order is total,
+ * which keyset pagination relies on
+ */
+const parseSort = (sort = DEFAULT_SORT) => {
+  const fields = String(sort).split(',').map(field => field.trim()).filter(Boolean);
+  const columns = [];
+
+  for (const field of fields) {
+    const descending = field.startsWith('-');
+    const column = descending ? field.slice(1) : field;
+
+    if (!SORTABLE_COLUMNS.includes(column) || columns.some(existing => existing.column === column)) {
+      throw new HttpError(400, 'Invalid sort parameter', { sortableColumns: SORTABLE_COLUMNS });
+    }
+
+    columns.push({ column, descending });
+  }
+
+  if (columns.length === 0) {
+    throw new HttpError(400, 'Invalid sort parameter', { sortableColumns: SORTABLE_COLUMNS });
+  }
+
+  if (!columns.some(({ column }) => column === 'id')) {
+    columns.push({ column: 'id', descending: columns[columns.length - 1].descending });
+  }
+
+  return {
+    columns,
+    key: columns.map(({ column, descending }) => `${descending ? '-' : ''}${column}`).join(','),
+    orderBy: columns.map(({ column, descending }) => `${sortSql(column)} ${descending ? 'DESC' : 'ASC'}`).join(', ')
+  };
+};
+
+/**
+ * Encode the cursor that continues a listing after `row`
+ */
+const encodeCursor = (row, sort) => {
+  const cursor = { sort: sort.key, values: sort.columns.map(({ column }) => sortValue(row, column)) };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+/**
+ * Decode a cursor into the condition selecting the rows that follow it
+ * Throws a 400 when the cursor is malformed or was made for a different sort
+ */
+const cursorCondition = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.sort !== sort.key || !Array.isArray(decoded.values) || decoded.values.length !== sort.columns.length) {
+    throw new HttpError(400, 'Invalid cursor', { details: 'Use the nextCursor of a previous page with the same sort' });
+  }
+
+  // (a, b) after (x, y) means a > x OR (a = x AND b > y), with < for descending columns
+  const alternatives = sort.columns.map(({ column, descending }, index) => {
+    const equal = sort.columns.slice(0, index).map(previous => `${sortSql(previous.column)} = ?`);
+    return [...equal, `${sortSql(column)} ${descending ? '<' : '>'} ?`].join(' AND ');
+  });
+  const params = sort.columns.flatMap((_, index) => decoded.values.slice(0, index + 1));
+
+  return { condition: `(${alternatives.map(alternative => `(${alternative})`).join(' OR ')})`, params };
+};
+
+module.exports = {
+  SORTABLE_COLUMNS,
+  parsePagination,
+  paginationInfo,
+  parseSort,
+  encodeCursor,
+  cursorCondition
+};
@@ -0,0 +1,237 @@
+// Patch documents - JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902)
+// Both return a new document and leave the original untouched
+const { HttpError } = require('./errors');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Keys that would reach Object.prototype instead of a member of the document
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Compare two JSON values structurally
+ */
+const deepEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, index) => deepEqual(value, b[index]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => deepEqual(a[key], b[key]));
+  }
+
+  return false;
+};
+
+/**
+ * Apply a JSON Merge Patch
+ * null removes a member, objects are merged recursively and anything else replaces
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+
+  Object.keys(patch).forEach((key) => {
+    if (FORBIDDEN_KEYS.includes(key)) {
+      throw new HttpError(400, 'Invalid merge patch', { details: `${key} is not a valid member name` });
+    }
+
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Split a JSON Pointer into its unescaped reference tokens
+ */
+const parsePointer = (pointer, index) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Invalid JSON Pointer: ${pointer}` });
+  }
+
+  const tokens = pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (tokens.some(token => FORBIDDEN_KEYS.includes(token))) {
+    throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Invalid JSON Pointer: ${pointer}` });
+  }
+
+  return tokens;
+};
+
+/**
+ * Read an own member of an object or array, or undefined when there is none
+ */
+const member = (container, key) => {
+  if (Array.isArray(container)) {
+    return /^(0|[1-9][0-9]*)$/.test(key) ? container[Number(key)] : undefined;
+  }
+  return isObject(container) && hasOwn(container, key) ? container[key] : undefined;
+};
+
+/**
+ * Resolve the parent container of a pointer and the final token
+ */
+const resolveParent = (document, tokens, index) => {
+  let parent = document;
+
+  for (const token of tokens.slice(0, -1)) {
+    const next = member(parent, token);
+    if (next === undefined) {
+      throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Path not found: /${tokens.join('/')}` });
+    }
+    parent = next;
+  }
+
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Convert an array index token, allowing "-" (end of array) when adding
+ */
+const arrayIndex = (array, key, allowEnd, index) => {
+  if (allowEnd && key === '-') {
+    return array.length;
+  }
+
+  const position = Number(key);
+  const max = allowEnd ? array.length : array.length - 1;
+
+  if (!/^(0|[1-9][0-9]*)$/.test(key) || position > max) {
+    throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Invalid array index: ${key}` });
+  }
+
+  return position;
+};
+
+const getValue = (document, tokens, index) => {
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, index);
+  const value = Array.isArray(parent) ? parent[arrayIndex(parent, key, false, index)] : member(parent, key);
+
+  if (value === undefined) {
+    throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Path not found: /${tokens.join('/')}` });
+  }
+
+  return value;
+};
+
+const addValue = (document, tokens, value, index) => {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, index);
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true, index), 0, value);
+  } else if (isObject(parent)) {
+    parent[key] = value;
+  } else {
+    throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Path not found: /${tokens.join('/')}` });
+  }
+
+  return document;
+};
+
+const removeValue = (document, tokens, index) => {
+  getValue(document, tokens, index);
+
+  if (tokens.length === 0) {
+    return undefined;
+  }
+
+  const { parent, key } = resolveParent(document, tokens, index);
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false, index), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return document;
+};
+
+/**
+ * Apply a JSON Patch (add, remove, replace, move, copy and test operations)
+ * Malformed operations throw a 400 and a failing "test" operation throws a 409
+ */
+const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new HttpError(400, 'Invalid JSON Patch', { details: 'A JSON Patch document must be an array of operations' });
+  }
+
+  let document = clone(target);
+
+  operations.forEach((operation, index) => {
+    if (!isObject(operation)) {
+      throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: 'Each operation must be an object' });
+    }
+
+    const { op, path, from, value } = operation;
+    const tokens = parsePointer(path, index);
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+
+    if (needsValue && value === undefined) {
+      throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `"${op}" requires a value` });
+    }
+
+    switch (op) {
+      case 'add':
+        document = addValue(document, tokens, clone(value), index);
+        break;
+      case 'remove':
+        document = removeValue(document, tokens, index);
+        break;
+      case 'replace':
+        document = removeValue(document, tokens, index);
+        document = addValue(document, tokens, clone(value), index);
+        break;
+      case 'move': {
+        const fromTokens = parsePointer(from, index);
+        const moved = getValue(document, fromTokens, index);
+        document = removeValue(document, fromTokens, index);
+        document = addValue(document, tokens, moved, index);
+        break;
+      }
+      case 'copy':
+        document = addValue(document, tokens, clone(getValue(document, parsePointer(from, index), index)), index);
+        break;
+      case 'test':
+        if (!deepEqual(getValue(document, tokens, index), value)) {
+          throw new HttpError(409, 'JSON Patch test failed', { operation: index, path });
+        }
+        break;
+      default:
+        throw new HttpError(400, 'Invalid JSON Patch', { operation: index, details: `Unknown operation: ${op}` });
+    }
+  });
+
+  return document;
+};
+
+module.exports = {
+  deepEqual,
+  applyMergePatch,
+  applyJsonPatch
+};
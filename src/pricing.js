@@ -0,0 +1,78 @@
+// Pricing - the subtotal, discount, tax and total of an order, in minor units
+// The subtotal is the sum of the line items. A coupon discounts it, then tax is charged on the
+// discounted subtotal at the rate of the order's tax region. Rates are configured in TAX_RATES
+// as region=percent pairs, e.g. TAX_RATES=US-CA=7.25,US-NY=8.875,DE=19
+const { get } = require('./database');
+const { isPercentage, percentOf } = require('./money');
+const { findApplicableCoupon, couponDiscount } = require('./coupons');
+
+/**
+ * Parse TAX_RATES into a map of region to percentage
+ * Regions are matched case-insensitively. Throws when an entry is malformed
+ */
+const taxRates = () => {
+  const rates = new Map();
+
+  (process.env.TAX_RATES || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [region, rate] = entry.split('=').map(part => part.trim());
+
+    if (!region || !isPercentage(rate)) {
+      throw new Error(`Invalid TAX_RATES entry "${entry}", expected region=percent`);
+    }
+    rates.set(region.toUpperCase(), Number(rate));
+  });
+
+  return rates;
+};
+
+/**
+ * Check that a tax region has a configured rate
+ */
+const isTaxRegion = (region) => typeof region === 'string' && taxRates().has(region.trim().toUpperCase());
+
+/**
+ * Compute the totals of an order from its subtotal
+ * `coupon` is the coupon applied to it, if any, and `taxRate` a percentage
+ */
+const computeTotals = (subtotal, coupon, taxRate) => {
+  const discount = coupon ? couponDiscount(coupon, subtotal) : 0;
+  const tax = percentOf(subtotal - discount, taxRate);
+
+  return { subtotal, discount, tax, amount: subtotal - discount + tax };
+};
+
+/**
+ * Price a new order: check its coupon, look up its tax rate and compute its totals
+ * Throws a 400 when the coupon does not apply. Resolves with the breakdown stored on the order,
+ * and the coupon to redeem
+ */
+const priceOrder = async (subtotal, { currency, coupon_code, tax_region }) => {
+  const coupon = coupon_code === undefined ? null : await findApplicableCoupon(coupon_code, currency, subtotal);
+  const region = tax_region === undefined ? null : tax_region.trim().toUpperCase();
+  const taxRate = region === null ? 0 : taxRates().get(region);
+
+  return {
+    ...computeTotals(subtotal, coupon, taxRate),
+    coupon,
+    coupon_id: coupon ? coupon.id : null,
+    coupon_code: coupon ? coupon.code : null,
+    tax_region: region,
+    tax_rate: taxRate
+  };
+};
+
+/**
+ * Recompute the totals of an existing order after its items changed
+ * The order keeps its coupon, whose terms cannot change, and the tax rate it was created with
+ */
+const repriceOrder = async (order, subtotal) => {
+  const coupon = order.coupon_id ? await get('SELECT * FROM coupons WHERE id = ?', [order.coupon_id]) : null;
+  return computeTotals(subtotal, coupon, order.tax_rate);
+};
+
+module.exports = {
+  taxRates,
+  isTaxRegion,
+  priceOrder,
+  repriceOrder
+};
@@ -0,0 +1,202 @@
+// Products controller - CRUD for product records referenced by order items
+const { run, get, all, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { normalizeName } = require('./catalog');
+const { parsePagination } = require('./pagination');
+const { SUPPORTED_CURRENCIES, defaultCurrency, isCurrency, toMinorUnits, formatMoney, moneyError } = require('./money');
+
+/**
+ * Validate a product payload, with its unit_price in its currency
+ * Returns an error message, or null when the payload is valid
+ */
+const validateProduct = ({ name, sku, unit_price, currency }) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name is required';
+  }
+
+  if (sku !== undefined && sku !== null && (typeof sku !== 'string' || !sku.trim())) {
+    return 'sku must be a non-empty string';
+  }
+
+  if (!isCurrency(currency)) {
+    return `currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`;
+  }
+
+  if (unit_price !== undefined && unit_price !== null && toMinorUnits(unit_price, currency) === null) {
+    return moneyError('unit_price', currency);
+  }
+
+  return null;
+};
+
+/**
+ * Convert a product row to its API representation
+ */
+const formatProduct = (product) => ({ ...product, unit_price: formatMoney(product.unit_price, product.currency) });
+
+/**
+ * Check whether a write failed on the unique product name or SKU
+ */
+const isDuplicateProduct = (err) => {
+  return err.code === 'SQLITE_CONSTRAINT' && (err.message.includes('products.name') || err.message.includes('products.sku'));
+};
+
+/**
+ * Create a new product
+ */
+const createProduct = async (req, res) => {
+  const currency = req.body.currency === undefined ? defaultCurrency() : req.body.currency;
+  const validationError = validateProduct({ ...req.body, currency });
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid product', details: validationError });
+  }
+
+  const name = normalizeName(req.body.name);
+  const sku = req.body.sku ? req.body.sku.trim() : null;
+  const unitPrice = req.body.unit_price ? toMinorUnits(req.body.unit_price, currency) : null;
+
+  try {
+    const product = await withTransaction(async () => {
+      const { lastID } = await run(
+        'INSERT INTO products (name, sku, unit_price, currency) VALUES (?, ?, ?, ?)',
+        [name, sku, unitPrice, currency]
+      );
+      return get('SELECT * FROM products WHERE id = ?', [lastID]);
+    });
+    res.status(201).json(formatProduct(product));
+  } catch (err) {
+    if (isDuplicateProduct(err)) {
+      return res.status(409).json({ error: 'Product already exists' });
+    }
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get all products with pagination
+ */
+const getProducts = async (req, res) => {
+  try {
+    const { page, limit, offset } = parsePagination(req.query);
+    const { total } = await get('SELECT COUNT(*) as total FROM products');
+    const rows = await all('SELECT * FROM products ORDER BY name ASC LIMIT ? OFFSET ?', [limit, offset]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      data: rows.map(formatProduct),
+      pagination: {
+        page,
+        limit,
+        totalProducts: total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get a single product by ID, with the number of units ordered
+ */
+const getProductById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const product = await get('SELECT * FROM products WHERE id = ?', [id]);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const { unitsOrdered } = await get('SELECT COALESCE(SUM(quantity), 0) as unitsOrdered FROM order_items WHERE product_id = ?', [id]);
+    res.json({ ...formatProduct(product), units_ordered: unitsOrdered });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Update a product by ID
+ * Order items keep the product name they were ordered with
+ */
+const updateProduct = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const product = await withTransaction(async () => {
+      const current = await get('SELECT * FROM products WHERE id = ?', [id]);
+
+      if (!current) {
+        throw new HttpError(404, 'Product not found');
+      }
+
+      // The current price is validated again when only the currency changes
+      const updated = {
+        name: req.body.name !== undefined ? req.body.name : current.name,
+        sku: req.body.sku !== undefined ? req.body.sku : current.sku,
+        unit_price: req.body.unit_price !== undefined ? req.body.unit_price : formatMoney(current.unit_price, current.currency),
+        currency: req.body.currency !== undefined ? req.body.currency : current.currency
+      };
+
+      const validationError = validateProduct(updated);
+      if (validationError) {
+        throw new HttpError(400, 'Invalid product', { details: validationError });
+      }
+
+      const unitPrice = updated.unit_price === null ? null : toMinorUnits(updated.unit_price, updated.currency);
+      await run(
+        'UPDATE products SET name = ?, sku = ?, unit_price = ?, currency = ? WHERE id = ?',
+        [normalizeName(updated.name), updated.sku ? updated.sku.trim() : null, unitPrice, updated.currency, id]
+      );
+      return get('SELECT * FROM products WHERE id = ?', [id]);
+    });
+
+    res.json(formatProduct(product));
+  } catch (err) {
+    if (isDuplicateProduct(err)) {
+      return res.status(409).json({ error: 'Product already exists' });
+    }
+    sendError(res, err);
+  }
+};
+
+/**
+ * Delete a product by ID, with its stock level and stock movements
+ * Products that appear on order items cannot be deleted
+ */
+const deleteProduct = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await withTransaction(async () => {
+      const { itemCount } = await get('SELECT COUNT(*) as itemCount FROM order_items WHERE product_id = ?', [id]);
+
+      if (itemCount > 0) {
+        throw new HttpError(409, 'Product is used by orders', { item_count: itemCount });
+      }
+
+      await run('DELETE FROM stock_movements WHERE product_id = ?', [id]);
+      await run('DELETE FROM inventory WHERE product_id = ?', [id]);
+      const { changes } = await run('DELETE FROM products WHERE id = ?', [id]);
+
+      if (changes === 0) {
+        throw new HttpError(404, 'Product not found');
+      }
+    });
+
+    res.json({ message: 'Product deleted successfully', id });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  createProduct,
+  getProducts,
+  getProductById,
+  updateProduct,
+  deleteProduct
+};
@@ -0,0 +1,240 @@
+// Reports - order statistics and revenue aggregated in SQLite
+// Both endpoints accept the same filters as GET /orders. Amounts in different currencies
+// cannot be added up, so the matching orders must all be in one currency
+const { get, all } = require('./database');
+const { ORDER_STATUSES } = require('./lifecycle');
+const { HttpError, sendError } = require('./errors');
+const { parseOrderFilters } = require('./filters');
+const { defaultCurrency, isCurrency, formatMoney } = require('./money');
+
+const REVENUE_GROUPS = ['day', 'week', 'month', 'product', 'customer'];
+
+// Gap filling stops a report from returning an unbounded number of empty buckets
+const MAX_BUCKETS = 1000;
+
+// SQL expression for the start of the time bucket of an order; weeks start on Monday
+// Order dates that are not dates, which older versions accepted, give NULL
+const PERIOD_SQL = {
+  day: 'date(substr(order_date, 1, 10))',
+  week: "date(substr(order_date, 1, 10), 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m', substr(order_date, 1, 10))"
+};
+
+const ORDER_AGGREGATES = `COUNT(*) AS orderCount, COALESCE(SUM(amount), 0) AS totalAmount,
+  COALESCE(SUM(quantity), 0) AS quantitySold`;
+
+/**
+ * Format the money columns of an aggregate row and add the average order amount,
+ * rounded to the nearest minor unit
+ */
+const toMetrics = ({ orderCount, totalAmount, quantitySold }, currency) => ({
+  orderCount,
+  totalAmount: formatMoney(totalAmount, currency),
+  averageAmount: formatMoney(orderCount > 0 ? Math.round(totalAmount / orderCount) : 0, currency),
+  quantitySold
+});
+
+const emptyMetrics = (currency) => toMetrics({ orderCount: 0, totalAmount: 0, quantitySold: 0 }, currency);
+
+/**
+ * Add an extra condition to a WHERE clause built by parseOrderFilters
+ */
+const andWhere = (whereClause, condition) => {
+  return whereClause ? `${whereClause} AND ${condition}` : `WHERE ${condition}`;
+};
+
+/**
+ * Find the one currency of the orders matching the filters
+ * Without matching orders it is the currency filtered by, or the default currency.
+ * Throws a 400 when the orders are in more than one currency
+ */
+const reportCurrency = async (whereClause, params, query) => {
+  const rows = await all(`SELECT DISTINCT currency FROM orders ${whereClause} ORDER BY currency`, params);
+
+  if (rows.length > 1) {
+    throw new HttpError(400, 'Mixed currencies', {
+      currencies: rows.map(row => row.currency),
+      details: 'Amounts in different currencies cannot be added up; filter by currency, e.g. currency=USD'
+    });
+  }
+
+  if (rows.length === 1) {
+    return rows[0].currency;
+  }
+  return isCurrency(query.currency) ? query.currency : defaultCurrency();
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const toUTCDate = (text) => new Date(`${text.slice(0, 10)}T00:00:00Z`);
+
+const isDate = (text) => DATE_PATTERN.test(text || '') && !isNaN(toUTCDate(text));
+
+/**
+ * Start of the bucket containing a YYYY-MM-DD date
+ */
+const periodOf = (groupBy, text) => {
+  if (groupBy === 'month') {
+    return text.slice(0, 7);
+  }
+
+  const date = toUTCDate(text);
+  if (groupBy === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Bucket following `period`
+ */
+const nextPeriod = (groupBy, period) => {
+  if (groupBy === 'month') {
+    const [year, month] = period.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+
+  const date = toUTCDate(period);
+  date.setUTCDate(date.getUTCDate() + (groupBy === 'week' ? 7 : 1));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Fill in empty buckets between the requested (or found) first and last periods
+ * Orders without a usable date have no period and are left out
+ */
+const fillPeriods = (groupBy, rows, query, currency) => {
+  const dated = rows.filter(row => row.period !== null);
+  const byPeriod = new Map(dated.map(row => [row.period, row]));
+  const periods = dated.map(row => row.period);
+
+  const first = isDate(query.startDate) ? periodOf(groupBy, query.startDate) : periods[0];
+  const last = isDate(query.endDate) ? periodOf(groupBy, query.endDate) : periods[periods.length - 1];
+
+  if (!first || !last) {
+    return [];
+  }
+
+  const buckets = [];
+  for (let period = first; period <= last; period = nextPeriod(groupBy, period)) {
+    if (buckets.length === MAX_BUCKETS) {
+      throw new HttpError(400, 'Too many buckets', {
+        details: `Narrow the date range or use a larger groupBy; at most ${MAX_BUCKETS} buckets are returned`
+      });
+    }
+    const row = byPeriod.get(period);
+    buckets.push({ period, ...(row ? toMetrics(row, currency) : emptyMetrics(currency)) });
+  }
+
+  return buckets;
+};
+
+/**
+ * Revenue per time bucket
+ */
+const revenueByPeriod = async (groupBy, whereClause, params, query, currency) => {
+  const rows = await all(
+    `SELECT ${PERIOD_SQL[groupBy]} AS period, ${ORDER_AGGREGATES}
+     FROM orders ${andWhere(whereClause, 'order_date IS NOT NULL')}
+     GROUP BY period ORDER BY period ASC`,
+    params
+  );
+
+  return fillPeriods(groupBy, rows, query, currency);
+};
+
+/**
+ * Revenue per product, from the line items of the matching orders
+ * Each line gets its share of the order's discount and tax, in proportion to its price, so
+ * product revenue adds up to the order amounts that the other groupings report
+ */
+const revenueByProduct = async (whereClause, params, currency) => {
+  const rows = await all(
+    `SELECT order_items.product_id AS productId, MIN(order_items.product) AS product,
+       COUNT(DISTINCT order_items.order_id) AS orderCount,
+       CAST(ROUND(COALESCE(SUM(order_items.quantity * order_items.unit_price * 1.0 * orders.amount / NULLIF(lines.total, 0)), 0)) AS INTEGER)
+         AS totalAmount,
+       SUM(order_items.quantity) AS quantitySold
+     FROM order_items
+     JOIN orders ON orders.id = order_items.order_id
+     JOIN (SELECT order_id, SUM(quantity * unit_price) AS total FROM order_items GROUP BY order_id) AS lines
+       ON lines.order_id = order_items.order_id
+     ${whereClause}
+     GROUP BY COALESCE(order_items.product_id, order_items.product)
+     ORDER BY totalAmount DESC`,
+    params
+  );
+
+  return rows.map(({ productId, product, ...metrics }) => ({ productId, product, ...toMetrics(metrics, currency) }));
+};
+
+/**
+ * Revenue per customer
+ */
+const revenueByCustomer = async (whereClause, params, currency) => {
+  const rows = await all(
+    `SELECT customer_id AS customerId, MIN(customer_name) AS customerName, ${ORDER_AGGREGATES}
+     FROM orders ${whereClause}
+     GROUP BY COALESCE(customer_id, customer_name)
+     ORDER BY totalAmount DESC`,
+    params
+  );
+
+  return rows.map(({ customerId, customerName, ...metrics }) => ({ customerId, customerName, ...toMetrics(metrics, currency) }));
+};
+
+/**
+ * Get order statistics: counts, total and average amount and quantity sold,
+ * overall and for each status
+ */
+const getOrderStats = async (req, res) => {
+  try {
+    const { whereClause, params } = parseOrderFilters(req.query);
+    const currency = await reportCurrency(whereClause, params, req.query);
+
+    const totals = await get(`SELECT ${ORDER_AGGREGATES} FROM orders ${whereClause}`, params);
+    const rows = await all(`SELECT status, ${ORDER_AGGREGATES} FROM orders ${whereClause} GROUP BY status`, params);
+
+    const byStatus = {};
+    ORDER_STATUSES.forEach((status) => {
+      const row = rows.find(result => result.status === status);
+      byStatus[status] = row ? toMetrics(row, currency) : emptyMetrics(currency);
+    });
+
+    res.json({ currency, ...toMetrics(totals, currency), byStatus });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get revenue grouped by day, week, month, product or customer
+ * Time buckets without orders are included with zero values
+ */
+const getRevenueReport = async (req, res) => {
+  const groupBy = req.query.groupBy || 'month';
+
+  try {
+    const { whereClause, params } = parseOrderFilters(req.query);
+    const currency = await reportCurrency(whereClause, params, req.query);
+
+    let buckets;
+    if (groupBy === 'product') {
+      buckets = await revenueByProduct(whereClause, params, currency);
+    } else if (groupBy === 'customer') {
+      buckets = await revenueByCustomer(whereClause, params, currency);
+    } else {
+      buckets = await revenueByPeriod(groupBy, whereClause, params, req.query, currency);
+    }
+
+    res.json({ groupBy, currency, buckets });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  REVENUE_GROUPS,
+  getOrderStats,
+  getRevenueReport
+};
@@ -0,0 +1,115 @@
+// Full-text search - ranked search over customer names and products using SQLite FTS5
+// The orders_fts index is kept in sync with the orders table by triggers (see database.js)
+const { get, all } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { parseOrderFilters } = require('./filters');
+const { parsePagination, paginationInfo } = require('./pagination');
+const { attachCustomers } = require('./catalog');
+const { formatOrder } = require('./money');
+
+// Orders joined to their entry in the index, for queries that match a search
+const SEARCH_FROM = 'FROM orders_fts JOIN orders ON orders.id = orders_fts.rowid';
+
+// FTS5 marks matches with these characters; they are swapped for <mark> tags after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Turn free text into an FTS5 query
+ * Every word must match, as a prefix, so "garc monitor" finds "Garcia" and "Monitor 27"
+ */
+const toMatchQuery = (q) => {
+  const terms = String(q)
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(term => /[\p{L}\p{N}]/u.test(term));
+
+  if (terms.length === 0) {
+    throw new HttpError(400, 'Invalid search query', { details: 'q must contain at least one word' });
+  }
+
+  return terms.map(term => `"${term}"*`).join(' ');
+};
+
+/**
+ * Add the search condition, whose parameter is the match query, to a WHERE clause built by parseOrderFilters
+ */
+const withMatch = (whereClause) => (whereClause ? `${whereClause} AND orders_fts MATCH ?` : 'WHERE orders_fts MATCH ?');
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * HTML-escape a highlighted value and wrap its matches in <mark> tags
+ */
+const toHighlight = (text) => {
+  return escapeHtml(text)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+};
+
+/**
+ * Search orders by customer name and product, best matches first
+ * Query: q, plus the GET /orders filters and pagination.
+ * Each result carries its rank and highlighted snippets in `search`
+ */
+const searchOrders = async (req, res) => {
+  if (req.query.q === undefined) {
+    return res.status(400).json({ error: 'Missing search query', required: ['q'] });
+  }
+
+  // Results are ranked by relevance and paged by number, so another sort or a cursor would be ignored
+  if (req.query.cursor !== undefined || req.query.sort !== undefined) {
+    return res.status(400).json({ error: 'Search results cannot be sorted or paged with a cursor', details: 'Use page and limit with q' });
+  }
+
+  try {
+    const match = toMatchQuery(req.query.q);
+    const pagination = parsePagination(req.query);
+    const { whereClause, params } = parseOrderFilters(req.query);
+    const where = withMatch(whereClause);
+
+    const { total } = await get(`SELECT COUNT(*) AS total ${SEARCH_FROM} ${where}`, [...params, match]);
+
+    const rows = await all(
+      `SELECT orders.*, bm25(orders_fts) AS search_rank,
+         highlight(orders_fts, 0, ?, ?) AS customer_name_highlight,
+         snippet(orders_fts, 1, ?, ?, '…', 12) AS product_highlight
+       ${SEARCH_FROM} ${where}
+       ORDER BY search_rank ASC, orders.id DESC
+       LIMIT ? OFFSET ?`,
+      [MATCH_START, MATCH_END, MATCH_START, MATCH_END, ...params, match, pagination.limit, pagination.offset]
+    );
+
+    const data = rows.map(({ search_rank, customer_name_highlight, product_highlight, ...order }) => ({
+      ...formatOrder(order),
+      search: {
+        // bm25 scores are negative, lower is better; report them as a positive relevance
+        rank: -search_rank,
+        highlights: {
+          customer_name: toHighlight(customer_name_highlight),
+          product: toHighlight(product_highlight)
+        }
+      }
+    }));
+
+    res.json({
+      data: await attachCustomers(data),
+      pagination: paginationInfo(pagination, total)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  SEARCH_FROM,
+  toMatchQuery,
+  withMatch,
+  searchOrders
+};
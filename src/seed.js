@@ -1,7 +1,10 @@
 // Seed script - Populate database with 50 sample orders
 // GitHub Copilot can generate realistic test data based on comments
 require('dotenv').config();
-const { db, initializeDatabase } = require('./database');
+const { db, checkSchema } = require('./database');
+const { summarizeItems, resolveItems, insertItems } = require('./items');
+const { resolveCustomer } = require('./catalog');
+const { defaultCurrency } = require('./money');
 
 // Sample data generators
 const customers = [
@@ -31,17 +34,25 @@ const randomDate = () => {
   return date.toISOString().split('T')[0];
 };
 
-// Generate random order
+// Generate random line item, priced in minor units between 50.00 and 1049.99
+const generateItem = () => ({
+  product: products[Math.floor(Math.random() * products.length)],
+  quantity: Math.floor(Math.random() * 10) + 1,
+  unit_price: Math.floor(Math.random() * 100000) + 5000
+});
+
+// Generate random order with 1-3 line items
 const generateOrder = () => {
-  const quantity = Math.floor(Math.random() * 10) + 1;
-  const basePrice = Math.floor(Math.random() * 1000) + 50;
-  const amount = (basePrice * quantity).toFixed(2);
+  const items = Array.from({ length: Math.floor(Math.random() * 3) + 1 }, generateItem);
+  const { product, quantity, amount } = summarizeItems(items);
   
   return {
     customer_name: customers[Math.floor(Math.random() * customers.length)],
-    product: products[Math.floor(Math.random() * products.length)],
+    product,
     quantity,
     amount,
+    currency: defaultCurrency(),
+    items,
     status: statuses[Math.floor(Math.random() * statuses.length)],
     order_date: randomDate()
   };
@@ -50,10 +61,19 @@ const generateOrder = () => {
 // Seed database with orders
 const seedDatabase = async () => {
   try {
-    // Initialize database
-    await initializeDatabase();
+    // Refuse to seed a database whose schema is not up to date
+    await checkSchema();
+
+    // Clear existing orders, their items and their history
+    for (const table of ['order_events', 'order_items']) {
+      await new Promise((resolve, reject) => {
+        db.run(`DELETE FROM ${table}`, (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
 
-    // Clear existing orders
     await new Promise((resolve, reject) => {
       db.run('DELETE FROM orders', (err) => {
         if (err) reject(err);
@@ -64,24 +84,35 @@ const seedDatabase = async () => {
       });
     });
 
-    // Insert 50 sample orders
+    // Insert 50 sample orders linked to customer and product records
     console.log('Generating 50 sample orders...');
     const orders = Array.from({ length: 50 }, generateOrder);
 
+    for (const order of orders) {
+      order.customer_id = (await resolveCustomer(order)).id;
+      order.items = await resolveItems(order.items);
+    }
+
     const insertPromises = orders.map((order, index) => {
       return new Promise((resolve, reject) => {
-        const sql = `INSERT INTO orders (customer_name, product, quantity, amount, status, order_date) 
-                     VALUES (?, ?, ?, ?, ?, ?)`;
+        // Sample orders have no coupon or tax, so their subtotal is their amount
+        // Cancelled ones get a reason and time, as POST /orders/:id/cancel records
+        const cancelled = order.status === 'cancelled';
+        const sql = `INSERT INTO orders (customer_name, customer_id, product, quantity, subtotal, amount, currency, status, order_date, cancellation_reason, cancelled_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
         
         db.run(
           sql,
-          [order.customer_name, order.product, order.quantity, order.amount, order.status, order.order_date],
+          [
+            order.customer_name, order.customer_id, order.product, order.quantity, order.amount, order.amount, order.currency,
+            order.status, order.order_date, cancelled ? 'Cancelled by the customer' : null, cancelled ? new Date().toISOString() : null
+          ],
           function(err) {
             if (err) {
               reject(err);
             } else {
               console.log(`Inserted order ${index + 1}/50 - ID: ${this.lastID}`);
-              resolve();
+              insertItems(this.lastID, order.items).then(resolve, reject);
             }
           }
         );
@@ -2,48 +2,225 @@
 // GitHub Copilot helps generate server configuration and middleware setup
 require('dotenv').config();
 const express = require('express');
-const { initializeDatabase } = require('./database');
+const { checkSchema } = require('./database');
 const {
   createOrder,
+  quoteOrder,
   getOrders,
   getOrderById,
   updateOrder,
-  deleteOrder
+  patchOrder,
+  deleteOrder,
+  restoreOrder,
+  processOrder,
+  completeOrder,
+  cancelOrder,
+  getOrderHistory,
+  addOrderItem,
+  updateOrderItem,
+  deleteOrderItem
 } = require('./controllers');
+const {
+  createCustomer,
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+  deleteCustomer
+} = require('./customers');
+const {
+  createProduct,
+  getProducts,
+  getProductById,
+  updateProduct,
+  deleteProduct
+} = require('./products');
+const {
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+} = require('./coupons');
+const { taxRates } = require('./pricing');
+const { getInventory, getProductInventory, getStockMovements, adjustInventory } = require('./inventory');
+const { createKey, getKeys, revokeKey } = require('./keys');
+const { authenticate, authorize } = require('./auth');
+const { logger, requestLogger } = require('./logger');
+const { requestMetrics, getMetrics } = require('./metrics');
+const { getLiveness, getReadiness, drainConnections, shutdownServer } = require('./health');
+const { getOpenApiDocument, getDocs } = require('./openapi');
+const { validate } = require('./validation');
+const { idempotency } = require('./idempotency');
+const { CSV_TYPES, NDJSON_TYPES, importOrders } = require('./imports');
+const { exportOrders } = require('./exports');
+const { getOrderStats, getRevenueReport } = require('./reports');
+const { searchOrders } = require('./search');
+const { streamOrders } = require('./stream');
+const { getTrash, startTrashPurge } = require('./trash');
+const {
+  startWebhookDispatcher,
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+} = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
+// Request ids, logging and metrics come first, so every response carries an X-Request-Id and is measured
+app.use(requestLogger);
+app.use(requestMetrics);
+app.use(drainConnections);
+
+// PATCH bodies use the merge-patch and json-patch media types
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-  next();
-});
+// Health checks - /health/live answers while the process serves, /health/ready (and /health)
+// only while the database answers and its schema is up to date; both fail once shutting down
+app.get('/health', validate, getReadiness);
+app.get('/health/live', validate, getLiveness);
+app.get('/health/ready', validate, getReadiness);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// API description - the OpenAPI document and a Swagger UI page for it
+app.get('/openapi.json', validate, getOpenApiDocument);
+app.get('/docs', validate, getDocs);
+
+// Every route below requires an API key
+// Any role may read; operator is needed to create or update, admin to delete.
+// Each route validates its request against the OpenAPI document (see openapi.js) after the role check
+app.use(authenticate);
+const operator = authorize('operator');
+const admin = authorize('admin');
+
+// GET /metrics - Prometheus metrics (scrape with a read-only key as bearer token)
+app.get('/metrics', validate, getMetrics);
 
 // API Routes
-// POST /orders - Create a new order
-app.post('/orders', createOrder);
+// POST /orders - Create a new order (retries are safe with an Idempotency-Key header)
+app.post('/orders', operator, validate, idempotency, createOrder);
+
+// POST /orders/quote - Price an order without creating it (any role, nothing is saved)
+app.post('/orders/quote', validate, quoteOrder);
+
+// POST /orders/import - Bulk import orders from a CSV or NDJSON upload
+app.post('/orders/import', operator, express.text({ type: [...CSV_TYPES, ...NDJSON_TYPES], limit: '10mb' }), validate, importOrders);
 
-// GET /orders - Get all orders with pagination and filtering
-app.get('/orders', getOrders);
+// GET /orders - Get all orders with pagination and filtering (q= searches, like /orders/search)
+app.get('/orders', validate, getOrders);
+
+// GET /orders/search - Ranked full-text search over customer names and products
+app.get('/orders/search', validate, searchOrders);
+
+// GET /orders/export - Download every matching order as CSV, NDJSON or XLSX
+app.get('/orders/export', validate, exportOrders);
+
+// GET /orders/stream - Live feed of order changes as Server-Sent Events (resumable with Last-Event-ID)
+app.get('/orders/stream', validate, streamOrders);
+
+// GET /orders/stats - Order counts, amounts and quantities, overall and by status
+app.get('/orders/stats', validate, getOrderStats);
+
+// GET /orders/trash - Deleted orders that can still be restored
+app.get('/orders/trash', validate, getTrash);
 
 // GET /orders/:id - Get a single order by ID
-app.get('/orders/:id', getOrderById);
+app.get('/orders/:id', validate, getOrderById);
+
+// GET /orders/:id/history - Get the change history of an order
+app.get('/orders/:id/history', validate, getOrderHistory);
+
+// PUT /orders/:id - Replace an order
+app.put('/orders/:id', operator, validate, updateOrder);
+
+// PATCH /orders/:id - Partially update an order (JSON Merge Patch or JSON Patch)
+app.patch('/orders/:id', operator, validate, patchOrder);
+
+// DELETE /orders/:id - Move an order to the trash (?hard=true deletes it permanently)
+app.delete('/orders/:id', admin, validate, deleteOrder);
+
+// POST /orders/:id/restore - Take an order back out of the trash
+app.post('/orders/:id/restore', operator, validate, restoreOrder);
 
-// PUT /orders/:id - Update an order
-app.put('/orders/:id', updateOrder);
+// Order line items - only editable while the order is pending
+// POST /orders/:id/items - Add a line item
+app.post('/orders/:id/items', operator, validate, addOrderItem);
 
-// DELETE /orders/:id - Delete an order
-app.delete('/orders/:id', deleteOrder);
+// PUT /orders/:id/items/:itemId - Change a line item
+app.put('/orders/:id/items/:itemId', operator, validate, updateOrderItem);
+
+// DELETE /orders/:id/items/:itemId - Remove a line item
+app.delete('/orders/:id/items/:itemId', operator, validate, deleteOrderItem);
+
+// Order lifecycle actions - return 409 when the transition is not allowed
+// POST /orders/:id/process - pending -> processing
+app.post('/orders/:id/process', operator, validate, processOrder);
+
+// POST /orders/:id/complete - processing -> completed
+app.post('/orders/:id/complete', operator, validate, completeOrder);
+
+// POST /orders/:id/cancel - pending|processing -> cancelled (requires a reason)
+app.post('/orders/:id/cancel', operator, validate, cancelOrder);
+
+// Reports
+// GET /reports/revenue - Revenue grouped by day, week, month, product or customer
+app.get('/reports/revenue', validate, getRevenueReport);
+
+// Customer routes
+app.post('/customers', operator, validate, createCustomer);
+app.get('/customers', validate, getCustomers);
+app.get('/customers/:id', validate, getCustomerById);
+app.put('/customers/:id', operator, validate, updateCustomer);
+app.delete('/customers/:id', admin, validate, deleteCustomer);
+
+// Product routes
+app.post('/products', operator, validate, createProduct);
+app.get('/products', validate, getProducts);
+app.get('/products/:id', validate, getProductById);
+app.put('/products/:id', operator, validate, updateProduct);
+app.delete('/products/:id', admin, validate, deleteProduct);
+
+// Inventory - stock levels of tracked products
+// Orders reserve stock when created and return 409 when a product does not have enough
+app.get('/inventory', validate, getInventory);
+app.get('/inventory/:productId', validate, getProductInventory);
+
+// GET /inventory/:productId/movements - The stock ledger of a product, newest first
+app.get('/inventory/:productId/movements', validate, getStockMovements);
+
+// POST /inventory/:productId/adjustments - Add or remove stock, or record a stock count
+app.post('/inventory/:productId/adjustments', operator, validate, adjustInventory);
+
+// Coupon routes - discount codes for new orders, managed by admins
+app.post('/coupons', admin, validate, createCoupon);
+app.get('/coupons', validate, getCoupons);
+app.get('/coupons/:id', validate, getCouponById);
+app.patch('/coupons/:id', admin, validate, updateCoupon);
+app.delete('/coupons/:id', admin, validate, deleteCoupon);
+
+// API key management - admin only
+app.post('/api-keys', admin, validate, createKey);
+app.get('/api-keys', admin, validate, getKeys);
+app.delete('/api-keys/:id', admin, validate, revokeKey);
+
+// Webhooks - admin only
+// Subscribers receive order.created, order.status_changed, order.deleted and order.restored events
+app.post('/webhooks', admin, validate, createWebhook);
+app.get('/webhooks', admin, validate, getWebhooks);
+app.get('/webhooks/:id', admin, validate, getWebhookById);
+app.patch('/webhooks/:id', admin, validate, updateWebhook);
+app.delete('/webhooks/:id', admin, validate, deleteWebhook);
+
+// GET /webhooks/:id/deliveries - Delivery log with every attempt
+app.get('/webhooks/:id/deliveries', admin, validate, getWebhookDeliveries);
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', admin, validate, redeliverWebhook);
 
 // 404 handler
 app.use((req, res) => {
@@ -51,25 +228,45 @@ app.use((req, res) => {
 });
 
 // Error handling middleware
+// Bodies the JSON and text parsers refuse are the client's mistake: malformed JSON is reported like
+// any other invalid body, and the other parser errors, such as a body over the size limit, keep their status
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error', details: err.message });
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Validation failed', fields: [{ field: 'body', error: 'body must be valid JSON' }] });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  req.log.error('Unhandled error', { err });
+  res.status(500).json({ error: 'Internal server error', requestId: req.id });
 });
 
-// Initialize database and start server
+// Check the database schema and start server
 const startServer = async () => {
   try {
-    await initializeDatabase();
+    await checkSchema();
+    taxRates(); // Refuse to start with a malformed TAX_RATES
+    startWebhookDispatcher();
+    startTrashPurge();
     
     const server = app.listen(PORT, () => {
-      console.log(`\n🚀 Orders API Server running on port ${PORT}`);
-      console.log(`📝 Health check: http://localhost:${PORT}/health`);
-      console.log(`📦 Orders endpoint: http://localhost:${PORT}/orders\n`);
+      logger.info('Orders API Server running', { port: Number(PORT), docs: `http://localhost:${PORT}/docs` });
+    });
+
+    // Drain connections and close the database on deploys and Ctrl+C
+    ['SIGTERM', 'SIGINT'].forEach((signal) => {
+      process.once(signal, () => {
+        shutdownServer(server, signal).then(() => process.exit(0), (err) => {
+          logger.error('Shutdown failed', { err });
+          process.exit(1);
+        });
+      });
     });
 
     return server;
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
 };
@@ -0,0 +1,190 @@
+// Order change feed - Server-Sent Events for every order created, updated or deleted
+// Messages are the rows of order_events, so their ids form a persisted sequence that a
+// reconnecting client resumes from with the Last-Event-ID header
+const { get, all, readCommitted, transactionEvents } = require('./database');
+const { ORDER_STATUSES } = require('./lifecycle');
+const { HttpError, sendError } = require('./errors');
+const { formatOrderEvent } = require('./history');
+const { logger } = require('./logger');
+
+// A comment is sent this often so proxies and clients can tell the connection is alive
+const heartbeatMs = () => Number(process.env.STREAM_HEARTBEAT_MS) || 15000;
+
+// How long browsers wait before reconnecting after the connection drops
+const RETRY_MS = 3000;
+
+// Events are read from the database in batches of this size
+const BATCH_SIZE = 500;
+
+// Connected clients, each with the id of the last event it has been sent and its status filter
+const clients = new Set();
+
+// Set once the server is shutting down; streams opened after that end right away
+let closing = false;
+
+// Id of the last event broadcast to every client
+let lastBroadcastId = 0;
+let pollScheduled = false;
+let heartbeatTimer = null;
+
+const fetchEventsAfter = (id) => {
+  return all('SELECT * FROM order_events WHERE id > ? ORDER BY id ASC LIMIT ?', [id, BATCH_SIZE]);
+};
+
+/**
+ * Send an event to a client, unless it already has it or filters it out
+ */
+const sendEvent = (client, row) => {
+  if (row.id <= client.lastEventId) {
+    return;
+  }
+
+  client.lastEventId = row.id;
+  if (client.statuses && !client.statuses.includes(row.status)) {
+    return;
+  }
+
+  const data = JSON.stringify({ ...formatOrderEvent(row), status: row.status });
+  client.res.write(`id: ${row.id}\nevent: order.${row.event_type}\ndata: ${data}\n\n`);
+};
+
+/**
+ * Send every event after `afterId` to the given clients
+ * Resolves with the id of the last event sent
+ */
+const sendEventsAfter = async (afterId, recipients) => {
+  let lastId = afterId;
+  let rows = await fetchEventsAfter(lastId);
+
+  while (rows.length > 0) {
+    rows.forEach(row => recipients.forEach(client => sendEvent(client, row)));
+    lastId = rows[rows.length - 1].id;
+    rows = rows.length === BATCH_SIZE ? await fetchEventsAfter(lastId) : [];
+  }
+
+  return lastId;
+};
+
+/**
+ * Broadcast new events after each commit
+ * Commits made while a broadcast is waiting to run are picked up by that broadcast
+ */
+const onCommit = () => {
+  if (pollScheduled) {
+    return;
+  }
+
+  pollScheduled = true;
+  readCommitted(async () => {
+    pollScheduled = false;
+    lastBroadcastId = await sendEventsAfter(lastBroadcastId, clients);
+  }).catch(err => logger.error('Order stream failed', { err }));
+};
+
+const sendHeartbeat = () => {
+  clients.forEach(client => client.res.write(': heartbeat\n\n'));
+};
+
+const addClient = async (client) => {
+  if (clients.size === 0) {
+    const { lastId } = await get('SELECT MAX(id) AS lastId FROM order_events');
+    lastBroadcastId = lastId || 0;
+    transactionEvents.on('commit', onCommit);
+    heartbeatTimer = setInterval(sendHeartbeat, heartbeatMs());
+    heartbeatTimer.unref();
+  }
+
+  clients.add(client);
+};
+
+const removeClient = (client) => {
+  if (!clients.delete(client) || clients.size > 0) {
+    return;
+  }
+
+  transactionEvents.off('commit', onCommit);
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+};
+
+/**
+ * End every open stream, e.g. when the server shuts down
+ * Clients reconnect with Last-Event-ID and miss nothing
+ */
+const closeStreams = () => {
+  closing = true;
+  clients.forEach(client => client.res.end());
+};
+
+/**
+ * Parse the comma-separated status filter of a stream
+ */
+const parseStatuses = (status) => {
+  if (status === undefined || status === '') {
+    return null;
+  }
+
+  const statuses = String(status).split(',').map(value => value.trim());
+  if (statuses.some(value => !ORDER_STATUSES.includes(value))) {
+    throw new HttpError(400, 'Invalid status filter', { validStatuses: ORDER_STATUSES });
+  }
+
+  return statuses;
+};
+
+/**
+ * Stream order changes as Server-Sent Events
+ * Query: status (comma-separated) to only receive events for orders in those statuses.
+ * Clients resuming with Last-Event-ID (or ?lastEventId=) first receive every event they missed
+ */
+const streamOrders = async (req, res) => {
+  const resumeFrom = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  try {
+    const statuses = parseStatuses(req.query.status);
+
+    if (resumeFrom !== undefined && !/^\d+$/.test(resumeFrom)) {
+      throw new HttpError(400, 'Invalid Last-Event-ID', { details: 'Last-Event-ID must be the id of a previous event' });
+    }
+
+    const client = { res, statuses, lastEventId: 0, closed: false };
+    res.on('close', () => {
+      client.closed = true;
+      removeClient(client);
+    });
+
+    // Replaying and registering between transactions means no event is missed or sent twice
+    await readCommitted(async () => {
+      if (client.closed) {
+        return;
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      await addClient(client);
+      client.lastEventId = resumeFrom !== undefined ? parseInt(resumeFrom) : lastBroadcastId;
+      await sendEventsAfter(client.lastEventId, [client]);
+    });
+
+    if (closing) {
+      res.end();
+    }
+  } catch (err) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  streamOrders,
+  closeStreams
+};
@@ -0,0 +1,155 @@
+// Trash - deleted orders stay restorable until they are purged
+// Orders in the trash older than TRASH_RETENTION_DAYS are purged by a scheduled job.
+// Run directly to purge now: node src/trash.js [days]
+require('dotenv').config();
+const { run, get, all, withTransaction, checkSchema, db } = require('./database');
+const { sendError } = require('./errors');
+const { recordOrderEvent } = require('./history');
+const { parseOrderFilters } = require('./filters');
+const { parsePagination, paginationInfo } = require('./pagination');
+const { attachCustomers } = require('./catalog');
+const { formatOrder } = require('./money');
+const { logger } = require('./logger');
+
+// Days an order stays in the trash; 0 keeps trashed orders until they are deleted with ?hard=true
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return process.env.TRASH_RETENTION_DAYS !== undefined && Number.isInteger(days) && days >= 0 ? days : 30;
+};
+
+// How often the retention job looks for orders to purge
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Orders purged per transaction, so a large purge does not hold up other writes
+const PURGE_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently remove an order and its line items, recording the purge in its history
+ * Must run inside a transaction
+ */
+const purgeOrder = async (orderId, actor) => {
+  const order = await get('SELECT * FROM orders WHERE id = ?', [orderId]);
+
+  await run('DELETE FROM order_items WHERE order_id = ?', [orderId]);
+  await run('DELETE FROM orders WHERE id = ?', [orderId]);
+  await recordOrderEvent(orderId, 'purged', order, null, actor);
+};
+
+/**
+ * Purge the orders that have been in the trash for at least `days` days
+ * Resolves with the ids of the purged orders
+ */
+const purgeTrash = async (days = retentionDays()) => {
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+  const purged = [];
+
+  while (true) {
+    const ids = await withTransaction(async () => {
+      const rows = await all(
+        'SELECT id FROM orders WHERE deleted_at IS NOT NULL AND deleted_at <= ? ORDER BY deleted_at ASC LIMIT ?',
+        [cutoff, PURGE_BATCH_SIZE]
+      );
+
+      for (const { id } of rows) {
+        await purgeOrder(id, 'trash-retention');
+      }
+      return rows.map(({ id }) => id);
+    });
+
+    purged.push(...ids);
+    if (ids.length < PURGE_BATCH_SIZE) {
+      return purged;
+    }
+  }
+};
+
+let purgeTimer = null;
+
+/**
+ * Purge expired orders now and then every hour
+ * Does nothing when TRASH_RETENTION_DAYS is 0
+ */
+const startTrashPurge = () => {
+  if (purgeTimer || retentionDays() === 0) {
+    return;
+  }
+
+  const purge = () => {
+    purgeTrash()
+      .then(ids => ids.length > 0 && logger.info('Purged orders from the trash', { orders: ids.length }))
+      .catch(err => logger.error('Trash purge failed', { err }));
+  };
+
+  purge();
+  purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+};
+
+const stopTrashPurge = () => {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+};
+
+/**
+ * List the orders in the trash, most recently deleted first
+ * Accepts the GET /orders filters and page/limit. Each order shows when it will be purged
+ */
+const getTrash = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const { whereClause, params } = parseOrderFilters(req.query, { trashed: true });
+    const days = retentionDays();
+
+    const { total } = await get(`SELECT COUNT(*) AS total FROM orders ${whereClause}`, params);
+    const rows = await all(
+      `SELECT * FROM orders ${whereClause} ORDER BY deleted_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, pagination.limit, pagination.offset]
+    );
+
+    const data = rows.map(order => ({
+      ...formatOrder(order),
+      purge_after: days > 0 ? new Date(new Date(order.deleted_at).getTime() + days * DAY_MS).toISOString() : null
+    }));
+
+    res.json({
+      data: await attachCustomers(data),
+      pagination: paginationInfo(pagination, total)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Purge from the command line, e.g. from cron when the server's own job is not wanted
+const main = async () => {
+  const [days = String(retentionDays())] = process.argv.slice(2);
+
+  if (!/^\d+$/.test(days)) {
+    console.error('Usage: npm run trash:purge -- [days]');
+    process.exit(1);
+  }
+
+  try {
+    await checkSchema();
+    const ids = await purgeTrash(parseInt(days));
+    console.log(`🗑️  Purged ${ids.length} order(s) deleted more than ${days} day(s) ago`);
+    db.close();
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  purgeOrder,
+  purgeTrash,
+  startTrashPurge,
+  stopTrashPurge,
+  getTrash
+};
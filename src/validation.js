@@ -0,0 +1,299 @@
+// Request validation against the OpenAPI document
+// The validate middleware checks the path and query parameters and the JSON body of a request
+// against the operation of its route and answers 400 Validation failed, listing every field that
+// does not match. Rules that depend on stored data or configuration, such as catalog prices,
+// tax regions and the decimal places of a currency, are left to the handlers
+
+// The document is read when it is first needed: it takes its enumerations from modules that
+// validate with this one, such as orders.js, so requiring it while they load would be circular
+const openApiDocument = () => require('./openapi').openApiDocument;
+
+// Readable names of the patterns used in the document, for error messages
+const PATTERN_NAMES = {
+  '\\S': 'a non-blank string',
+  '^\\d+$': 'a string of digits'
+};
+
+/**
+ * Check that a string is a calendar date written as YYYY-MM-DD
+ * The date is parsed and written back, so that days a month does not have, e.g. 2026-02-30, fail
+ */
+const isCalendarDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+// String formats that are checked, with their readable names; other formats, such as uri and
+// date-time, only describe the value and are checked by the handlers
+const FORMATS = {
+  email: { name: 'an email address', test: value => /^[^\s@]+@[^\s@]+$/.test(value) },
+  date: { name: 'a date such as 2026-02-07', test: isCalendarDate }
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Follow a local $ref such as #/components/schemas/Order
+ */
+const resolve = (node) => {
+  if (!node || !node.$ref) {
+    return node;
+  }
+
+  return node.$ref.split('/').slice(1).reduce((target, key) => target[key], openApiDocument());
+};
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+};
+
+/**
+ * Whether the anyOf of an object schema lists alternative sets of fields, each option with its
+ * own required fields, e.g. items, or product, quantity and amount
+ */
+const isAlternatives = (schema) => Boolean(schema.anyOf) && schema.anyOf.every(option => resolve(option).required);
+
+/**
+ * Describe the values a schema accepts, e.g. "a positive integer" or "one of csv, ndjson"
+ */
+const describe = (node) => {
+  const schema = resolve(node);
+
+  if (schema.enum) {
+    return `one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.anyOf && !isAlternatives(schema)) {
+    return schema.anyOf.map(describe).join(' or ');
+  }
+
+  return typesOf(schema).map((type) => {
+    if (type === 'integer' && schema.minimum !== undefined && schema.maximum !== undefined) {
+      return `an integer from ${schema.minimum} to ${schema.maximum}`;
+    }
+    if (type === 'integer' && schema.minimum === 1) {
+      return 'a positive integer';
+    }
+    if (type === 'integer' && schema.minimum === 0) {
+      return 'a non-negative integer';
+    }
+    if (type === 'string' && FORMATS[schema.format]) {
+      return FORMATS[schema.format].name;
+    }
+    if (type === 'string' && schema.pattern) {
+      return PATTERN_NAMES[schema.pattern] || `a string matching ${schema.pattern}`;
+    }
+    if (type === 'string' && schema.minLength) {
+      return `a string of at least ${schema.minLength} characters`;
+    }
+    if (type === 'array' && schema.items) {
+      return `${schema.minItems ? 'a non-empty' : 'a'} list of ${describe(schema.items).replace(/^an? /, '')}`;
+    }
+    return TYPE_NAMES[type];
+  }).join(' or ');
+};
+
+/**
+ * Check an object against alternative sets of fields
+ * When it matches none, the errors of the option with the most of its required fields sent are
+ * reported, so a one-line order sent with only its product is told about quantity and amount
+ */
+const validateAlternatives = (options, value, path) => {
+  const results = options.map(option => validateValue(option, value, path));
+  if (results.some(errors => errors.length === 0)) {
+    return [];
+  }
+
+  const sent = option => resolve(option).required.filter(key => value[key] !== undefined && value[key] !== null).length;
+  const closest = options.reduce((best, option, index) => (sent(option) > sent(options[best]) ? index : best), 0);
+  return results[closest];
+};
+
+/**
+ * Check the keywords of a schema that constrain a single value
+ */
+const satisfies = (schema, value) => {
+  if (schema.anyOf && !isAlternatives(schema)) {
+    return schema.anyOf.some(option => validateValue(option, value, []).length === 0);
+  }
+  if (schema.type !== undefined && !typesOf(schema).some(type => matchesType(value, type))) {
+    return false;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return false;
+  }
+  if (typeof value === 'number') {
+    return !(value < schema.minimum || value > schema.maximum || value <= schema.exclusiveMinimum);
+  }
+  if (typeof value === 'string') {
+    return !(value.length < schema.minLength || value.length > schema.maxLength || (schema.pattern && !new RegExp(schema.pattern).test(value))
+      || (FORMATS[schema.format] && !FORMATS[schema.format].test(value)));
+  }
+  if (Array.isArray(value)) {
+    return !(value.length < schema.minItems || value.length > schema.maxItems);
+  }
+  return true;
+};
+
+/**
+ * Validate a value against a schema
+ * `path` is the list of keys leading to the value. Returns a list of { field, error } entries,
+ * empty when the value is valid; fields are named by their path, e.g. items/1/quantity
+ */
+const validateValue = (node, value, path) => {
+  const schema = resolve(node);
+  const field = path.length > 0 ? path.join('/') : 'body';
+  const last = path[path.length - 1];
+  const name = typeof last === 'string' ? last : field;
+
+  if (!satisfies(schema, value)) {
+    return [{ field, error: `${name} must be ${describe(schema)}` }];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.flatMap((item, index) => validateValue(schema.items, item, [...path, index]));
+  }
+
+  if (!isObject(value)) {
+    return [];
+  }
+
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const errors = [];
+
+  [...new Set([...Object.keys(properties), ...required])].forEach((key) => {
+    if (value[key] === undefined) {
+      if (required.includes(key)) {
+        errors.push({ field: [...path, key].join('/'), error: `${key} is required` });
+      }
+    } else if (properties[key]) {
+      errors.push(...validateValue(properties[key], value[key], [...path, key]));
+    }
+  });
+
+  if (isAlternatives(schema)) {
+    errors.push(...validateAlternatives(schema.anyOf, value, path));
+  }
+  (schema.allOf || []).forEach(part => errors.push(...validateValue(part, value, path)));
+
+  return errors;
+};
+
+/**
+ * Convert a query or path parameter to the type of its schema
+ * Values that do not convert are left as strings, so they fail validation
+ */
+const parseParameter = (value, node) => {
+  const types = typesOf(resolve(node));
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+/**
+ * Find the operation of an Express route, with the path parameters it shares with its path
+ */
+const findOperation = (method, routePath) => {
+  const pathItem = openApiDocument().paths[routePath.replace(/:(\w+)/g, '{$1}')];
+  const operation = pathItem && pathItem[method.toLowerCase()];
+
+  return operation ? { operation, parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])] } : null;
+};
+
+/**
+ * Validate the path and query parameters of a request
+ * Free-form object parameters, such as the order filters, are left to their handlers
+ */
+const validateParameters = (parameters, req) => {
+  return parameters.map(resolve).filter(({ in: location, schema }) => {
+    return (location === 'path' || location === 'query') && resolve(schema).type !== 'object';
+  }).flatMap((parameter) => {
+    const value = (parameter.in === 'path' ? req.params : req.query)[parameter.name];
+
+    if (value === undefined) {
+      return parameter.required ? [{ field: parameter.name, error: `${parameter.name} is required` }] : [];
+    }
+    return validateValue(parameter.schema, parseParameter(value, parameter.schema), [parameter.name]);
+  });
+};
+
+/**
+ * Whether a request came without a body: no Content-Type and no content
+ */
+const hasNoBody = (req) => !req.get('Content-Type') && !(Number(req.get('Content-Length')) > 0) && !req.get('Transfer-Encoding');
+
+/**
+ * Validate the body of a request against the schema of its media type
+ * A request without a body is validated as an empty object against the first media type, so
+ * required fields are reported. Bodies of other media types than JSON are left to the handler
+ */
+const validateBody = (requestBody, req) => {
+  const mediaTypes = Object.keys(requestBody.content);
+  const mediaType = hasNoBody(req) ? mediaTypes[0] : req.is(mediaTypes);
+
+  if (!/json$/.test(mediaType)) {
+    return [];
+  }
+  return validateValue(requestBody.content[mediaType].schema, hasNoBody(req) ? {} : req.body, []);
+};
+
+/**
+ * Middleware - validate a request against the OpenAPI operation of its route (400), and
+ * refuse bodies of a media type the operation does not accept (415)
+ * Must be registered on the route itself, after the role check. A route missing from the
+ * document is a programming error and fails with a 500
+ */
+const validate = (req, res, next) => {
+  const route = findOperation(req.method === 'HEAD' ? 'GET' : req.method, req.route.path);
+
+  if (!route) {
+    return next(new Error(`${req.method} ${req.route.path} is not described in the OpenAPI document`));
+  }
+
+  const { requestBody } = route.operation;
+  if (requestBody && !hasNoBody(req) && !req.is(Object.keys(requestBody.content))) {
+    return res.status(415).json({ error: 'Unsupported Media Type', supported: Object.keys(requestBody.content) });
+  }
+
+  const fields = [
+    ...validateParameters(route.parameters, req),
+    ...(requestBody ? validateBody(requestBody, req) : [])
+  ];
+
+  if (fields.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', fields });
+  }
+  next();
+};
+
+module.exports = {
+  validateValue,
+  validate
+};
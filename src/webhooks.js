@@ -0,0 +1,488 @@
+// Webhooks - notify subscribed URLs of order lifecycle events
+// Events are written to an outbox (webhook_deliveries) in the same transaction as the change
+// that caused them, then posted by a background dispatcher that retries failures with
+// exponential backoff. Each request is signed with the subscription's secret.
+const crypto = require('crypto');
+const { run, get, all, withTransaction } = require('./database');
+const { HttpError, sendError } = require('./errors');
+const { parsePagination, paginationInfo } = require('./pagination');
+const { formatOrder } = require('./money');
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS = ['order.created', 'order.status_changed', 'order.deleted', 'order.restored'];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Delivery settings, configurable through the environment
+const numberSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+const maxAttempts = () => numberSetting('WEBHOOK_MAX_ATTEMPTS', 8);
+const retryBaseSeconds = () => numberSetting('WEBHOOK_RETRY_BASE_SECONDS', 30);
+const timeoutMs = () => numberSetting('WEBHOOK_TIMEOUT_MS', 10000);
+const pollIntervalMs = () => numberSetting('WEBHOOK_POLL_INTERVAL_MS', 1000);
+
+// How many deliveries the dispatcher claims per round, and so the most it sends at once
+const BATCH_SIZE = 20;
+
+// Only this much of a failed response body is kept
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Sign a payload for a subscriber
+ * The signed content is "<timestamp>.<body>", so a captured request cannot be replayed later
+ * with a new timestamp. Subscribers recompute the HMAC-SHA256 with their secret and compare.
+ */
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the next attempt after `attempts` failed ones: base, 2x base, 4x base...
+ */
+const retryDelaySeconds = (attempts) => retryBaseSeconds() * 2 ** (attempts - 1);
+
+/**
+ * Map an order history event to the webhook event it triggers, if any
+ * Updates only notify subscribers when the status changed
+ */
+const toWebhookEvent = (eventType, before, after) => {
+  if (eventType === 'created') {
+    return { type: 'order.created', data: { order: formatOrder(after) } };
+  }
+
+  if (eventType === 'updated' && before.status !== after.status) {
+    return { type: 'order.status_changed', data: { order: formatOrder(after), previous_status: before.status } };
+  }
+
+  if (eventType === 'deleted') {
+    return { type: 'order.deleted', data: { order: formatOrder(before) } };
+  }
+
+  if (eventType === 'restored') {
+    return { type: 'order.restored', data: { order: formatOrder(after) } };
+  }
+
+  return null;
+};
+
+/**
+ * Queue an order event for every active webhook subscribed to it
+ * Must run inside the transaction that made the change, so the event is only
+ * delivered if the change is committed
+ */
+const enqueueOrderEvent = async (eventType, before, after) => {
+  const event = toWebhookEvent(eventType, before, after);
+  if (!event) {
+    return;
+  }
+
+  const webhooks = await all('SELECT id, events FROM webhooks WHERE active = 1');
+  const subscribers = webhooks.filter(webhook => JSON.parse(webhook.events).includes(event.type));
+  if (subscribers.length === 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const payload = JSON.stringify({ id: crypto.randomUUID(), type: event.type, created_at: now, data: event.data });
+
+  for (const webhook of subscribers) {
+    await run(
+      `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+       VALUES (?, ?, ?, 'pending', 0, ?, ?)`,
+      [webhook.id, event.type, payload, now, now]
+    );
+  }
+};
+
+/**
+ * Post one delivery to its webhook
+ * Resolves with the outcome of the attempt; never rejects
+ */
+const sendDelivery = async (delivery) => {
+  const { event_type, payload, url, secret } = delivery;
+  const { id: eventId } = JSON.parse(payload);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'orders-api-webhooks',
+        'X-Webhook-Id': eventId,
+        'X-Webhook-Event': event_type,
+        'X-Webhook-Signature': signPayload(secret, Math.floor(started / 1000), payload)
+      },
+      body: payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs())
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    const text = ok ? null : (await response.text()).slice(0, MAX_ERROR_LENGTH);
+
+    return { ok, responseStatus: response.status, error: ok ? null : text || `HTTP ${response.status}`, durationMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, responseStatus: null, error: err.cause ? `${err.message}: ${err.cause.message}` : err.message, durationMs: Date.now() - started };
+  }
+};
+
+/**
+ * Record the outcome of an attempt and schedule the next one
+ * A delivery fails for good after WEBHOOK_MAX_ATTEMPTS attempts
+ */
+const recordAttempt = (delivery, outcome) => {
+  return withTransaction(async () => {
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+
+    await run(
+      `INSERT INTO webhook_attempts (delivery_id, response_status, error, duration_ms, attempted_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [delivery.id, outcome.responseStatus, outcome.error, outcome.durationMs, now.toISOString()]
+    );
+
+    let status = 'pending';
+    let nextAttemptAt = new Date(now.getTime() + retryDelaySeconds(attempts) * 1000).toISOString();
+    if (outcome.ok) {
+      status = 'succeeded';
+      nextAttemptAt = null;
+    } else if (attempts >= maxAttempts()) {
+      status = 'failed';
+      nextAttemptAt = null;
+    }
+
+    await run(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?, last_error = ?
+       WHERE id = ?`,
+      [status, attempts, nextAttemptAt, now.toISOString(), outcome.responseStatus, outcome.error, delivery.id]
+    );
+  });
+};
+
+/**
+ * Group deliveries by webhook, keeping their order
+ */
+const groupByWebhook = (deliveries) => {
+  const groups = new Map();
+  for (const delivery of deliveries) {
+    groups.set(delivery.webhook_id, [...(groups.get(delivery.webhook_id) || []), delivery]);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Claim the deliveries that are due
+ * Claiming pushes next_attempt_at past the time the round may take, so a delivery is not sent
+ * twice at once, and is picked up again if the process stops mid-delivery. Webhooks are served
+ * at the same time, so the round takes as long as the webhook with the most deliveries
+ */
+const claimDueDeliveries = () => {
+  return withTransaction(async () => {
+    const now = new Date();
+    const deliveries = await all(
+      `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+       FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+       WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+       ORDER BY webhook_deliveries.next_attempt_at ASC, webhook_deliveries.id ASC
+       LIMIT ?`,
+      [now.toISOString(), BATCH_SIZE]
+    );
+
+    const longestQueue = Math.max(0, ...groupByWebhook(deliveries).map(queue => queue.length));
+    const leaseUntil = new Date(now.getTime() + timeoutMs() * longestQueue + 60 * 1000).toISOString();
+    for (const delivery of deliveries) {
+      await run('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?', [leaseUntil, delivery.id]);
+    }
+
+    return deliveries;
+  });
+};
+
+let dispatching = null;
+
+/**
+ * Send every delivery that is due, until none are left
+ * Each webhook gets its deliveries one at a time and in order, while different webhooks are
+ * sent to at the same time, so a slow subscriber does not hold up the others.
+ * Concurrent calls share the round in progress
+ */
+const deliverPendingWebhooks = () => {
+  if (!dispatching) {
+    dispatching = (async () => {
+      let deliveries = await claimDueDeliveries();
+      while (deliveries.length > 0) {
+        await Promise.all(groupByWebhook(deliveries).map(async (queue) => {
+          for (const delivery of queue) {
+            await recordAttempt(delivery, await sendDelivery(delivery));
+          }
+        }));
+        deliveries = await claimDueDeliveries();
+      }
+    })().finally(() => {
+      dispatching = null;
+    });
+  }
+
+  return dispatching;
+};
+
+let dispatcherTimer = null;
+
+/**
+ * Start polling the outbox every WEBHOOK_POLL_INTERVAL_MS
+ */
+const startWebhookDispatcher = () => {
+  if (!dispatcherTimer) {
+    dispatcherTimer = setInterval(() => {
+      deliverPendingWebhooks().catch(err => logger.error('Webhook delivery failed', { err }));
+    }, pollIntervalMs());
+    dispatcherTimer.unref();
+  }
+};
+
+/**
+ * Stop polling; resolves once the round in progress has finished
+ */
+const stopWebhookDispatcher = async () => {
+  clearInterval(dispatcherTimer);
+  dispatcherTimer = null;
+  await (dispatching || Promise.resolve()).catch(() => {});
+};
+
+/**
+ * Check that a webhook URL is an http or https URL
+ * The events and secret of a subscription are checked against the OpenAPI document
+ */
+const isWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    parsed = null;
+  }
+
+  return parsed !== null && ['http:', 'https:'].includes(parsed.protocol);
+};
+
+const INVALID_URL = { error: 'Invalid webhook', details: 'url must be an http or https URL' };
+
+// Columns returned by the webhook endpoints; the secret is only shown when the webhook is created
+const WEBHOOK_COLUMNS = 'id, url, events, active, created_at';
+
+const formatWebhook = (row) => ({ ...row, events: JSON.parse(row.events), active: row.active === 1 });
+
+/**
+ * Load a webhook by the :id route parameter, or throw a 404
+ */
+const findWebhook = async (req) => {
+  const row = await get(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [req.params.id]);
+  if (!row) {
+    throw new HttpError(404, 'Webhook not found');
+  }
+  return formatWebhook(row);
+};
+
+/**
+ * Subscribe a URL to order events
+ * Body: url, and optionally events (defaults to all) and secret (generated when omitted).
+ * The secret is only returned in this response
+ */
+const createWebhook = async (req, res) => {
+  const { url, events = WEBHOOK_EVENTS } = req.body;
+  if (!isWebhookUrl(url)) {
+    return res.status(400).json(INVALID_URL);
+  }
+
+  const secret = req.body.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+  try {
+    const webhook = await withTransaction(async () => {
+      const { lastID } = await run(
+        'INSERT INTO webhooks (url, events, secret, active, created_at) VALUES (?, ?, ?, 1, ?)',
+        [url, JSON.stringify([...new Set(events)]), secret, new Date().toISOString()]
+      );
+      return formatWebhook(await get(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [lastID]));
+    });
+
+    res.status(201).json({ ...webhook, secret });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * List webhook subscriptions
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const rows = await all(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id ASC`);
+    res.json({ data: rows.map(formatWebhook) });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get a webhook subscription by ID
+ */
+const getWebhookById = async (req, res) => {
+  try {
+    res.json(await findWebhook(req));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Change the url, events or active flag of a webhook
+ * Deliveries already queued are still sent to the webhook's current url
+ */
+const updateWebhook = async (req, res) => {
+  const { url, events, active } = req.body;
+
+  if (url !== undefined && !isWebhookUrl(url)) {
+    return res.status(400).json(INVALID_URL);
+  }
+
+  try {
+    const webhook = await withTransaction(async () => {
+      const current = await findWebhook(req);
+
+      await run(
+        'UPDATE webhooks SET url = ?, events = ?, active = ? WHERE id = ?',
+        [
+          url === undefined ? current.url : url,
+          JSON.stringify(events === undefined ? current.events : [...new Set(events)]),
+          (active === undefined ? current.active : active) ? 1 : 0,
+          current.id
+        ]
+      );
+      return findWebhook(req);
+    });
+
+    res.json(webhook);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Delete a webhook subscription along with its delivery log
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    await withTransaction(async () => {
+      const webhook = await findWebhook(req);
+      await run(
+        'DELETE FROM webhook_attempts WHERE delivery_id IN (SELECT id FROM webhook_deliveries WHERE webhook_id = ?)',
+        [webhook.id]
+      );
+      await run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.id]);
+      await run('DELETE FROM webhooks WHERE id = ?', [webhook.id]);
+    });
+
+    res.json({ message: 'Webhook deleted successfully', id: req.params.id });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Attach the attempt log to deliveries, oldest attempt first
+ */
+const withAttempts = async (deliveries) => {
+  if (deliveries.length === 0) {
+    return [];
+  }
+
+  const attempts = await all(
+    `SELECT * FROM webhook_attempts WHERE delivery_id IN (${deliveries.map(() => '?').join(', ')}) ORDER BY id ASC`,
+    deliveries.map(delivery => delivery.id)
+  );
+
+  return deliveries.map(({ payload, ...delivery }) => ({
+    ...delivery,
+    payload: JSON.parse(payload),
+    attempts: attempts
+      .filter(attempt => attempt.delivery_id === delivery.id)
+      .map(({ delivery_id, ...attempt }) => attempt)
+  }));
+};
+
+/**
+ * List the deliveries of a webhook, newest first, with every attempt made
+ * Query: status (pending, succeeded, failed), page, limit
+ */
+const getWebhookDeliveries = async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const pagination = parsePagination(req.query);
+    const webhook = await findWebhook(req);
+    const where = status ? 'WHERE webhook_id = ? AND status = ?' : 'WHERE webhook_id = ?';
+    const params = status ? [webhook.id, status] : [webhook.id];
+
+    const { total } = await get(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+    const rows = await all(
+      `SELECT id, event_type, payload, status, attempts AS attempt_count, next_attempt_at, last_attempt_at,
+         response_status, last_error, created_at
+       FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, pagination.limit, pagination.offset]
+    );
+
+    res.json({
+      data: await withAttempts(rows),
+      pagination: paginationInfo(pagination, total)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Queue a delivery to be sent again, whatever its status
+ * The attempt count starts over, so a failed delivery gets the full number of retries
+ */
+const redeliverWebhook = async (req, res) => {
+  try {
+    const delivery = await withTransaction(async () => {
+      const webhook = await findWebhook(req);
+      const { changes } = await run(
+        `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+         WHERE id = ? AND webhook_id = ?`,
+        [new Date().toISOString(), req.params.deliveryId, webhook.id]
+      );
+
+      if (changes === 0) {
+        throw new HttpError(404, 'Delivery not found');
+      }
+
+      return get('SELECT id, event_type, status, next_attempt_at FROM webhook_deliveries WHERE id = ?', [req.params.deliveryId]);
+    });
+
+    res.status(202).json({ message: 'Delivery queued', ...delivery });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  signPayload,
+  enqueueOrderEvent,
+  deliverPendingWebhooks,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook
+};
@@ -0,0 +1,202 @@
+// XLSX - streams a single-sheet workbook without holding it in memory
+// An .xlsx file is a zip of XML parts; the sheet is compressed as its rows arrive
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Update a CRC-32 checksum with more data
+ */
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Convert a date to the MS-DOS time and date fields used by zip headers
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Sizes and CRCs follow each entry in a data descriptor (bit 3); names are UTF-8 (bit 11)
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+const localHeader = (name, modified) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(ZIP_FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(modified.time, 10);
+  header.writeUInt16LE(modified.date, 12);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = ({ crc, compressedSize, size }) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(compressedSize, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+};
+
+const centralHeader = ({ name, crc, compressedSize, size, offset }, modified) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(ZIP_FLAGS, 8);
+  header.writeUInt16LE(DEFLATE, 10);
+  header.writeUInt16LE(modified.time, 12);
+  header.writeUInt16LE(modified.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(compressedSize, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+/**
+ * Stream a zip archive
+ * Each entry is { name, content } where content is a string or an (async) iterable of strings.
+ * Every chunk is deflated with a full flush, so compressed chunks can be sent as they are made
+ */
+const zipStream = async function* (entries) {
+  const modified = dosDateTime(new Date());
+  const written = [];
+  let offset = 0;
+
+  for (const { name, content } of entries) {
+    const nameBuffer = Buffer.from(name);
+    const entry = { name: nameBuffer, crc: 0, compressedSize: 0, size: 0, offset };
+
+    const header = localHeader(nameBuffer, modified);
+    offset += header.length;
+    yield header;
+
+    for await (const chunk of typeof content === 'string' ? [content] : content) {
+      const data = Buffer.from(chunk);
+      const compressed = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_FULL_FLUSH });
+      entry.crc = crc32(data, entry.crc);
+      entry.size += data.length;
+      entry.compressedSize += compressed.length;
+      offset += compressed.length;
+      yield compressed;
+    }
+
+    // An empty final block ends the deflate stream
+    const last = zlib.deflateRawSync(Buffer.alloc(0));
+    entry.compressedSize += last.length;
+    const descriptor = dataDescriptor(entry);
+    offset += last.length + descriptor.length;
+    yield Buffer.concat([last, descriptor]);
+
+    written.push(entry);
+  }
+
+  const directory = Buffer.concat(written.map(entry => centralHeader(entry, modified)));
+  yield Buffer.concat([directory, endOfCentralDirectory(written.length, directory.length, offset)]);
+};
+
+const escapeXml = (text) => {
+  return text
+    // Control characters are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Format one sheet row as XML
+ * Numbers become numeric cells, anything else inline text; null leaves the cell empty
+ */
+const xlsxRow = (values) => {
+  const cells = values.map((value) => {
+    if (value === null || value === undefined) {
+      return '<c/>';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c><v>${value}</v></c>`;
+    }
+    return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+  });
+
+  return `<row>${cells.join('')}</row>`;
+};
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '</Relationships>';
+
+const workbook = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+  `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  '</workbook>';
+
+/**
+ * Stream an .xlsx workbook with one sheet
+ * `rows` is an (async) iterable of XML strings made with xlsxRow, ideally batched
+ */
+const xlsxStream = (sheetName, rows) => {
+  const sheet = async function* () {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+    yield* rows;
+    yield '</sheetData></worksheet>';
+  };
+
+  return zipStream([
+    { name: '[Content_Types].xml', content: CONTENT_TYPES },
+    { name: '_rels/.rels', content: ROOT_RELS },
+    { name: 'xl/workbook.xml', content: workbook(sheetName) },
+    { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS },
+    { name: 'xl/worksheets/sheet1.xml', content: sheet() }
+  ]);
+};
+
+module.exports = {
+  xlsxRow,
+  xlsxStream
+};
@@ -0,0 +1,122 @@
+// Test suite for API key authentication and role-based permissions
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+const keys = {};
+
+const as = (role) => (method, url) => request(app)[method](url).set('Authorization', `Bearer ${keys[role]}`);
+
+beforeAll(async () => {
+  await initializeDatabase();
+  for (const role of ['read-only', 'operator', 'admin']) {
+    keys[role] = (await issueApiKey(`${role}-key`, role)).key;
+  }
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+const newOrder = {
+  customer_name: 'Auth User',
+  product: 'Laptop',
+  quantity: 1,
+  amount: 100,
+  status: 'pending',
+  order_date: '2026-02-01'
+};
+
+describe('Authentication and permissions', () => {
+
+  test('should keep the health check public', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test('should return 401 without an API key', async () => {
+    const res = await request(app).get('/orders');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body.error).toBe('Authentication required');
+  });
+
+  test('should return 401 for an unknown API key', async () => {
+    const res = await request(app).get('/orders').set('Authorization', 'Bearer oak_not-a-real-key');
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('should let a read-only key read but not write', async () => {
+    const readRes = await as('read-only')('get', '/orders');
+    expect(readRes.statusCode).toBe(200);
+
+    const writeRes = await as('read-only')('post', '/orders').send(newOrder);
+    expect(writeRes.statusCode).toBe(403);
+    expect(writeRes.body).toEqual({ error: 'Insufficient permissions', required: 'operator', role: 'read-only' });
+  });
+
+  test('should let an operator create and update but not delete', async () => {
+    const createRes = await as('operator')('post', '/orders').send(newOrder);
+    expect(createRes.statusCode).toBe(201);
+
+    const updateRes = await as('operator')('patch', `/orders/${createRes.body.id}`).send({ amount: 120 });
+    expect(updateRes.statusCode).toBe(200);
+
+    const deleteRes = await as('operator')('delete', `/orders/${createRes.body.id}`);
+    expect(deleteRes.statusCode).toBe(403);
+
+    const adminDeleteRes = await as('admin')('delete', `/orders/${createRes.body.id}`);
+    expect(adminDeleteRes.statusCode).toBe(200);
+  });
+
+  test('should restrict key management to admins', async () => {
+    const res = await as('operator')('get', '/api-keys');
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should issue, list and revoke API keys', async () => {
+    const createRes = await as('admin')('post', '/api-keys').send({ name: 'warehouse', role: 'operator' });
+
+    expect(createRes.statusCode).toBe(201);
+    expect(createRes.body.key).toMatch(/^oak_/);
+    expect(createRes.body.role).toBe('operator');
+
+    const newKey = createRes.body.key;
+    const useRes = await request(app).get('/orders').set('Authorization', `Bearer ${newKey}`);
+    expect(useRes.statusCode).toBe(200);
+
+    const listRes = await as('admin')('get', '/api-keys');
+    const listed = listRes.body.data.find(key => key.id === createRes.body.id);
+    expect(listed.name).toBe('warehouse');
+    expect(listed).not.toHaveProperty('key');
+    expect(listed).not.toHaveProperty('key_hash');
+
+    const revokeRes = await as('admin')('delete', `/api-keys/${createRes.body.id}`);
+    expect(revokeRes.statusCode).toBe(200);
+    expect(revokeRes.body.revoked_at).toBeTruthy();
+
+    const revokedRes = await request(app).get('/orders').set('Authorization', `Bearer ${newKey}`);
+    expect(revokedRes.statusCode).toBe(401);
+  });
+
+  test('should reject a key with an unknown role', async () => {
+    const res = await as('admin')('post', '/api-keys').send({ name: 'bad', role: 'superuser' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('should record the key name as the actor in order history', async () => {
+    const createRes = await as('operator')('post', '/orders').send(newOrder);
+    const historyRes = await as('read-only')('get', `/orders/${createRes.body.id}/history`);
+
+    expect(historyRes.body.events[0].actor).toBe('operator-key');
+  });
+});
@@ -0,0 +1,229 @@
+// Test suite for customers and products
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase, getMigrationStatus, rollback } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+const clearTables = (tables) => {
+  return Promise.all(tables.map(table => new Promise((resolve) => {
+    db.run(`DELETE FROM ${table}`, resolve);
+  })));
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('test-admin', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+beforeEach(async () => {
+  await clearTables(['order_events', 'order_items', 'orders', 'customers', 'products']);
+});
+
+describe('Customers and Products', () => {
+
+  describe('/customers', () => {
+
+    test('should create, read, update and delete a customer', async () => {
+      const createRes = await api
+        .post('/customers')
+        .send({ name: '  Ada   Lovelace ', email: 'ada@example.com' });
+
+      expect(createRes.statusCode).toBe(201);
+      expect(createRes.body.name).toBe('Ada Lovelace');
+
+      const id = createRes.body.id;
+      const getRes = await api.get(`/customers/${id}`);
+      expect(getRes.statusCode).toBe(200);
+      expect(getRes.body.order_count).toBe(0);
+
+      const updateRes = await api.put(`/customers/${id}`).send({ email: 'ada@lovelace.dev' });
+      expect(updateRes.statusCode).toBe(200);
+      expect(updateRes.body.email).toBe('ada@lovelace.dev');
+
+      const deleteRes = await api.delete(`/customers/${id}`);
+      expect(deleteRes.statusCode).toBe(200);
+
+      const missingRes = await api.get(`/customers/${id}`);
+      expect(missingRes.statusCode).toBe(404);
+    });
+
+    test('should treat names differing only in case and spacing as duplicates', async () => {
+      await api.post('/customers').send({ name: 'John Smith' });
+      const res = await api.post('/customers').send({ name: 'john smith ' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('Customer already exists');
+    });
+
+    test('should list customers with pagination', async () => {
+      await api.post('/customers').send({ name: 'Bob' });
+      await api.post('/customers').send({ name: 'Alice' });
+
+      const res = await api.get('/customers?limit=1');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(customer => customer.name)).toEqual(['Alice']);
+      expect(res.body.pagination.totalCustomers).toBe(2);
+    });
+
+    test('should not delete a customer that has orders', async () => {
+      const orderRes = await api.post('/orders').send({
+        customer_name: 'Busy Customer', product: 'Laptop', quantity: 1,
+        amount: 100, status: 'pending', order_date: '2026-02-01'
+      });
+
+      const res = await api.delete(`/customers/${orderRes.body.customer_id}`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.order_count).toBe(1);
+    });
+  });
+
+  describe('/products', () => {
+
+    test('should create and update a product', async () => {
+      const createRes = await api
+        .post('/products')
+        .send({ name: 'Laptop Pro', sku: 'LP-15', unit_price: 1499.99 });
+
+      expect(createRes.statusCode).toBe(201);
+      expect(createRes.body.sku).toBe('LP-15');
+
+      const updateRes = await api
+        .put(`/products/${createRes.body.id}`)
+        .send({ unit_price: 1399.99 });
+
+      expect(updateRes.statusCode).toBe(200);
+      expect(updateRes.body).toMatchObject({ unit_price: '1399.99', currency: 'USD' });
+
+      // Yen have no minor unit, so the price has to change with the currency
+      const yenRes = await api.put(`/products/${createRes.body.id}`).send({ currency: 'JPY' });
+      expect(yenRes.statusCode).toBe(400);
+      expect(yenRes.body.details).toBe('unit_price must be a positive amount in JPY with no decimal places');
+    });
+
+    test('should reject an invalid product', async () => {
+      const res = await api.post('/products').send({ name: 'Mouse', unit_price: -5 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.details).toBe('unit_price must be a positive amount in USD with at most 2 decimal places');
+    });
+
+    test('should not delete a product that is on an order', async () => {
+      const productRes = await api.post('/products').send({ name: 'Keyboard' });
+      await api.post('/orders').send({
+        customer_name: 'Customer', status: 'pending', order_date: '2026-02-01',
+        items: [{ product_id: productRes.body.id, quantity: 2, unit_price: 50 }]
+      });
+
+      const res = await api.delete(`/products/${productRes.body.id}`);
+
+      expect(res.statusCode).toBe(409);
+
+      const getRes = await api.get(`/products/${productRes.body.id}`);
+      expect(getRes.body.units_ordered).toBe(2);
+    });
+  });
+
+  describe('Orders referencing customers and products', () => {
+
+    test('should link an order to an existing customer by name', async () => {
+      const customerRes = await api.post('/customers').send({ name: 'John Smith', email: 'john@example.com' });
+
+      const orderRes = await api.post('/orders').send({
+        customer_name: 'john smith ', product: 'wireless mouse', quantity: 1,
+        amount: 25, status: 'pending', order_date: '2026-02-01'
+      });
+
+      expect(orderRes.statusCode).toBe(201);
+      expect(orderRes.body.customer_id).toBe(customerRes.body.id);
+      expect(orderRes.body.customer_name).toBe('John Smith');
+
+      const getRes = await api.get(`/orders/${orderRes.body.id}`);
+      expect(getRes.body.customer).toEqual({ id: customerRes.body.id, name: 'John Smith', email: 'john@example.com' });
+      expect(getRes.body.items[0].product_id).toBeTruthy();
+    });
+
+    test('should accept customer_id and product_id references', async () => {
+      const customerRes = await api.post('/customers').send({ name: 'Grace Hopper' });
+      const productRes = await api.post('/products').send({ name: 'Compiler' });
+
+      const orderRes = await api.post('/orders').send({
+        customer_id: customerRes.body.id, status: 'pending', order_date: '2026-02-01',
+        items: [{ product_id: productRes.body.id, quantity: 1, unit_price: 10 }]
+      });
+
+      expect(orderRes.statusCode).toBe(201);
+      expect(orderRes.body.customer_name).toBe('Grace Hopper');
+      expect(orderRes.body.product).toBe('Compiler');
+    });
+
+    test('should reject an unknown customer_id', async () => {
+      const res = await api.post('/orders').send({
+        customer_id: 99999, product: 'Laptop', quantity: 1,
+        amount: 100, status: 'pending', order_date: '2026-02-01'
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Unknown customer_id');
+    });
+
+    test('should include customer details and filter by customerId in GET /orders', async () => {
+      const first = await api.post('/orders').send({
+        customer_name: 'Alice', product: 'Laptop', quantity: 1,
+        amount: 100, status: 'pending', order_date: '2026-02-01'
+      });
+      await api.post('/orders').send({
+        customer_name: 'Bob', product: 'Laptop', quantity: 1,
+        amount: 100, status: 'pending', order_date: '2026-02-02'
+      });
+
+      const res = await api.get(`/orders?customerId=${first.body.customer_id}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].customer.name).toBe('Alice');
+    });
+
+    test('should backfill customers and products from free-text orders when migrating', async () => {
+      // Go back to the schema before line items (004) and customers and products (005) existed
+      const { currentVersion } = await getMigrationStatus();
+      await rollback(currentVersion - 3);
+
+      for (const name of ['John Smith', 'john smith ', 'Mary Rodriguez']) {
+        await new Promise((resolve) => {
+          db.run(
+            'INSERT INTO orders (customer_name, product, quantity, amount, status, order_date) VALUES (?, ?, ?, ?, ?, ?)',
+            [name, 'Laptop', 1, 100, 'pending', '2026-02-01'],
+            resolve
+          );
+        });
+      }
+
+      await initializeDatabase();
+      // API keys were rolled back with the rest of the schema
+      const { key } = await issueApiKey('test-admin', 'admin');
+      api = request.agent(app).set('Authorization', `Bearer ${key}`);
+
+      const customersRes = await api.get('/customers');
+      expect(customersRes.body.data.map(customer => customer.name)).toEqual(['John Smith', 'Mary Rodriguez']);
+
+      const ordersRes = await api.get('/orders');
+      expect(ordersRes.body.data.every(order => order.customer !== null)).toBe(true);
+
+      const productsRes = await api.get('/products');
+      expect(productsRes.body.data.map(product => product.name)).toEqual(['Laptop']);
+    });
+  });
+
+});
@@ -0,0 +1,106 @@
+// Test suite for the streaming order export
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const zlib = require('zlib');
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+// Collect a binary response body into a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const orders = [
+  { customer_name: 'Alice', product: 'Laptop', quantity: 1, amount: 999.99, status: 'pending', order_date: '2026-01-10' },
+  { customer_name: '=Bob, Jr.', product: 'Monitor "27"', quantity: 2, amount: 400, status: 'completed', order_date: '2026-01-20' },
+  { customer_name: 'Carol', product: 'Mouse', quantity: 3, amount: 75, status: 'completed', order_date: '2026-02-05' }
+];
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('finance', 'read-only');
+  const { key: adminKey } = await issueApiKey('loader', 'admin');
+
+  for (const order of orders) {
+    await request(app).post('/orders').set('Authorization', `Bearer ${adminKey}`).send(order);
+  }
+
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('GET /orders/export', () => {
+
+  test('should export CSV with a download filename', async () => {
+    const res = await api.get('/orders/export?format=csv');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('id,customer_id,customer_name,product,quantity,amount,currency,status,order_date,cancellation_reason,cancelled_at,version,updated_at,subtotal,discount,tax,coupon_code,tax_region,tax_rate');
+    expect(lines).toHaveLength(4);
+    expect(lines[2]).toContain(`"'=Bob, Jr.","Monitor ""27""",2,400.00,USD,completed,2026-01-20`);
+  });
+
+  test('should apply the same filters as GET /orders', async () => {
+    const res = await api.get('/orders/export?format=ndjson&status=completed&minAmount=100');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+
+    const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows).toHaveLength(1);
+    expect(rows[0].customer_name).toBe('=Bob, Jr.');
+    expect(rows[0].amount).toBe('400.00');
+  });
+
+  test('should export only the orders matching a search', async () => {
+    const res = await api.get('/orders/export?format=ndjson&q=mou');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.text.trim().split('\n').map(line => JSON.parse(line).customer_name)).toEqual(['Carol']);
+  });
+
+  test('should export a valid XLSX workbook', async () => {
+    const res = await api.get('/orders/export?format=xlsx&startDate=2026-02-01').buffer(true).parse(binary);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/\.xlsx"$/);
+    expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+    expect(res.body.readUInt32LE(res.body.length - 22)).toBe(0x06054b50);
+
+    // The sheet is the last entry; inflate it from the end of its local header
+    const name = 'xl/worksheets/sheet1.xml';
+    const headerStart = res.body.indexOf(Buffer.from(name)) - 30;
+    const sheet = zlib.inflateRawSync(res.body.subarray(headerStart + 30 + name.length)).toString();
+
+    expect(sheet).toContain('<c t="inlineStr"><is><t xml:space="preserve">Carol</t></is></c>');
+    expect(sheet).not.toContain('Alice');
+  });
+
+  test('should reject an unknown format', async () => {
+    const res = await api.get('/orders/export?format=pdf');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.fields).toEqual([{ field: 'format', error: 'format must be one of csv, ndjson, xlsx' }]);
+  });
+
+  test('should reject an invalid filter before streaming', async () => {
+    const res = await api.get('/orders/export?status=shipped');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid status filter');
+  });
+});
@@ -0,0 +1,97 @@
+// Test suite for the health probes and graceful shutdown
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+process.env.SHUTDOWN_TIMEOUT_MS = '30000';
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { db, get, initializeDatabase, migrate, rollback } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+const { shutdownServer } = require('../src/health');
+const { version } = require('../package.json');
+
+let key;
+
+beforeAll(async () => {
+  await initializeDatabase();
+  ({ key } = await issueApiKey('monitor', 'read-only'));
+});
+
+afterAll((done) => {
+  // The shutdown test closes the database already
+  db.close(() => done());
+});
+
+describe('Health probes', () => {
+
+  test('should report the database, the schema, the version and the uptime', async () => {
+    const res = await request(app).get('/health/ready');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'OK',
+      version,
+      checks: {
+        database: { status: 'OK' },
+        migrations: { status: 'OK', pending: 0, unknown: 0 }
+      }
+    });
+    expect(res.body.checks.migrations.currentVersion).toBeGreaterThan(0);
+    expect(Number.isInteger(res.body.uptimeSeconds)).toBe(true);
+
+    const health = await request(app).get('/health');
+    expect(health.statusCode).toBe(200);
+    expect(health.body.status).toBe('OK');
+  });
+
+  test('should not be ready while migrations are pending, but stay live', async () => {
+    await rollback(1);
+
+    try {
+      const ready = await request(app).get('/health/ready');
+      expect(ready.statusCode).toBe(503);
+      expect(ready.body).toMatchObject({ status: 'Failing', checks: { database: { status: 'OK' }, migrations: { status: 'Failing', pending: 1 } } });
+
+      const live = await request(app).get('/health/live');
+      expect(live.statusCode).toBe(200);
+      expect(live.body.status).toBe('OK');
+      expect(live.body.checks).toBeUndefined();
+    } finally {
+      await migrate();
+    }
+  });
+});
+
+describe('Graceful shutdown', () => {
+
+  test('should end streams, answer 503 while draining and close the database', async () => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    // An open order stream would otherwise keep the server from closing until the timeout
+    const stream = await new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, path: '/orders/stream', headers: { Authorization: `Bearer ${key}` } }, (res) => {
+        const ended = new Promise(done => res.on('end', done));
+        res.once('data', () => resolve({ ended }));
+        res.resume();
+      }).on('error', reject);
+    });
+
+    const shutdown = shutdownServer(server, 'SIGTERM');
+    expect(shutdownServer(server, 'SIGTERM')).toBe(shutdown);
+
+    const ready = await request(app).get('/health/ready');
+    expect(ready.statusCode).toBe(503);
+    expect(ready.body.status).toBe('Shutting down');
+    expect(ready.headers.connection).toBe('close');
+
+    const live = await request(app).get('/health/live');
+    expect(live.statusCode).toBe(503);
+
+    await shutdown;
+    await stream.ended;
+    expect(server.listening).toBe(false);
+    await expect(get('SELECT 1')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,144 @@
+// Test suite for Idempotency-Key support on POST /orders
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+const countOrders = () => new Promise((resolve) => {
+  db.get('SELECT COUNT(*) as total FROM orders', (err, row) => resolve(row.total));
+});
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('checkout', 'operator');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+beforeEach((done) => {
+  db.serialize(() => {
+    db.run('DELETE FROM idempotency_keys');
+    db.run('DELETE FROM order_items');
+    db.run('DELETE FROM orders', done);
+  });
+});
+
+const newOrder = {
+  customer_name: 'Retry User',
+  product: 'Laptop',
+  quantity: 1,
+  amount: 999,
+  status: 'pending',
+  order_date: '2026-02-01'
+};
+
+describe('Idempotency-Key on POST /orders', () => {
+
+  test('should replay the original response for a retry', async () => {
+    const first = await api.post('/orders').set('Idempotency-Key', 'checkout-1').send(newOrder);
+    const retry = await api.post('/orders').set('Idempotency-Key', 'checkout-1').send(newOrder);
+
+    expect(first.statusCode).toBe(201);
+    expect(retry.statusCode).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(await countOrders()).toBe(1);
+  });
+
+  test('should replay the original ETag', async () => {
+    const first = await api.post('/orders').set('Idempotency-Key', 'checkout-etag').send(newOrder);
+    const retry = await api.post('/orders').set('Idempotency-Key', 'checkout-etag').send(newOrder);
+
+    expect(first.headers.etag).toMatch(/^"/);
+    expect(retry.headers.etag).toBe(first.headers.etag);
+
+    const update = await api.patch(`/orders/${first.body.id}`)
+      .set('If-Match', retry.headers.etag)
+      .send({ customer_name: 'Retry User Jr' });
+    expect(update.statusCode).toBe(200);
+  });
+
+  test('should match payloads regardless of key order', async () => {
+    const reordered = Object.fromEntries(Object.entries(newOrder).reverse());
+
+    await api.post('/orders').set('Idempotency-Key', 'checkout-2').send(newOrder);
+    const retry = await api.post('/orders').set('Idempotency-Key', 'checkout-2').send(reordered);
+
+    expect(retry.statusCode).toBe(201);
+    expect(await countOrders()).toBe(1);
+  });
+
+  test('should return 422 when a key is reused with a different payload', async () => {
+    await api.post('/orders').set('Idempotency-Key', 'checkout-3').send(newOrder);
+    const res = await api.post('/orders').set('Idempotency-Key', 'checkout-3').send({ ...newOrder, quantity: 2 });
+
+    expect(res.statusCode).toBe(422);
+    expect(await countOrders()).toBe(1);
+  });
+
+  test('should create separate orders without the header', async () => {
+    await api.post('/orders').send(newOrder);
+    await api.post('/orders').send(newOrder);
+
+    expect(await countOrders()).toBe(2);
+  });
+
+  test('should not remember keys of failed requests', async () => {
+    const invalid = await api.post('/orders').set('Idempotency-Key', 'checkout-4').send({ ...newOrder, status: 'bogus' });
+    const fixed = await api.post('/orders').set('Idempotency-Key', 'checkout-4').send(newOrder);
+
+    expect(invalid.statusCode).toBe(400);
+    expect(fixed.statusCode).toBe(201);
+  });
+
+  test('should forget keys once the window has passed', async () => {
+    await api.post('/orders').set('Idempotency-Key', 'checkout-5').send(newOrder);
+    await new Promise((resolve) => {
+      db.run('UPDATE idempotency_keys SET expires_at = ?', ['2000-01-01T00:00:00.000Z'], resolve);
+    });
+
+    const res = await api.post('/orders').set('Idempotency-Key', 'checkout-5').send(newOrder);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(await countOrders()).toBe(2);
+  });
+
+  test('should take over a key whose request never finished', async () => {
+    await new Promise((resolve) => {
+      db.run(
+        `INSERT INTO idempotency_keys (scope, idempotency_key, fingerprint, created_at, expires_at)
+         VALUES ((SELECT MAX(id) FROM api_keys), 'checkout-7', 'abandoned', ?, ?)`,
+        [new Date(Date.now() - 5 * 60 * 1000).toISOString(), '2999-01-01T00:00:00.000Z'],
+        resolve
+      );
+    });
+
+    const res = await api.post('/orders').set('Idempotency-Key', 'checkout-7').send(newOrder);
+    const retry = await api.post('/orders').set('Idempotency-Key', 'checkout-7').send(newOrder);
+
+    expect(res.statusCode).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.id).toBe(res.body.id);
+    expect(await countOrders()).toBe(1);
+  });
+
+  test('should only run one order for concurrent retries', async () => {
+    const responses = await Promise.all([
+      api.post('/orders').set('Idempotency-Key', 'checkout-6').send(newOrder),
+      api.post('/orders').set('Idempotency-Key', 'checkout-6').send(newOrder)
+    ]);
+
+    // The second request either waits for the first (409) or replays it (201)
+    responses.forEach(res => expect([201, 409]).toContain(res.statusCode));
+    expect(await countOrders()).toBe(1);
+  });
+});
@@ -0,0 +1,133 @@
+// Test suite for the bulk order import
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+const clearTables = (tables) => {
+  return Promise.all(tables.map(table => new Promise((resolve) => {
+    db.run(`DELETE FROM ${table}`, resolve);
+  })));
+};
+
+const countOrders = async () => (await api.get('/orders')).body.pagination.totalOrders;
+
+const csv = [
+  'customer_name,product,quantity,amount,status,order_date',
+  'Alice,Laptop,1,999.99,pending,2026-02-01',
+  '"Smith, Bob","Monitor ""27""",2,400,processing,2026-02-02'
+].join('\n');
+
+const csvWithBadRow = `${csv}\nCarol,Mouse,0,25,pending,2026-02-03\n`;
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('importer', 'operator');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+beforeEach(async () => {
+  await clearTables(['order_events', 'order_items', 'orders']);
+});
+
+describe('POST /orders/import', () => {
+
+  test('should import every row of a CSV upload', async () => {
+    const res = await api.post('/orders/import').set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.imported).toBe(2);
+    expect(res.body.orderIds).toHaveLength(2);
+    expect(res.body.errors).toEqual([]);
+
+    const getRes = await api.get(`/orders/${res.body.orderIds[1]}`);
+    expect(getRes.body.customer_name).toBe('Smith, Bob');
+    expect(getRes.body.product).toBe('Monitor "27"');
+    expect(getRes.body.items[0].unit_price).toBe('200.00');
+  });
+
+  test('should reject the whole import when a row is invalid in all-or-nothing mode', async () => {
+    const res = await api.post('/orders/import').set('Content-Type', 'text/csv').send(csvWithBadRow);
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.imported).toBe(0);
+    expect(res.body.errors).toEqual([
+      { row: 4, error: 'Validation failed', fields: [{ field: 'quantity', error: 'quantity must be a positive integer' }] }
+    ]);
+    expect(await countOrders()).toBe(0);
+  });
+
+  test('should import the valid rows in skip mode', async () => {
+    const res = await api.post('/orders/import?mode=skip').set('Content-Type', 'text/csv').send(csvWithBadRow);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.imported).toBe(2);
+    expect(res.body.rejected).toBe(1);
+    expect(res.body.errors[0].row).toBe(4);
+    expect(await countOrders()).toBe(2);
+  });
+
+  test('should validate without writing in a dry run', async () => {
+    const res = await api.post('/orders/import?dryRun=true&mode=skip').set('Content-Type', 'text/csv').send(csvWithBadRow);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.accepted).toBe(2);
+    expect(res.body.rejected).toBe(1);
+    expect(res.body.imported).toBe(0);
+    expect(await countOrders()).toBe(0);
+  });
+
+  test('should import NDJSON orders with line items and report bad lines', async () => {
+    const ndjson = [
+      JSON.stringify({
+        customer_name: 'Dana', status: 'pending', order_date: '2026-02-04',
+        items: [{ product: 'Laptop', quantity: 1, unit_price: 1000 }, { product: 'Mouse', quantity: 2, unit_price: 25 }]
+      }),
+      '{not json',
+      '',
+      JSON.stringify({ customer_id: 99999, product: 'Laptop', quantity: 1, amount: 100, status: 'pending', order_date: '2026-02-04' }),
+      JSON.stringify({ customer_name: 'Erin', product: 'Laptop', quantity: 1, amount: 100, status: 'cancelled', order_date: '2026-02-04' }),
+      JSON.stringify({ customer_name: 'Erin', product: 'Laptop', quantity: 1, amount: 100, status: 'pending', order_date: '04/02/2026' })
+    ].join('\n');
+
+    const res = await api.post('/orders/import?mode=skip').set('Content-Type', 'application/x-ndjson').send(ndjson);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.imported).toBe(1);
+    expect(res.body.errors.map(error => [error.row, error.error])).toEqual([
+      [2, 'Invalid JSON'],
+      [4, 'Unknown customer_id'],
+      [5, 'Validation failed'],
+      [6, 'Validation failed']
+    ]);
+
+    const getRes = await api.get(`/orders/${res.body.orderIds[0]}`);
+    expect(getRes.body.amount).toBe('1050.00');
+  });
+
+  test('should reject unknown CSV columns', async () => {
+    const res = await api
+      .post('/orders/import')
+      .set('Content-Type', 'text/csv')
+      .send('customer_name,colour\nAlice,red');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.columns).toEqual(['colour']);
+  });
+
+  test('should reject an unsupported content type', async () => {
+    const res = await api.post('/orders/import').send({ orders: [] });
+
+    expect(res.statusCode).toBe(415);
+  });
+});
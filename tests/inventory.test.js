@@ -0,0 +1,161 @@
+// Test suite for inventory tracking and stock reservations
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+let productId;
+
+const orderFor = (quantity, product = 'Espresso Machine') => ({
+  customer_name: 'Barista',
+  status: 'pending',
+  order_date: '2026-04-01',
+  items: [{ product, quantity, unit_price: '300.00' }]
+});
+
+const stockOf = async (id = productId) => (await api.get(`/inventory/${id}`)).body;
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('warehouse', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+
+  const { body: product } = await api.post('/products').send({ name: 'Espresso Machine', sku: 'ESP-1' });
+  productId = product.id;
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Inventory', () => {
+
+  test('should start tracking a product with its first adjustment', async () => {
+    const untracked = await api.get(`/inventory/${productId}`);
+    expect(untracked.statusCode).toBe(404);
+
+    const res = await api.post(`/inventory/${productId}/adjustments`).send({ quantity: 5, reason: 'Delivery' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      product_id: productId,
+      product: 'Espresso Machine',
+      sku: 'ESP-1',
+      on_hand: 5,
+      reserved: 0,
+      available: 5
+    });
+  });
+
+  test('should reserve stock for new orders and reject orders it cannot cover', async () => {
+    const created = await api.post('/orders').send(orderFor(3));
+    expect(created.statusCode).toBe(201);
+    expect(await stockOf()).toMatchObject({ on_hand: 5, reserved: 3, available: 2 });
+
+    const rejected = await api.post('/orders').send(orderFor(3));
+    expect(rejected.statusCode).toBe(409);
+    expect(rejected.body).toEqual({
+      error: 'Insufficient stock',
+      items: [{ product_id: productId, product: 'Espresso Machine', requested: 3, available: 2 }]
+    });
+
+    // Nothing of the rejected order is kept
+    expect(await stockOf()).toMatchObject({ reserved: 3 });
+
+    await api.post(`/orders/${created.body.id}/process`);
+    await api.post(`/orders/${created.body.id}/complete`);
+    expect(await stockOf()).toMatchObject({ on_hand: 2, reserved: 0, available: 2 });
+  });
+
+  test('should release stock when an order is cancelled or deleted', async () => {
+    const { body: cancelled } = await api.post('/orders').send(orderFor(1));
+    const { body: deleted } = await api.post('/orders').send(orderFor(1));
+    expect(await stockOf()).toMatchObject({ reserved: 2, available: 0 });
+
+    await api.post(`/orders/${cancelled.id}/cancel`).send({ reason: 'Changed mind' });
+    await api.delete(`/orders/${deleted.id}`);
+    expect(await stockOf()).toMatchObject({ reserved: 0, available: 2 });
+
+    // A restored order takes its stock back
+    await api.post(`/orders/${deleted.id}/restore`);
+    expect(await stockOf()).toMatchObject({ reserved: 1 });
+    await api.delete(`/orders/${deleted.id}?hard=true`);
+    expect(await stockOf()).toMatchObject({ reserved: 0 });
+  });
+
+  test('should follow changes to the items of an order', async () => {
+    const { body: order } = await api.post('/orders').send(orderFor(1));
+
+    const grown = await api.put(`/orders/${order.id}/items/${order.items[0].id}`).send({ quantity: 2 });
+    expect(grown.statusCode).toBe(200);
+    expect(await stockOf()).toMatchObject({ reserved: 2 });
+
+    const tooMany = await api.put(`/orders/${order.id}/items/${order.items[0].id}`).send({ quantity: 3 });
+    expect(tooMany.statusCode).toBe(409);
+
+    await api.post(`/orders/${order.id}/items`).send({ product: 'Descaler', quantity: 4, unit_price: '9.99' });
+    await api.delete(`/orders/${order.id}/items/${order.items[0].id}`);
+    expect(await stockOf()).toMatchObject({ reserved: 0 });
+  });
+
+  test('should check and take out the stock of orders created as completed', async () => {
+    const rejected = await api.post('/orders').send({ ...orderFor(3), status: 'completed' });
+    expect(rejected.statusCode).toBe(409);
+
+    const created = await api.post('/orders').send({ ...orderFor(1), status: 'completed' });
+    expect(created.statusCode).toBe(201);
+    expect(await stockOf()).toMatchObject({ on_hand: 1, reserved: 0, available: 1 });
+
+    await api.post(`/inventory/${productId}/adjustments`).send({ quantity: 1, reason: 'Return' });
+  });
+
+  test('should not oversell when orders arrive at the same time', async () => {
+    await api.post(`/inventory/${productId}/adjustments`).send({ on_hand: 3, reason: 'Stock count' });
+
+    const responses = await Promise.all(Array.from({ length: 6 }, () => api.post('/orders').send(orderFor(1))));
+    const statuses = responses.map(res => res.statusCode).sort();
+
+    expect(statuses).toEqual([201, 201, 201, 409, 409, 409]);
+    expect(await stockOf()).toMatchObject({ on_hand: 3, reserved: 3, available: 0 });
+  });
+
+  test('should not adjust stock below what is reserved', async () => {
+    const res = await api.post(`/inventory/${productId}/adjustments`).send({ quantity: -1, reason: 'Breakage' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual({ error: 'Adjustment leaves less stock than is reserved', on_hand: 2, reserved: 3 });
+
+    const invalid = await api.post(`/inventory/${productId}/adjustments`).send({ quantity: 2 });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.fields).toEqual([{ field: 'reason', error: 'reason is required' }]);
+  });
+
+  test('should list stock levels and the ledger', async () => {
+    const list = await api.get('/inventory?lowStock=0');
+    expect(list.body.data.map(row => row.product)).toEqual(['Espresso Machine']);
+
+    const plenty = await api.get('/inventory?lowStock=-1');
+    expect(plenty.statusCode).toBe(400);
+
+    const res = await api.get(`/inventory/${productId}/movements?limit=100`);
+    const types = res.body.data.map(movement => movement.type);
+
+    expect(res.body.data[res.body.data.length - 1]).toMatchObject({ type: 'adjustment', quantity: 5, reason: 'Delivery', actor: 'warehouse' });
+    expect(types).toEqual(expect.arrayContaining(['reservation', 'release', 'commit']));
+    expect(res.body.data.find(movement => movement.reason === 'Stock count').quantity).toBe(1);
+  });
+
+  test('should require an operator key to adjust stock', async () => {
+    const { key } = await issueApiKey('viewer', 'read-only');
+    const res = await request(app)
+      .post(`/inventory/${productId}/adjustments`)
+      .set('Authorization', `Bearer ${key}`)
+      .send({ quantity: 1, reason: 'Delivery' });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,113 @@
+// Test suite for request ids and structured logging
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+/**
+ * Run `send` with LOG_LEVEL set to `level` and resolve with the log lines it wrote
+ * Lines for a request are written when its connection closes, just after the client sees the response
+ */
+const captureLogs = async (level, send) => {
+  const lines = [];
+  const write = jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+    lines.push(JSON.parse(chunk));
+    return true;
+  });
+  process.env.LOG_LEVEL = level;
+
+  try {
+    const res = await send();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { res, lines };
+  } finally {
+    delete process.env.LOG_LEVEL;
+    write.mockRestore();
+  }
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('logger', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Request ids', () => {
+
+  test('should generate a request id and echo it in the response', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+  });
+
+  test('should keep a usable client request id and replace others', async () => {
+    const kept = await request(app).get('/health').set('X-Request-Id', 'checkout-42.retry:1');
+    expect(kept.headers['x-request-id']).toBe('checkout-42.retry:1');
+
+    const replaced = await request(app).get('/health').set('X-Request-Id', 'has spaces');
+    expect(replaced.headers['x-request-id']).not.toBe('has spaces');
+
+    const tooLong = await request(app).get('/health').set('X-Request-Id', 'x'.repeat(129));
+    expect(tooLong.headers['x-request-id']).toHaveLength(36);
+  });
+});
+
+describe('Logging', () => {
+
+  test('should log each request as one JSON line with its id, status and latency', async () => {
+    const { res, lines } = await captureLogs('info', () => {
+      return api.get('/customers?limit=5&token=abc').set('X-Request-Id', 'list-customers-1');
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: 'info',
+      msg: 'Request completed',
+      requestId: 'list-customers-1',
+      method: 'GET',
+      path: '/customers',
+      query: { limit: '5', token: '[REDACTED]' },
+      status: 200,
+      actor: 'logger',
+      aborted: false
+    });
+    expect(typeof lines[0].durationMs).toBe('number');
+    expect(Date.parse(lines[0].time)).not.toBeNaN();
+  });
+
+  test('should log client errors as warnings and skip levels below LOG_LEVEL', async () => {
+    const { lines: warnings } = await captureLogs('warn', async () => {
+      await request(app).get('/health');
+      return request(app).get('/orders');
+    });
+    expect(warnings).toEqual([expect.objectContaining({ level: 'warn', status: 401, actor: null })]);
+
+    const { lines: silent } = await captureLogs('silent', () => request(app).get('/orders'));
+    expect(silent).toEqual([]);
+  });
+
+  test('should log database errors with their SQL and answer with the request id', async () => {
+    await new Promise((resolve, reject) => db.run('DROP TABLE coupons', err => (err ? reject(err) : resolve())));
+
+    const { res, lines } = await captureLogs('error', () => api.get('/coupons').set('X-Request-Id', 'broken-1'));
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Database error', requestId: 'broken-1' });
+
+    const [failure, completed] = lines;
+    expect(failure).toMatchObject({ level: 'error', msg: 'Database error', requestId: 'broken-1', err: { code: 'SQLITE_ERROR' } });
+    expect(failure.err.message).toContain('no such table: coupons');
+    expect(failure.err.sql).toContain('FROM coupons');
+    expect(completed).toMatchObject({ msg: 'Request completed', status: 500, requestId: 'broken-1' });
+  });
+});
@@ -0,0 +1,88 @@
+// Test suite for the Prometheus metrics endpoint
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+/**
+ * Scrape the metrics and return the value of one sample, or undefined when it is missing
+ * Request metrics are recorded when the connection closes, just after the client sees the response
+ */
+const scrape = async () => {
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const res = await api.get('/metrics');
+  const samples = new Map(res.text.split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => [line.slice(0, line.lastIndexOf(' ')), Number(line.slice(line.lastIndexOf(' ') + 1))]));
+
+  return { res, sample: name => samples.get(name) };
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('prometheus', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Metrics', () => {
+
+  test('should serve the Prometheus text format to API keys only', async () => {
+    const anonymous = await request(app).get('/metrics');
+    expect(anonymous.statusCode).toBe(401);
+
+    const { res } = await scrape();
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain; .*version=0.0.4/);
+    expect(res.text).toContain('# HELP http_requests_total HTTP requests handled, by method, route and status\n# TYPE http_requests_total counter\n');
+    expect(res.text).toContain('# TYPE db_query_duration_seconds histogram\n');
+  });
+
+  test('should count and time requests by route pattern and status', async () => {
+    await api.get('/orders/998');
+    await api.get('/orders/999');
+    await api.get('/no-such-route');
+
+    const { sample } = await scrape();
+    const labels = 'method="GET",route="/orders/:id",status="404"';
+
+    expect(sample(`http_requests_total{${labels}}`)).toBe(2);
+    expect(sample(`http_request_duration_seconds_count{${labels}}`)).toBe(2);
+    expect(sample(`http_request_duration_seconds_bucket{${labels},le="+Inf"}`)).toBe(2);
+    expect(sample(`http_request_duration_seconds_bucket{${labels},le="10"}`)).toBe(2);
+    expect(sample(`http_request_duration_seconds_sum{${labels}}`)).toBeGreaterThan(0);
+    expect(sample('http_requests_total{method="GET",route="unmatched",status="404"}')).toBe(1);
+  });
+
+  test('should count and time database statements by operation', async () => {
+    const before = (await scrape()).sample;
+    await api.post('/products').send({ name: 'Laptop' });
+    await api.post('/products').send({ name: 'Laptop' });
+
+    const { sample } = await scrape();
+    expect(sample('db_queries_total{operation="insert",result="ok"}')).toBe((before('db_queries_total{operation="insert",result="ok"}') || 0) + 1);
+    expect(sample('db_queries_total{operation="insert",result="error"}')).toBe(1);
+    expect(sample('db_query_duration_seconds_count{operation="select"}')).toBeGreaterThan(0);
+  });
+
+  test('should report orders by status and orders created in the last minute', async () => {
+    const order = { customer_name: 'Alice', product: 'Mouse', quantity: 1, amount: 25, status: 'pending', order_date: '2026-05-01' };
+    await api.post('/orders').send(order);
+    await api.post('/orders').send(order);
+    await api.post('/orders').send({ ...order, status: 'completed' });
+
+    const { sample } = await scrape();
+    expect(sample('orders_by_status{status="pending"}')).toBe(2);
+    expect(sample('orders_by_status{status="completed"}')).toBe(1);
+    expect(sample('orders_by_status{status="cancelled"}')).toBe(0);
+    expect(sample('orders_created_per_minute')).toBe(3);
+  });
+});
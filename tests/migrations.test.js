@@ -0,0 +1,163 @@
+// Test suite for schema migrations
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const { db, run, get, all, initializeDatabase, getMigrationStatus, migrate, rollback } = require('../src/database');
+
+// Tables and indexes in the database, except the ones SQLite manages itself
+const schemaObjects = async () => {
+  const rows = await all(`
+    SELECT type, name FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name NOT LIKE 'orders_fts_%' ORDER BY type, name
+  `);
+  return rows.map(({ type, name }) => `${type}:${name}`);
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Schema migrations', () => {
+
+  test('should apply and record every migration', async () => {
+    const status = await getMigrationStatus();
+
+    expect(status.pending).toEqual([]);
+    expect(status.unknown).toEqual([]);
+    expect(status.migrations[0]).toMatchObject({ version: 1, name: 'create_orders' });
+    expect(status.migrations.every(migration => migration.applied_at)).toBe(true);
+    expect(status.currentVersion).toBe(status.migrations[status.migrations.length - 1].version);
+
+    expect(await migrate()).toEqual([]);
+  });
+
+  test('should roll back every migration and apply them again', async () => {
+    const before = await schemaObjects();
+    const { currentVersion } = await getMigrationStatus();
+
+    const reverted = await rollback(currentVersion);
+    expect(reverted[0].version).toBe(currentVersion);
+    expect(await schemaObjects()).toEqual(['table:schema_migrations']);
+    expect((await getMigrationStatus()).currentVersion).toBe(0);
+
+    const applied = await migrate();
+    expect(applied).toHaveLength(currentVersion);
+    expect(await schemaObjects()).toEqual(before);
+  });
+
+  test('should keep data when a migration is rolled back', async () => {
+    await run(
+      `INSERT INTO orders (customer_name, product, quantity, amount, status, order_date)
+       VALUES ('Ada', 'Laptop', 1, 1000, 'pending', '2026-02-01')`
+    );
+
+    // Back to before order versions (008), then forward again
+    const { currentVersion } = await getMigrationStatus();
+    await rollback(currentVersion - 7);
+    expect(await get('SELECT * FROM orders')).not.toHaveProperty('version');
+
+    await migrate();
+    expect(await get('SELECT customer_name, version FROM orders')).toEqual({ customer_name: 'Ada', version: 1 });
+  });
+
+  test('should convert amounts to minor units and back', async () => {
+    const { currentVersion } = await getMigrationStatus();
+    // Back to before money was stored in minor units (014)
+    await rollback(currentVersion - 13);
+
+    const { lastID } = await run(
+      `INSERT INTO orders (customer_name, product, quantity, amount, status, order_date)
+       VALUES ('Grace', 'Cable', 3, 0.87, 'pending', '2026-02-01')`
+    );
+    await run('INSERT INTO order_items (order_id, product, quantity, unit_price) VALUES (?, ?, 3, 0.29)', [lastID, 'Cable']);
+    await run(
+      `INSERT INTO order_events (order_id, event_type, before_values, after_values, actor, created_at)
+       VALUES (?, 'updated', '{"amount":0.58}', '{"amount":0.87}', 'test', '2026-02-01')`,
+      [lastID]
+    );
+
+    await migrate();
+    expect(await get('SELECT amount, currency FROM orders WHERE id = ?', [lastID])).toEqual({ amount: 87, currency: 'USD' });
+    expect(await get('SELECT unit_price FROM order_items WHERE order_id = ?', [lastID])).toEqual({ unit_price: 29 });
+    expect(await get('SELECT before_values, after_values, currency FROM order_events WHERE order_id = ?', [lastID]))
+      .toEqual({ before_values: '{"amount":58}', after_values: '{"amount":87}', currency: 'USD' });
+
+    await rollback(currentVersion - 13);
+    expect(await get('SELECT amount FROM orders WHERE id = ?', [lastID])).toEqual({ amount: 0.87 });
+    await migrate();
+  });
+
+  test('should keep the amount of legacy orders whose unit price does not divide evenly', async () => {
+    const { currentVersion } = await getMigrationStatus();
+    // Back to before line items (004), whose backfill gives legacy orders an exact unit price
+    await rollback(currentVersion - 3);
+
+    const { lastID } = await run(
+      `INSERT INTO orders (customer_name, product, quantity, amount, status, order_date)
+       VALUES ('Edsger', 'Pen', 3, 100, 'pending', '2026-02-01')`
+    );
+
+    await migrate();
+    expect(await all('SELECT product, quantity, unit_price FROM order_items WHERE order_id = ? ORDER BY id', [lastID]))
+      .toEqual([{ product: 'Pen', quantity: 2, unit_price: 3333 }, { product: 'Pen', quantity: 1, unit_price: 3334 }]);
+    expect(await get('SELECT amount FROM orders WHERE id = ?', [lastID])).toEqual({ amount: 10000 });
+
+    // The adoption test below expects one line per order
+    await run('DELETE FROM order_items WHERE order_id = ?', [lastID]);
+    await run('DELETE FROM orders WHERE id = ?', [lastID]);
+  });
+
+  test('should give existing orders a subtotal and drop the breakdown on rollback', async () => {
+    const { currentVersion } = await getMigrationStatus();
+    // Back to before orders had a price breakdown (015)
+    await rollback(currentVersion - 14);
+
+    const { lastID } = await run(
+      `INSERT INTO orders (customer_name, product, quantity, amount, status, order_date)
+       VALUES ('Linus', 'Desk', 1, 25000, 'pending', '2026-02-01')`
+    );
+
+    await migrate();
+    expect(await get('SELECT subtotal, discount, tax, amount FROM orders WHERE id = ?', [lastID]))
+      .toEqual({ subtotal: 25000, discount: 0, tax: 0, amount: 25000 });
+
+    await run(
+      `INSERT INTO order_events (order_id, event_type, before_values, after_values, actor, created_at)
+       VALUES (?, 'created', NULL, '{"amount":26000,"subtotal":25000,"tax":1000,"tax_rate":4}', 'test', '2026-02-01')`,
+      [lastID]
+    );
+
+    await rollback(currentVersion - 14);
+    expect(await get('SELECT after_values FROM order_events WHERE order_id = ?', [lastID])).toEqual({ after_values: '{"amount":26000}' });
+    expect(await get('SELECT * FROM orders WHERE id = ?', [lastID])).not.toHaveProperty('subtotal');
+    await migrate();
+  });
+
+  test('should adopt a database created before migrations existed', async () => {
+    await run('DELETE FROM schema_migrations');
+    const orderCount = await get('SELECT COUNT(*) AS count FROM orders');
+
+    const applied = await migrate();
+
+    expect(applied).toHaveLength((await getMigrationStatus()).migrations.length);
+    expect(await get('SELECT COUNT(*) AS count FROM orders')).toEqual(orderCount);
+    // Backfills only fill in what is missing
+    const items = await all('SELECT COUNT(*) AS count FROM order_items GROUP BY order_id');
+    expect(items.every(({ count }) => count === 1)).toBe(true);
+  });
+
+  test('should stop at the first migration and roll back nothing more than asked', async () => {
+    const { currentVersion } = await getMigrationStatus();
+
+    expect(await rollback(2)).toHaveLength(2);
+    expect((await getMigrationStatus()).pending.map(({ version }) => version)).toEqual([currentVersion - 1, currentVersion]);
+    expect((await rollback(currentVersion + 5)).length).toBe(currentVersion - 2);
+    expect(await rollback(1)).toEqual([]);
+
+    await migrate();
+  });
+});
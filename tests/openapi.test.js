@@ -0,0 +1,144 @@
+// Test suite for the OpenAPI document and request validation
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+const { openApiDocument } = require('../src/openapi');
+const { validate } = require('../src/validation');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+let api;
+
+// Routes registered on the app, as "METHOD /path/{param}"
+const routes = app._router.stack
+  .filter(layer => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map(method => ({ route, name: `${method.toUpperCase()} ${route.path.replace(/:(\w+)/g, '{$1}')}` })));
+
+// Every $ref in a part of the document
+const refsIn = (node) => {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  return Object.entries(node).flatMap(([key, value]) => (key === '$ref' ? [value] : refsIn(value)));
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('integrator', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('OpenAPI document', () => {
+
+  test('should describe exactly the routes of the app', () => {
+    const operations = Object.entries(openApiDocument.paths).flatMap(([path, pathItem]) => {
+      return METHODS.filter(method => pathItem[method]).map(method => `${method.toUpperCase()} ${path}`);
+    });
+
+    expect(routes.map(({ name }) => name).sort()).toEqual(operations.sort());
+  });
+
+  test('should validate every route', () => {
+    const unvalidated = routes.filter(({ route }) => !route.stack.some(layer => layer.handle === validate));
+
+    expect(unvalidated.map(({ name }) => name)).toEqual([]);
+  });
+
+  test('should resolve every $ref and use unique operation ids', () => {
+    const unresolved = refsIn(openApiDocument).filter((ref) => {
+      return ref.split('/').slice(1).reduce((target, key) => target && target[key], openApiDocument) === undefined;
+    });
+    const operationIds = Object.values(openApiDocument.paths)
+      .flatMap(pathItem => METHODS.filter(method => pathItem[method]).map(method => pathItem[method].operationId));
+
+    expect(unresolved).toEqual([]);
+    expect(new Set(operationIds).size).toBe(operationIds.length);
+  });
+
+  test('should serve the document and the docs page without an API key', async () => {
+    const document = await request(app).get('/openapi.json');
+    expect(document.statusCode).toBe(200);
+    expect(document.body.openapi).toBe('3.1.0');
+    expect(document.body.paths).toHaveProperty('/orders/{id}');
+
+    const docs = await request(app).get('/docs');
+    expect(docs.statusCode).toBe(200);
+    expect(docs.headers['content-type']).toContain('text/html');
+    expect(docs.text).toContain('/openapi.json');
+    expect(docs.text.match(/integrity="sha384-[\w+/=]+" crossorigin="anonymous"/g)).toHaveLength(2);
+    expect(docs.text).not.toContain('persistAuthorization');
+  });
+});
+
+describe('Request validation', () => {
+
+  test('should list every failing field of a body', async () => {
+    const res = await api.post('/customers').send({ name: ' ', email: 42 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Validation failed',
+      fields: [
+        { field: 'name', error: 'name must be a non-blank string' },
+        { field: 'email', error: 'email must be an email address or null' }
+      ]
+    });
+  });
+
+  test('should validate a missing body against the required fields', async () => {
+    const { body: order } = await api.post('/orders')
+      .send({ customer_name: 'Alice', product: 'Mouse', quantity: 1, amount: 25, status: 'pending', order_date: '2026-05-01' });
+
+    const cancel = await api.post(`/orders/${order.id}/cancel`);
+    expect(cancel.statusCode).toBe(400);
+    expect(cancel.body.fields).toEqual([{ field: 'reason', error: 'reason is required' }]);
+
+    const key = await api.post('/api-keys');
+    expect(key.statusCode).toBe(400);
+    expect(key.body.fields.map(({ field }) => field)).toEqual(['name', 'role']);
+  });
+
+  test('should report malformed JSON as an invalid body', async () => {
+    const res = await api.post('/orders').set('Content-Type', 'application/json').send('{"customer_name": ');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Validation failed', fields: [{ field: 'body', error: 'body must be valid JSON' }] });
+  });
+
+  test('should refuse bodies of a media type the operation does not accept', async () => {
+    const res = await api.post('/api-keys').set('Content-Type', 'text/plain').send('name=ci');
+
+    expect(res.statusCode).toBe(415);
+    expect(res.body).toEqual({ error: 'Unsupported Media Type', supported: ['application/json'] });
+  });
+
+  test('should validate path and query parameters', async () => {
+    const res = await api.get('/inventory/abc/movements?limit=500');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.fields).toEqual([
+      { field: 'productId', error: 'productId must be a positive integer' },
+      { field: 'limit', error: 'limit must be an integer from 1 to 100' }
+    ]);
+
+    const search = await api.get('/orders/search');
+    expect(search.body.fields).toEqual([{ field: 'q', error: 'q is required' }]);
+  });
+
+  test('should validate JSON Patch documents item by item', async () => {
+    const res = await api.patch('/orders/1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'replace', path: '/status', value: 'completed' }, { path: '/notes' }]));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.fields).toEqual([{ field: '1/op', error: 'op is required' }]);
+  });
+});
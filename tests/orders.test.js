@@ -3,10 +3,17 @@
 const request = require('supertest');
 const app = require('../src/server');
 const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+const { purgeTrash } = require('../src/trash');
+
+// Requests are sent with an admin API key unless a test says otherwise
+let api;
 
 // Setup and teardown
 beforeAll(async () => {
   await initializeDatabase();
+  const { key } = await issueApiKey('test-admin', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
 });
 
 afterAll((done) => {
@@ -14,8 +21,12 @@ afterAll((done) => {
 });
 
 beforeEach((done) => {
-  // Clear orders table before each test
-  db.run('DELETE FROM orders', done);
+  // Clear orders, their items and their history before each test
+  db.serialize(() => {
+    db.run('DELETE FROM order_events');
+    db.run('DELETE FROM order_items');
+    db.run('DELETE FROM orders', done);
+  });
 });
 
 describe('Orders API Tests', () => {
@@ -43,7 +54,7 @@ describe('Orders API Tests', () => {
         order_date: '2026-02-01'
       };
 
-      const res = await request(app)
+      const res = await api
         .post('/orders')
         .send(newOrder);
 
@@ -61,12 +72,20 @@ describe('Orders API Tests', () => {
         // Missing quantity, amount, status, order_date
       };
 
-      const res = await request(app)
+      const res = await api
         .post('/orders')
         .send(invalidOrder);
 
       expect(res.statusCode).toBe(400);
-      expect(res.body).toHaveProperty('error', 'Missing required fields');
+      expect(res.body).toEqual({
+        error: 'Validation failed',
+        fields: [
+          { field: 'status', error: 'status is required' },
+          { field: 'order_date', error: 'order_date is required' },
+          { field: 'quantity', error: 'quantity is required' },
+          { field: 'amount', error: 'amount is required' }
+        ]
+      });
     });
 
     test('should reject order with invalid status', async () => {
@@ -79,12 +98,36 @@ describe('Orders API Tests', () => {
         order_date: '2026-02-01'
       };
 
-      const res = await request(app)
+      const res = await api
         .post('/orders')
         .send(invalidOrder);
 
       expect(res.statusCode).toBe(400);
-      expect(res.body.error).toBe('Invalid status');
+      expect(res.body.fields).toEqual([{ field: 'status', error: 'status must be one of pending, processing, completed' }]);
+    });
+
+    test('should not create an order that is already cancelled', async () => {
+      const res = await api
+        .post('/orders')
+        .send({ customer_name: 'John Doe', product: 'Monitor', quantity: 1, amount: 100, status: 'cancelled', order_date: '2026-02-01' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'status', error: 'status must be one of pending, processing, completed' }]);
+    });
+
+    test('should reject an order date that is not a date', async () => {
+      const res = await api
+        .post('/orders')
+        .send({ customer_name: 'John Doe', product: 'Monitor', quantity: 1, amount: 100, status: 'pending', order_date: 'next Monday' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'order_date', error: 'order_date must be a date such as 2026-02-07' }]);
+
+      const impossible = await api
+        .post('/orders')
+        .send({ customer_name: 'John Doe', product: 'Monitor', quantity: 1, amount: 100, status: 'pending', order_date: '2026-02-30' });
+      expect(impossible.statusCode).toBe(400);
+      expect(impossible.body.fields).toEqual([{ field: 'order_date', error: 'order_date must be a date such as 2026-02-07' }]);
     });
 
     test('should reject order with negative quantity', async () => {
@@ -97,12 +140,12 @@ describe('Orders API Tests', () => {
         order_date: '2026-02-01'
       };
 
-      const res = await request(app)
+      const res = await api
         .post('/orders')
         .send(invalidOrder);
 
       expect(res.statusCode).toBe(400);
-      expect(res.body.error).toContain('positive numbers');
+      expect(res.body.fields).toEqual([{ field: 'quantity', error: 'quantity must be a positive integer' }]);
     });
   });
 
@@ -122,9 +165,10 @@ describe('Orders API Tests', () => {
 
       for (const order of orders) {
         await new Promise((resolve) => {
+          // Amounts are stored in cents
           db.run(
             'INSERT INTO orders (customer_name, product, quantity, amount, status, order_date) VALUES (?, ?, ?, ?, ?, ?)',
-            [order.customer_name, order.product, order.quantity, order.amount, order.status, order.order_date],
+            [order.customer_name, order.product, order.quantity, order.amount * 100, order.status, order.order_date],
             resolve
           );
         });
@@ -132,7 +176,7 @@ describe('Orders API Tests', () => {
     });
 
     test('should return paginated orders with default pagination', async () => {
-      const res = await request(app).get('/orders');
+      const res = await api.get('/orders');
 
       expect(res.statusCode).toBe(200);
       expect(res.body).toHaveProperty('data');
@@ -144,7 +188,7 @@ describe('Orders API Tests', () => {
     });
 
     test('should return correct page with custom pagination', async () => {
-      const res = await request(app).get('/orders?page=2&limit=5');
+      const res = await api.get('/orders?page=2&limit=5');
 
       expect(res.statusCode).toBe(200);
       expect(res.body.data.length).toBeLessThanOrEqual(5);
@@ -153,14 +197,20 @@ describe('Orders API Tests', () => {
     });
 
     test('should reject invalid pagination parameters', async () => {
-      const res = await request(app).get('/orders?page=0&limit=200');
+      const res = await api.get('/orders?page=0&limit=200');
 
       expect(res.statusCode).toBe(400);
-      expect(res.body.error).toContain('Invalid pagination parameters');
+      expect(res.body).toEqual({
+        error: 'Validation failed',
+        fields: [
+          { field: 'page', error: 'page must be a positive integer' },
+          { field: 'limit', error: 'limit must be an integer from 1 to 100' }
+        ]
+      });
     });
 
     test('should include pagination metadata', async () => {
-      const res = await request(app).get('/orders?limit=10');
+      const res = await api.get('/orders?limit=10');
 
       expect(res.statusCode).toBe(200);
       expect(res.body.pagination).toHaveProperty('totalOrders');
@@ -168,6 +218,80 @@ describe('Orders API Tests', () => {
       expect(res.body.pagination).toHaveProperty('hasNextPage');
       expect(res.body.pagination).toHaveProperty('hasPreviousPage');
     });
+
+    test('should sort by the requested columns', async () => {
+      const res = await api.get('/orders?sort=-amount&limit=3');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(order => order.amount)).toEqual(['2500.00', '2400.00', '2300.00']);
+
+      const byStatus = await api.get('/orders?sort=status,customer_name&limit=2');
+      expect(byStatus.body.data.map(order => order.customer_name)).toEqual(['Customer 12', 'Customer 15']);
+    });
+
+    test('should reject an unknown sort column', async () => {
+      const res = await api.get('/orders?sort=-created_by');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Invalid sort parameter');
+    });
+
+    test('should page through every order with a cursor', async () => {
+      const seen = [];
+      let cursor = '';
+      let pages = 0;
+
+      do {
+        const res = await api.get('/orders').query({ cursor, limit: 10, sort: '-quantity' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.pagination).not.toHaveProperty('totalOrders');
+
+        seen.push(...res.body.data.map(order => order.quantity));
+        cursor = res.body.pagination.nextCursor;
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(3);
+      expect(seen).toEqual(Array.from({ length: 25 }, (_, i) => 25 - i));
+    });
+
+    test('should not shift cursor pages when orders are inserted', async () => {
+      const first = await api.get('/orders?cursor=&limit=5');
+      const lastSeen = first.body.data[4].id;
+
+      await api.post('/orders').send({
+        customer_name: 'Late Customer', product: 'Product', quantity: 1,
+        amount: 100, status: 'pending', order_date: '2026-03-01'
+      });
+
+      const second = await api.get('/orders').query({ cursor: first.body.pagination.nextCursor, limit: 5 });
+      expect(second.body.data[0].order_date < first.body.data[4].order_date).toBe(true);
+      expect(second.body.data.map(order => order.id)).not.toContain(lastSeen);
+    });
+
+    test('should include the total in cursor mode when asked', async () => {
+      const res = await api.get('/orders?cursor=&includeTotal=true&status=completed');
+
+      expect(res.body.pagination.totalOrders).toBe(8);
+    });
+
+    test('should reject a cursor made for another sort', async () => {
+      const first = await api.get('/orders?cursor=&limit=5&sort=-amount');
+
+      const res = await api.get('/orders').query({ cursor: first.body.pagination.nextCursor, sort: 'customer_name' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Invalid cursor');
+
+      const garbage = await api.get('/orders?cursor=not-a-cursor');
+      expect(garbage.statusCode).toBe(400);
+    });
+
+    test('should skip the count in offset mode when includeTotal=false', async () => {
+      const res = await api.get('/orders?page=3&limit=10&includeTotal=false');
+
+      expect(res.body.pagination).toEqual({ page: 3, limit: 10, hasNextPage: false, hasPreviousPage: true });
+      expect(res.body.data).toHaveLength(5);
+    });
   });
 
   // Tests 11-13: GET /orders - Filtering
@@ -183,9 +307,10 @@ describe('Orders API Tests', () => {
 
       for (const order of testOrders) {
         await new Promise((resolve) => {
+          // Amounts are stored in cents
           db.run(
             'INSERT INTO orders (customer_name, product, quantity, amount, status, order_date) VALUES (?, ?, ?, ?, ?, ?)',
-            [order.customer_name, order.product, order.quantity, order.amount, order.status, order.order_date],
+            [order.customer_name, order.product, order.quantity, order.amount * 100, order.status, order.order_date],
             resolve
           );
         });
@@ -193,7 +318,7 @@ describe('Orders API Tests', () => {
     });
 
     test('should filter orders by status', async () => {
-      const res = await request(app).get('/orders?status=completed');
+      const res = await api.get('/orders?status=completed');
 
       expect(res.statusCode).toBe(200);
       expect(res.body.data.every(order => order.status === 'completed')).toBe(true);
@@ -201,17 +326,17 @@ describe('Orders API Tests', () => {
     });
 
     test('should filter orders by amount range', async () => {
-      const res = await request(app).get('/orders?minAmount=100&maxAmount=1000');
+      const res = await api.get('/orders?minAmount=100&maxAmount=1000');
 
       expect(res.statusCode).toBe(200);
       res.body.data.forEach(order => {
-        expect(order.amount).toBeGreaterThanOrEqual(100);
-        expect(order.amount).toBeLessThanOrEqual(1000);
+        expect(Number(order.amount)).toBeGreaterThanOrEqual(100);
+        expect(Number(order.amount)).toBeLessThanOrEqual(1000);
       });
     });
 
     test('should filter orders by date range', async () => {
-      const res = await request(app).get('/orders?startDate=2026-02-01&endDate=2026-02-28');
+      const res = await api.get('/orders?startDate=2026-02-01&endDate=2026-02-28');
 
       expect(res.statusCode).toBe(200);
       res.body.data.forEach(order => {
@@ -221,11 +346,59 @@ describe('Orders API Tests', () => {
     });
 
     test('should reject invalid status filter', async () => {
-      const res = await request(app).get('/orders?status=invalid');
+      const res = await api.get('/orders?status=invalid');
 
       expect(res.statusCode).toBe(400);
       expect(res.body.error).toBe('Invalid status filter');
     });
+
+    test('should filter by several statuses and an amount comparison', async () => {
+      const res = await api.get('/orders?status=in:pending,processing&amount=gt:100');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(order => order.customer_name)).toEqual(['Charlie']);
+    });
+
+    test('should match text with like and * wildcards', async () => {
+      const res = await api.get('/orders?product=like:*o*&customer_name=ne:Bob');
+
+      expect(res.body.data.map(order => order.product).sort()).toEqual(['Keyboard', 'Laptop', 'Monitor']);
+
+      const literal = await api.get('/orders?product=like:%25');
+      expect(literal.body.data).toHaveLength(0);
+    });
+
+    test('should combine repeated conditions on one field', async () => {
+      const res = await api.get('/orders?quantity=gte:1&quantity=lt:3&order_date=gte:2026-01-20&status=nin:completed');
+
+      expect(res.body.data.map(order => order.customer_name).sort()).toEqual(['Bob', 'Charlie']);
+    });
+
+    test('should filter by created_at range', async () => {
+      const res = await api.get('/orders?created_at=gte:2000-01-01&created_at=lt:2000-01-02');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(0);
+    });
+
+    test('should reject unknown filter fields and operators', async () => {
+      const unknownField = await api.get('/orders?colour=eq:red');
+      expect(unknownField.statusCode).toBe(400);
+      expect(unknownField.body.error).toBe('Unknown filter field');
+      expect(unknownField.body.field).toBe('colour');
+
+      const unknownOperator = await api.get('/orders?amount=between:1,2');
+      expect(unknownOperator.statusCode).toBe(400);
+      expect(unknownOperator.body.error).toBe('Unknown filter operator');
+
+      const unsupported = await api.get('/orders?amount=like:1*');
+      expect(unsupported.statusCode).toBe(400);
+      expect(unsupported.body.operators).not.toContain('like');
+
+      const badValue = await api.get('/orders?quantity=gte:many');
+      expect(badValue.statusCode).toBe(400);
+      expect(badValue.body.error).toBe('Invalid filter value');
+    });
   });
 
   // Test 14: GET /orders/:id
@@ -233,7 +406,7 @@ describe('Orders API Tests', () => {
 
     test('should get order by ID', async () => {
       // Create test order first
-      const createRes = await request(app)
+      const createRes = await api
         .post('/orders')
         .send({
           customer_name: 'Test User',
@@ -245,7 +418,7 @@ describe('Orders API Tests', () => {
         });
 
       const orderId = createRes.body.id;
-      const res = await request(app).get(`/orders/${orderId}`);
+      const res = await api.get(`/orders/${orderId}`);
 
       expect(res.statusCode).toBe(200);
       expect(res.body.id).toBe(orderId);
@@ -253,7 +426,7 @@ describe('Orders API Tests', () => {
     });
 
     test('should return 404 for non-existent order', async () => {
-      const res = await request(app).get('/orders/99999');
+      const res = await api.get('/orders/99999');
 
       expect(res.statusCode).toBe(404);
       expect(res.body.error).toBe('Order not found');
@@ -265,7 +438,7 @@ describe('Orders API Tests', () => {
 
     test('should update order successfully', async () => {
       // Create test order
-      const createRes = await request(app)
+      const createRes = await api
         .post('/orders')
         .send({
           customer_name: 'Old Name',
@@ -278,27 +451,750 @@ describe('Orders API Tests', () => {
 
       const orderId = createRes.body.id;
 
-      // Update order
-      const updateRes = await request(app)
+      // Replace order
+      const updateRes = await api
         .put(`/orders/${orderId}`)
         .send({
           customer_name: 'New Name',
-          status: 'completed'
+          product: 'New Product',
+          quantity: 2,
+          amount: 150,
+          status: 'processing',
+          order_date: '2026-02-02'
         });
 
       expect(updateRes.statusCode).toBe(200);
       expect(updateRes.body.message).toBe('Order updated successfully');
+      expect(updateRes.body.amount).toBe('150.00');
+      expect(updateRes.body.items).toHaveLength(1);
+      expect(updateRes.body.items[0].unit_price).toBe('75.00');
 
       // Verify update
-      const getRes = await request(app).get(`/orders/${orderId}`);
+      const getRes = await api.get(`/orders/${orderId}`);
       expect(getRes.body.customer_name).toBe('New Name');
-      expect(getRes.body.status).toBe('completed');
+      expect(getRes.body.status).toBe('processing');
+    });
+
+    test('should reject a status change the lifecycle does not allow', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'Cancelled Customer',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+      await api.post(`/orders/${createRes.body.id}/cancel`).send({ reason: 'Ordered twice' });
+
+      const res = await api
+        .patch(`/orders/${createRes.body.id}`)
+        .send({ status: 'completed' });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('Invalid status transition');
+      expect(res.body.from).toBe('cancelled');
+
+      const getRes = await api.get(`/orders/${createRes.body.id}`);
+      expect(getRes.body.status).toBe('cancelled');
+    });
+
+    test('should require every field of the order', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'Partial Customer',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+
+      const res = await api
+        .put(`/orders/${createRes.body.id}`)
+        .send({ customer_name: 'Partial Customer', amount: 120 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+      expect(res.body.fields.map(field => field.field)).toEqual(['status', 'order_date', 'product', 'quantity']);
+    });
+
+    test('should reject a zero quantity instead of ignoring it', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'Zero Customer',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+
+      const res = await api
+        .put(`/orders/${createRes.body.id}`)
+        .send({
+          customer_name: 'Zero Customer',
+          product: 'Product',
+          quantity: 0,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'quantity', error: 'quantity must be a positive integer' }]);
     });
 
     test('should return 404 when updating non-existent order', async () => {
-      const res = await request(app)
+      const res = await api
         .put('/orders/99999')
-        .send({ status: 'completed' });
+        .send({ customer_name: 'Nobody', product: 'Product', quantity: 1, amount: 100, status: 'completed', order_date: '2026-02-01' });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Order not found');
+    });
+  });
+
+  // PATCH /orders/:id
+  describe('PATCH /orders/:id', () => {
+    let orderId;
+
+    beforeEach(async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'Patch Customer',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+      orderId = createRes.body.id;
+    });
+
+    test('should apply a merge patch and return the updated order', async () => {
+      const res = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ customer_name: 'Patched Customer', status: 'processing' }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.customer_name).toBe('Patched Customer');
+      expect(res.body.status).toBe('processing');
+      expect(res.body.amount).toBe('100.00');
+      expect(res.body.version).toBe(2);
+      expect(res.body.customer.name).toBe('Patched Customer');
+
+      const getRes = await api.get(`/orders/${orderId}`);
+      expect(res.headers.etag).toBe(getRes.headers.etag);
+    });
+
+    test('should clear a field set to null in a merge patch', async () => {
+      await api.patch(`/orders/${orderId}`).send({ cancellation_reason: 'Customer called' });
+
+      const res = await api.patch(`/orders/${orderId}`).send({ cancellation_reason: null });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.cancellation_reason).toBeNull();
+    });
+
+    test('should report invalid fields', async () => {
+      const res = await api.patch(`/orders/${orderId}`).send({ quantity: 0, amount: -1, colour: 'red', order_date: '2026-02-30T' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields.map(field => field.field)).toEqual(['colour', 'quantity', 'order_date', 'amount']);
+    });
+
+    test('should replace line items through a merge patch', async () => {
+      const res = await api.patch(`/orders/${orderId}`).send({
+        items: [
+          { product: 'Laptop', quantity: 1, unit_price: 1000 },
+          { product: 'Mouse', quantity: 2, unit_price: 25 }
+        ]
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.items).toHaveLength(2);
+      expect(res.body.amount).toBe('1050.00');
+      expect(res.body.version).toBe(2);
+    });
+
+    test('should apply a JSON Patch', async () => {
+      const res = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'test', path: '/status', value: 'pending' },
+          { op: 'replace', path: '/items/0/quantity', value: 3 },
+          { op: 'add', path: '/items/-', value: { product: 'Cable', quantity: 1, unit_price: 5 } }
+        ]));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.quantity).toBe(4);
+      expect(res.body.amount).toBe('305.00');
+    });
+
+    test('should return 409 when a JSON Patch test fails', async () => {
+      const res = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'test', path: '/status', value: 'processing' },
+          { op: 'replace', path: '/amount', value: 1 }
+        ]));
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('JSON Patch test failed');
+
+      const getRes = await api.get(`/orders/${orderId}`);
+      expect(getRes.body.amount).toBe('100.00');
+    });
+
+    test('should reject a malformed JSON Patch', async () => {
+      const res = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([{ op: 'rename', path: '/status' }]));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: '0/op', error: 'op must be one of add, remove, replace, move, copy, test' }]);
+    });
+
+    test('should not reach Object.prototype through a patch', async () => {
+      const jsonPatch = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([{ op: 'add', path: '/__proto__/polluted', value: 'yes' }]));
+      const mergePatch = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send('{"__proto__": {"polluted": "yes"}}');
+
+      expect(jsonPatch.statusCode).toBe(400);
+      expect(mergePatch.statusCode).toBe(400);
+      expect({}.polluted).toBeUndefined();
+    });
+
+    test('should reject an unsupported content type', async () => {
+      const res = await api
+        .patch(`/orders/${orderId}`)
+        .set('Content-Type', 'text/plain')
+        .send('status=processing');
+
+      expect(res.statusCode).toBe(415);
+    });
+  });
+
+  // Multi-line orders
+  describe('Order items', () => {
+    const multiLineOrder = {
+      customer_name: 'Items User',
+      status: 'pending',
+      order_date: '2026-02-01',
+      items: [
+        { product: 'Laptop', quantity: 1, unit_price: 1200 },
+        { product: 'Mouse', quantity: 2, unit_price: 25.5 }
+      ]
+    };
+
+    test('should create an order from line items and compute the total', async () => {
+      const res = await api.post('/orders').send(multiLineOrder);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.amount).toBe('1251.00');
+      expect(res.body.quantity).toBe(3);
+      expect(res.body.items).toHaveLength(2);
+
+      const getRes = await api.get(`/orders/${res.body.id}`);
+      expect(getRes.body.amount).toBe('1251.00');
+      expect(getRes.body.items.map(item => item.product)).toEqual(['Laptop', 'Mouse']);
+    });
+
+    test('should store a single-product order as a one-line order', async () => {
+      const res = await api
+        .post('/orders')
+        .send({
+          customer_name: 'Legacy User',
+          product: 'Monitor',
+          quantity: 2,
+          amount: 600,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.items).toEqual([
+        expect.objectContaining({ product: 'Monitor', quantity: 2, unit_price: '300.00' })
+      ]);
+    });
+
+    test('should report invalid line items by index', async () => {
+      const res = await api
+        .post('/orders')
+        .send({ ...multiLineOrder, items: [{ product: 'Laptop', quantity: 1, unit_price: 1200 }, { product: 'Mouse', quantity: 0, unit_price: 10 }] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'items/1/quantity', error: 'quantity must be a positive integer' }]);
+    });
+
+    test('should add, change and remove lines and recompute the total', async () => {
+      const createRes = await api.post('/orders').send(multiLineOrder);
+      const orderId = createRes.body.id;
+      const mouseId = createRes.body.items[1].id;
+
+      const addRes = await api
+        .post(`/orders/${orderId}/items`)
+        .send({ product: 'Keyboard', quantity: 1, unit_price: 99 });
+      expect(addRes.statusCode).toBe(201);
+      expect(addRes.body.amount).toBe('1350.00');
+      expect(addRes.body.items).toHaveLength(3);
+
+      const updateRes = await api
+        .put(`/orders/${orderId}/items/${mouseId}`)
+        .send({ quantity: 4 });
+      expect(updateRes.statusCode).toBe(200);
+      expect(updateRes.body.amount).toBe('1401.00');
+
+      const deleteRes = await api.delete(`/orders/${orderId}/items/${mouseId}`);
+      expect(deleteRes.statusCode).toBe(200);
+      expect(deleteRes.body.amount).toBe('1299.00');
+      expect(deleteRes.body.product).toBe('Laptop, Keyboard');
+    });
+
+    test('should not remove the last line of an order', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({ ...multiLineOrder, items: [{ product: 'Laptop', quantity: 1, unit_price: 1200 }] });
+
+      const res = await api.delete(`/orders/${createRes.body.id}/items/${createRes.body.items[0].id}`);
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    test('should not change lines once the order left pending', async () => {
+      const createRes = await api.post('/orders').send(multiLineOrder);
+      await api.post(`/orders/${createRes.body.id}/process`);
+
+      const res = await api
+        .post(`/orders/${createRes.body.id}/items`)
+        .send({ product: 'Keyboard', quantity: 1, unit_price: 99 });
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    test('should not change the summary once the order left pending', async () => {
+      const createRes = await api.post('/orders').send({ ...multiLineOrder, items: undefined, product: 'Mouse', quantity: 2, amount: 4 });
+      await api.post(`/orders/${createRes.body.id}/process`);
+
+      const res = await api.patch(`/orders/${createRes.body.id}`).send({ quantity: 9 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('Order items can only be changed while the order is pending');
+      expect((await api.get(`/orders/${createRes.body.id}`)).body.items.map(item => item.quantity)).toEqual([2]);
+    });
+
+    test('should reject a direct amount change on a multi-line order', async () => {
+      const createRes = await api.post('/orders').send(multiLineOrder);
+
+      const res = await api
+        .patch(`/orders/${createRes.body.id}`)
+        .send({ amount: 10 });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.error).toBe('Order has multiple line items');
+    });
+
+    test('should return 404 for an unknown line item', async () => {
+      const createRes = await api.post('/orders').send(multiLineOrder);
+
+      const res = await api
+        .put(`/orders/${createRes.body.id}/items/99999`)
+        .send({ quantity: 2 });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Order item not found');
+    });
+  });
+
+  // Money in minor units and currencies
+  describe('Money and currencies', () => {
+    const order = {
+      customer_name: 'Money User',
+      product: 'Cable',
+      quantity: 1,
+      amount: 150,
+      status: 'pending',
+      order_date: '2026-02-01'
+    };
+
+    test('should add up amounts exactly and return them as decimal strings', async () => {
+      const res = await api
+        .post('/orders')
+        .send({ ...order, product: undefined, quantity: undefined, amount: undefined, items: [
+          { product: 'Sticker', quantity: 3, unit_price: '0.10' },
+          { product: 'Button', quantity: 1, unit_price: 0.2 }
+        ] });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.amount).toBe('0.50');
+      expect(res.body.currency).toBe('USD');
+      expect(res.body.items.map(item => item.unit_price)).toEqual(['0.10', '0.20']);
+
+      const yen = await api.post('/orders').send({ ...order, amount: '1500', currency: 'JPY' });
+      expect(yen.statusCode).toBe(201);
+      expect(yen.body.amount).toBe('1500');
+      expect(yen.body.currency).toBe('JPY');
+    });
+
+    test('should split an amount that does not divide by the quantity without losing the remainder', async () => {
+      const res = await api.post('/orders').send({ ...order, quantity: 3, amount: '10.00' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.amount).toBe('10.00');
+      expect(res.body.items.map(({ quantity, unit_price }) => ({ quantity, unit_price }))).toEqual([
+        { quantity: 2, unit_price: '3.33' },
+        { quantity: 1, unit_price: '3.34' }
+      ]);
+
+      // Repricing from the items keeps every cent
+      const added = await api.post(`/orders/${res.body.id}/items`).send({ product: 'Plug', quantity: 1, unit_price: '1.00' });
+      expect(added.body.amount).toBe('11.00');
+
+      const tooSmall = await api.post('/orders').send({ ...order, quantity: 5, amount: '0.01' });
+      expect(tooSmall.statusCode).toBe(400);
+      expect(tooSmall.body).toEqual({ error: 'Invalid amount', details: 'amount must be at least 0.05 USD for a quantity of 5' });
+    });
+
+    test('should reject more decimal places than the currency has', async () => {
+      const cents = await api.post('/orders').send({ ...order, amount: 10.005 });
+      expect(cents.statusCode).toBe(400);
+      expect(cents.body).toEqual({ error: 'Invalid amount', details: 'amount must be a positive amount in USD with at most 2 decimal places' });
+
+      const yen = await api.post('/orders').send({ ...order, amount: '10.5', currency: 'JPY' });
+      expect(yen.statusCode).toBe(400);
+      expect(yen.body.details).toBe('amount must be a positive amount in JPY with no decimal places');
+
+      const dinar = await api.post('/orders').send({ ...order, product: undefined, quantity: undefined, amount: undefined, currency: 'BHD', items: [
+        { product: 'Tea', quantity: 1, unit_price: '1.2345' }
+      ] });
+      expect(dinar.body.items).toEqual([{ index: 0, error: 'unit_price must be a positive amount in BHD with at most 3 decimal places' }]);
+
+      const unknown = await api.post('/orders').send({ ...order, currency: 'XYZ' });
+      expect(unknown.statusCode).toBe(400);
+      expect(unknown.body.fields.map(({ field }) => field)).toEqual(['currency']);
+    });
+
+    test('should compare amount filters in the currency of each order', async () => {
+      await api.post('/orders').send({ ...order, customer_name: 'Dollar' });
+      await api.post('/orders').send({ ...order, customer_name: 'Yen', currency: 'JPY' });
+      await api.post('/orders').send({ ...order, customer_name: 'Cheap', amount: '99.99' });
+
+      const over = await api.get('/orders?amount=gte:150&sort=customer_name');
+      expect(over.body.data.map(row => row.customer_name)).toEqual(['Dollar', 'Yen']);
+
+      const under = await api.get('/orders?amount=lte:99.99');
+      expect(under.body.data.map(row => row.customer_name)).toEqual(['Cheap']);
+
+      const yen = await api.get('/orders?currency=JPY');
+      expect(yen.body.data.map(row => row.customer_name)).toEqual(['Yen']);
+
+      // Sorting compares amounts the same way, also across cursor pages
+      const sorted = await api.get('/orders?sort=-amount');
+      expect(sorted.body.data.map(row => row.customer_name)).toEqual(['Yen', 'Dollar', 'Cheap']);
+
+      const firstPage = await api.get('/orders?cursor=&limit=2&sort=-amount');
+      const nextPage = await api.get('/orders').query({ cursor: firstPage.body.pagination.nextCursor, limit: 2, sort: '-amount' });
+      expect(nextPage.body.data.map(row => row.customer_name)).toEqual(['Cheap']);
+
+      const invalid = await api.get('/orders?currency=dollars');
+      expect(invalid.statusCode).toBe(400);
+      expect(invalid.body.error).toBe('Invalid filter value');
+    });
+
+    test('should not change the currency of an order', async () => {
+      const createRes = await api.post('/orders').send(order);
+
+      const res = await api.patch(`/orders/${createRes.body.id}`).send({ currency: 'EUR' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'currency', error: 'currency cannot be changed once the order is created' }]);
+
+      const same = await api.put(`/orders/${createRes.body.id}`).send({ ...order, amount: '150.00', currency: 'USD' });
+      expect(same.statusCode).toBe(200);
+      expect(same.body.version).toBe(1);
+    });
+  });
+
+  // Order lifecycle action routes
+  describe('POST /orders/:id/process|complete|cancel', () => {
+    let orderId;
+
+    beforeEach(async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'Lifecycle User',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+      orderId = createRes.body.id;
+    });
+
+    test('should move an order through pending -> processing -> completed', async () => {
+      const processRes = await api.post(`/orders/${orderId}/process`);
+      expect(processRes.statusCode).toBe(200);
+      expect(processRes.body.status).toBe('processing');
+
+      const completeRes = await api.post(`/orders/${orderId}/complete`);
+      expect(completeRes.statusCode).toBe(200);
+      expect(completeRes.body.status).toBe('completed');
+    });
+
+    test('should return 409 when completing a pending order', async () => {
+      const res = await api.post(`/orders/${orderId}/complete`);
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.from).toBe('pending');
+      expect(res.body.to).toBe('completed');
+      expect(res.body.allowedTransitions).toEqual(['processing', 'cancelled']);
+    });
+
+    test('should cancel an order with a reason', async () => {
+      const res = await api
+        .post(`/orders/${orderId}/cancel`)
+        .send({ reason: 'Customer changed their mind' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe('cancelled');
+      expect(res.body.cancellation_reason).toBe('Customer changed their mind');
+      expect(res.body.cancelled_at).toBeTruthy();
+
+      const reopenRes = await api.post(`/orders/${orderId}/process`);
+      expect(reopenRes.statusCode).toBe(409);
+    });
+
+    test('should require a reason to cancel', async () => {
+      const res = await api.post(`/orders/${orderId}/cancel`).send({});
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'reason', error: 'reason is required' }]);
+    });
+
+    test('should require a reason to cancel through PUT and PATCH', async () => {
+      const res = await api.patch(`/orders/${orderId}`).send({ status: 'cancelled' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'cancellation_reason', error: 'cancellation_reason is required to cancel an order' }]);
+
+      const withReason = await api.patch(`/orders/${orderId}`).send({ status: 'cancelled', cancellation_reason: 'Out of budget' });
+      expect(withReason.statusCode).toBe(200);
+      expect(withReason.body.cancelled_at).toBeTruthy();
+    });
+
+    test('should return 404 for actions on a non-existent order', async () => {
+      const res = await api.post('/orders/99999/process');
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Order not found');
+    });
+  });
+
+  // Optimistic concurrency with ETag / If-Match
+  describe('ETags and conditional requests', () => {
+    let orderId;
+
+    beforeEach(async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'ETag User',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+      orderId = createRes.body.id;
+    });
+
+    test('should return an ETag that changes when the order changes', async () => {
+      const first = await api.get(`/orders/${orderId}`);
+      expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+      expect(first.body.version).toBe(1);
+
+      const updateRes = await api.patch(`/orders/${orderId}`).send({ amount: 150 });
+      expect(updateRes.headers.etag).not.toBe(first.headers.etag);
+
+      const second = await api.get(`/orders/${orderId}`);
+      expect(second.headers.etag).toBe(updateRes.headers.etag);
+      expect(second.body.updated_at).toBeTruthy();
+    });
+
+    test('should send the same ETag on create as on GET', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({ customer_name: 'ETag User', product: 'Product', quantity: 1, amount: 100, status: 'pending', order_date: '2026-02-01' });
+      const res = await api.get(`/orders/${createRes.body.id}`);
+
+      expect(createRes.statusCode).toBe(201);
+      expect(createRes.headers.etag).toBe(res.headers.etag);
+    });
+
+    test('should change the ETag when the customer of the order changes', async () => {
+      const first = await api.get(`/orders/${orderId}`);
+
+      // Customers are not cleared between runs, so the email must differ from the one stored last time
+      const email = `etag-${Date.now()}@example.com`;
+      await api.put(`/customers/${first.body.customer_id}`).send({ name: 'ETag User', email });
+
+      const second = await api.get(`/orders/${orderId}`).set('If-None-Match', first.headers.etag);
+      expect(second.statusCode).toBe(200);
+      expect(second.body.version).toBe(1);
+      expect(second.body.customer.email).toBe(email);
+      expect(second.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    test('should return 304 when If-None-Match matches', async () => {
+      const first = await api.get(`/orders/${orderId}`);
+
+      const notModified = await api.get(`/orders/${orderId}`).set('If-None-Match', first.headers.etag);
+      expect(notModified.statusCode).toBe(304);
+
+      await api.post(`/orders/${orderId}/process`);
+
+      const modified = await api.get(`/orders/${orderId}`).set('If-None-Match', first.headers.etag);
+      expect(modified.statusCode).toBe(200);
+      expect(modified.body.status).toBe('processing');
+    });
+
+    test('should apply an update when If-Match is current', async () => {
+      const { headers } = await api.get(`/orders/${orderId}`);
+      const res = await api.patch(`/orders/${orderId}`).set('If-Match', headers.etag).send({ amount: 150 });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should not match a weak tag in If-Match', async () => {
+      const { headers } = await api.get(`/orders/${orderId}`);
+      const res = await api.patch(`/orders/${orderId}`).set('If-Match', `W/${headers.etag}`).send({ amount: 150 });
+
+      expect(res.statusCode).toBe(412);
+      expect(res.body.currentETag).toBe(headers.etag);
+    });
+
+    test('should return 412 for an update with a stale If-Match', async () => {
+      const first = await api.get(`/orders/${orderId}`);
+      const updateRes = await api.patch(`/orders/${orderId}`).send({ amount: 150 });
+
+      const res = await api.patch(`/orders/${orderId}`).set('If-Match', first.headers.etag).send({ amount: 200 });
+
+      expect(res.statusCode).toBe(412);
+      expect(res.body.currentETag).toBe(updateRes.headers.etag);
+
+      const getRes = await api.get(`/orders/${orderId}`);
+      expect(getRes.body.amount).toBe('150.00');
+    });
+
+    test('should return 412 for a delete with a stale If-Match', async () => {
+      const first = await api.get(`/orders/${orderId}`);
+      const itemRes = await api.post(`/orders/${orderId}/items`).send({ product: 'Extra', quantity: 1, unit_price: 10 });
+
+      const res = await api.delete(`/orders/${orderId}`).set('If-Match', first.headers.etag);
+      expect(res.statusCode).toBe(412);
+
+      const deleteRes = await api.delete(`/orders/${orderId}`).set('If-Match', itemRes.headers.etag);
+      expect(deleteRes.statusCode).toBe(200);
+    });
+  });
+
+  // Order audit history
+  describe('GET /orders/:id/history', () => {
+
+    test('should record create, update and delete events', async () => {
+      const { key: operatorKey } = await issueApiKey('support-agent', 'operator');
+
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'History User',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+      const orderId = createRes.body.id;
+
+      await request(app)
+        .patch(`/orders/${orderId}`)
+        .set('Authorization', `Bearer ${operatorKey}`)
+        .send({ amount: 150 });
+      await api.delete(`/orders/${orderId}`);
+
+      const res = await api.get(`/orders/${orderId}/history`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.order_id).toBe(orderId);
+      expect(res.body.events.map(event => event.event_type)).toEqual(['created', 'updated', 'deleted']);
+
+      const [created, updated, deleted] = res.body.events;
+      expect(created.before).toBeNull();
+      expect(created.after.customer_name).toBe('History User');
+      expect(created.actor).toBe('test-admin');
+      expect(updated.before).toEqual({ subtotal: '100.00', amount: '100.00' });
+      expect(updated.after).toEqual({ subtotal: '150.00', amount: '150.00' });
+      expect(updated.actor).toBe('support-agent');
+      expect(deleted.before.amount).toBe('150.00');
+      expect(deleted.after).toBeNull();
+      expect(deleted.created_at).toBeTruthy();
+    });
+
+    test('should record lifecycle transitions', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'History User',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+
+      await api.post(`/orders/${createRes.body.id}/process`);
+
+      const res = await api.get(`/orders/${createRes.body.id}/history`);
+      expect(res.body.events[1].before).toEqual({ status: 'pending' });
+      expect(res.body.events[1].after).toEqual({ status: 'processing' });
+    });
+
+    test('should not record an event for a rejected update', async () => {
+      const createRes = await api
+        .post('/orders')
+        .send({
+          customer_name: 'History User',
+          product: 'Product',
+          quantity: 1,
+          amount: 100,
+          status: 'pending',
+          order_date: '2026-02-01'
+        });
+
+      await api.post(`/orders/${createRes.body.id}/complete`);
+
+      const res = await api.get(`/orders/${createRes.body.id}/history`);
+      expect(res.body.events.length).toBe(1);
+    });
+
+    test('should return 404 for an order that never existed', async () => {
+      const res = await api.get('/orders/99999/history');
 
       expect(res.statusCode).toBe(404);
       expect(res.body.error).toBe('Order not found');
@@ -310,7 +1206,7 @@ describe('Orders API Tests', () => {
 
     test('should delete order successfully', async () => {
       // Create test order
-      const createRes = await request(app)
+      const createRes = await api
         .post('/orders')
         .send({
           customer_name: 'To Delete',
@@ -324,28 +1220,93 @@ describe('Orders API Tests', () => {
       const orderId = createRes.body.id;
 
       // Delete order
-      const deleteRes = await request(app).delete(`/orders/${orderId}`);
+      const deleteRes = await api.delete(`/orders/${orderId}`);
       expect(deleteRes.statusCode).toBe(200);
       expect(deleteRes.body.message).toBe('Order deleted successfully');
 
       // Verify deletion
-      const getRes = await request(app).get(`/orders/${orderId}`);
+      const getRes = await api.get(`/orders/${orderId}`);
       expect(getRes.statusCode).toBe(404);
     });
 
     test('should return 404 when deleting non-existent order', async () => {
-      const res = await request(app).delete('/orders/99999');
+      const res = await api.delete('/orders/99999');
 
       expect(res.statusCode).toBe(404);
       expect(res.body.error).toBe('Order not found');
     });
+
+    test('should move deleted orders to the trash and restore them', async () => {
+      const createRes = await api.post('/orders').send({
+        customer_name: 'Oops', product: 'Chair', quantity: 1, amount: 80, status: 'pending', order_date: '2026-02-01'
+      });
+      const orderId = createRes.body.id;
+
+      await api.delete(`/orders/${orderId}`);
+
+      expect((await api.get('/orders')).body.data).toHaveLength(0);
+      expect((await api.get('/orders/stats')).body.orderCount).toBe(0);
+      expect((await api.patch(`/orders/${orderId}`).send({ quantity: 2 })).statusCode).toBe(404);
+
+      const trashRes = await api.get('/orders/trash');
+      expect(trashRes.body.data).toHaveLength(1);
+      expect(trashRes.body.data[0].deleted_at).toBeTruthy();
+      expect(trashRes.body.data[0].purge_after > trashRes.body.data[0].deleted_at).toBe(true);
+
+      const restoreRes = await api.post(`/orders/${orderId}/restore`);
+      expect(restoreRes.statusCode).toBe(200);
+      expect(restoreRes.body.deleted_at).toBeNull();
+      expect(restoreRes.body.version).toBe(3);
+
+      expect((await api.get(`/orders/${orderId}`)).statusCode).toBe(200);
+      expect((await api.get('/orders/trash')).body.data).toHaveLength(0);
+      expect((await api.post(`/orders/${orderId}/restore`)).statusCode).toBe(409);
+
+      const historyRes = await api.get(`/orders/${orderId}/history`);
+      expect(historyRes.body.events.map(event => event.event_type)).toEqual(['created', 'deleted', 'restored']);
+    });
+
+    test('should delete permanently with hard=true', async () => {
+      const createRes = await api.post('/orders').send({
+        customer_name: 'Gone', product: 'Lamp', quantity: 1, amount: 30, status: 'pending', order_date: '2026-02-01'
+      });
+      const orderId = createRes.body.id;
+
+      const res = await api.delete(`/orders/${orderId}?hard=true`);
+      expect(res.body.message).toBe('Order permanently deleted');
+
+      expect((await api.get('/orders/trash')).body.data).toHaveLength(0);
+      expect((await api.post(`/orders/${orderId}/restore`)).statusCode).toBe(404);
+
+      const historyRes = await api.get(`/orders/${orderId}/history`);
+      expect(historyRes.body.events.map(event => event.event_type)).toEqual(['created', 'deleted', 'purged']);
+    });
+
+    test('should purge orders that have been in the trash too long', async () => {
+      const ids = [];
+      for (const customer_name of ['Old', 'Recent']) {
+        const createRes = await api.post('/orders').send({
+          customer_name, product: 'Desk', quantity: 1, amount: 200, status: 'pending', order_date: '2026-02-01'
+        });
+        await api.delete(`/orders/${createRes.body.id}`);
+        ids.push(createRes.body.id);
+      }
+      await new Promise((resolve) => {
+        db.run("UPDATE orders SET deleted_at = '2000-01-01T00:00:00.000Z' WHERE id = ?", [ids[0]], resolve);
+      });
+
+      expect(await purgeTrash(30)).toEqual([ids[0]]);
+
+      const trashRes = await api.get('/orders/trash');
+      expect(trashRes.body.data.map(order => order.id)).toEqual([ids[1]]);
+    });
   });
 
   // Test 17: Edge case - Empty database
   describe('Edge Cases', () => {
 
     test('should handle empty database gracefully', async () => {
-      const res = await request(app).get('/orders');
+      const res = await api.get('/orders');
 
       expect(res.statusCode).toBe(200);
       expect(res.body.data).toEqual([]);
@@ -354,22 +1315,22 @@ describe('Orders API Tests', () => {
 
     test('should handle combined filters correctly', async () => {
       // Create test data
-      await request(app).post('/orders').send({
+      await api.post('/orders').send({
         customer_name: 'Test', product: 'Product', quantity: 1,
         amount: 500, status: 'completed', order_date: '2026-02-01'
       });
 
-      const res = await request(app).get('/orders?status=completed&minAmount=400&maxAmount=600');
+      const res = await api.get('/orders?status=completed&minAmount=400&maxAmount=600');
 
       expect(res.statusCode).toBe(200);
       expect(res.body.data.length).toBeGreaterThan(0);
     });
 
     test('should handle invalid order ID format', async () => {
-      const res = await request(app).get('/orders/invalid-id');
+      const res = await api.get('/orders/invalid-id');
 
       expect(res.statusCode).toBe(400);
-      expect(res.body.error).toBe('Invalid order ID');
+      expect(res.body).toEqual({ error: 'Validation failed', fields: [{ field: 'id', error: 'id must be a positive integer' }] });
     });
   });
 
@@ -0,0 +1,259 @@
+// Test suite for order pricing - coupons, tax rates and quotes
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+process.env.TAX_RATES = 'US-CA=7.25, DE=19';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, get, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+let operatorKey;
+
+// Two desks at 100.00, before any coupon or tax
+const basket = {
+  items: [{ product: 'Standing Desk', quantity: 2, unit_price: '100.00' }]
+};
+
+const newOrder = (extra = {}) => ({
+  customer_name: 'Margaret',
+  status: 'pending',
+  order_date: '2026-03-01',
+  ...basket,
+  ...extra
+});
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('pricing-admin', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+  operatorKey = (await issueApiKey('pricing-operator', 'operator')).key;
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Coupons', () => {
+
+  test('should create percentage and fixed coupons', async () => {
+    const percent = await api.post('/coupons').send({ code: 'save10', percent_off: 10 });
+
+    expect(percent.statusCode).toBe(201);
+    expect(percent.body).toMatchObject({
+      code: 'SAVE10',
+      percent_off: 10,
+      amount_off: null,
+      currency: null,
+      times_redeemed: 0,
+      active: true
+    });
+
+    const fixed = await api.post('/coupons').send({
+      code: 'TAKE5',
+      amount_off: '5.00',
+      currency: 'USD',
+      min_order_value: '50',
+      max_redemptions: 1
+    });
+
+    expect(fixed.statusCode).toBe(201);
+    expect(fixed.body).toMatchObject({ amount_off: '5.00', min_order_value: '50.00', max_redemptions: 1 });
+  });
+
+  test('should validate coupons', async () => {
+    const both = await api.post('/coupons').send({ code: 'BOTH', percent_off: 5, amount_off: 5, currency: 'USD' });
+    expect(both.statusCode).toBe(400);
+    expect(both.body.details).toBe('Set either percent_off or amount_off');
+
+    const noCurrency = await api.post('/coupons').send({ code: 'FIVE', amount_off: 5 });
+    expect(noCurrency.statusCode).toBe(400);
+
+    const tooPrecise = await api.post('/coupons').send({ code: 'JPY', amount_off: '5.5', currency: 'JPY' });
+    expect(tooPrecise.body.details).toBe('amount_off must be a positive amount in JPY with no decimal places');
+
+    const duplicate = await api.post('/coupons').send({ code: 'Save10', percent_off: 20 });
+    expect(duplicate.statusCode).toBe(409);
+
+    const { statusCode } = await request(app)
+      .post('/coupons')
+      .set('Authorization', `Bearer ${operatorKey}`)
+      .send({ code: 'OPERATOR', percent_off: 50 });
+    expect(statusCode).toBe(403);
+  });
+
+  test('should only change the expiry, usage limit and active flag', async () => {
+    const { body: coupon } = await api.post('/coupons').send({ code: 'SPRING', percent_off: '12.5' });
+
+    const res = await api.patch(`/coupons/${coupon.id}`).send({ expires_at: '2026-04-01T00:00:00Z', active: false });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ expires_at: '2026-04-01T00:00:00.000Z', active: false, percent_off: 12.5 });
+
+    const fixed = await api.patch(`/coupons/${coupon.id}`).send({ percent_off: 50 });
+    expect(fixed.statusCode).toBe(400);
+    expect(fixed.body.details).toBe('percent_off cannot be changed; create a new coupon instead');
+  });
+});
+
+describe('POST /orders/quote', () => {
+
+  test('should price a basket with a coupon and tax without saving it', async () => {
+    const { count: ordersBefore } = await get('SELECT COUNT(*) AS count FROM orders');
+
+    const res = await api.post('/orders/quote').send({ ...basket, coupon_code: 'save10', tax_region: 'us-ca' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      currency: 'USD',
+      subtotal: '200.00',
+      discount: '20.00',
+      tax: '13.05',
+      amount: '193.05',
+      coupon_code: 'SAVE10',
+      tax_region: 'US-CA',
+      tax_rate: 7.25
+    });
+    expect(res.body.items).toEqual([{ product_id: null, product: 'Standing Desk', quantity: 2, unit_price: '100.00' }]);
+
+    expect(await get('SELECT COUNT(*) AS count FROM orders')).toEqual({ count: ordersBefore });
+    expect(await get("SELECT times_redeemed FROM coupons WHERE code = 'SAVE10'")).toEqual({ times_redeemed: 0 });
+  });
+
+  test('should explain why a coupon does not apply', async () => {
+    const unknown = await api.post('/orders/quote').send({ ...basket, coupon_code: 'NOPE' });
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body).toEqual({ error: 'Invalid coupon', coupon_code: 'NOPE', details: 'Coupon not found' });
+
+    const inactive = await api.post('/orders/quote').send({ ...basket, coupon_code: 'SPRING' });
+    expect(inactive.body.details).toBe('Coupon is not active');
+
+    const { body: expired } = await api.post('/coupons').send({ code: 'OLD', percent_off: 5, expires_at: '2020-01-01' });
+    const expiredRes = await api.post('/orders/quote').send({ ...basket, coupon_code: expired.code });
+    expect(expiredRes.body.details).toBe('Coupon has expired');
+
+    const small = await api.post('/orders/quote').send({ product: 'Pen', quantity: 1, amount: '2.50', coupon_code: 'TAKE5' });
+    expect(small.body.details).toBe('Coupon requires a subtotal of at least 50.00 USD');
+
+    const euros = await api.post('/orders/quote').send({ ...basket, currency: 'EUR', coupon_code: 'TAKE5' });
+    expect(euros.body.details).toBe('Coupon only applies to orders in USD');
+  });
+
+  test('should reject unknown tax regions', async () => {
+    const res = await api.post('/orders/quote').send({ ...basket, tax_region: 'FR' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid tax region', taxRegions: ['US-CA', 'DE'] });
+  });
+});
+
+describe('Priced orders', () => {
+
+  let order;
+
+  test('should store the price breakdown and use up the coupon', async () => {
+    const res = await api.post('/orders').send(newOrder({ coupon_code: 'TAKE5', tax_region: 'DE' }));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({
+      subtotal: '200.00',
+      discount: '5.00',
+      tax: '37.05',
+      amount: '232.05',
+      coupon_code: 'TAKE5',
+      tax_region: 'DE',
+      tax_rate: 19
+    });
+    order = res.body;
+
+    const again = await api.post('/orders').send(newOrder({ coupon_code: 'TAKE5' }));
+    expect(again.statusCode).toBe(400);
+    expect(again.body.details).toBe('Coupon has reached its usage limit');
+
+    const coupons = await api.get('/coupons');
+    expect(coupons.body.data.find(coupon => coupon.code === 'TAKE5').times_redeemed).toBe(1);
+  });
+
+  test('should reprice the order when its items change', async () => {
+    const res = await request(app)
+      .post(`/orders/${order.id}/items`)
+      .set('Authorization', `Bearer ${operatorKey}`)
+      .send({ product: 'Lamp', quantity: 1, unit_price: '40.00' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ subtotal: '240.00', discount: '5.00', tax: '44.65', amount: '279.65' });
+
+    const filtered = await api.get('/orders?coupon_code=TAKE5&tax=gt:40');
+    expect(filtered.body.data.map(({ id }) => id)).toEqual([order.id]);
+  });
+
+  test('should not let the amount of a priced order be edited directly', async () => {
+    const { body: single } = await api.post('/orders').send({
+      customer_name: 'Margaret',
+      product: 'Chair',
+      quantity: 1,
+      amount: 80,
+      tax_region: 'US-CA',
+      status: 'pending',
+      order_date: '2026-03-02'
+    });
+    expect(single).toMatchObject({ subtotal: '80.00', tax: '5.80', amount: '85.80' });
+
+    const res = await api.patch(`/orders/${single.id}`).send({ amount: '90.00' });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Order has a discount or tax');
+  });
+
+  test('should not delete a coupon used by orders', async () => {
+    const { body } = await api.get('/coupons');
+    const couponId = (code) => body.data.find(coupon => coupon.code === code).id;
+
+    const res = await api.delete(`/coupons/${couponId('TAKE5')}`);
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual({ error: 'Coupon is used by orders', order_count: 1 });
+
+    const unused = await api.delete(`/coupons/${couponId('OLD')}`);
+    expect(unused.statusCode).toBe(200);
+  });
+});
+
+describe('Catalog prices', () => {
+
+  test('should use the catalog price of items sent without one', async () => {
+    await api.post('/products').send({ name: 'Monitor', unit_price: '249.99' });
+
+    const res = await api.post('/orders').send(newOrder({ items: [{ product: 'monitor', quantity: 2 }] }));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.items).toMatchObject([{ product: 'Monitor', unit_price: '249.99' }]);
+    expect(res.body.amount).toBe('499.98');
+  });
+
+  test('should price a single-product order from the catalog', async () => {
+    await api.post('/products').send({ name: 'Laptop', unit_price: '1000.00' });
+
+    const res = await api.post('/orders').send(newOrder({ items: undefined, product: 'Laptop', quantity: 5, amount: '5000.00' }));
+    expect(res.statusCode).toBe(201);
+    expect(res.body.items).toMatchObject([{ product: 'Laptop', quantity: 5, unit_price: '1000.00' }]);
+
+    const cheap = await api.post('/orders/quote').send({ product: 'Laptop', quantity: 5, amount: '50.00' });
+    expect(cheap.statusCode).toBe(400);
+    expect(cheap.body).toEqual({ error: 'Invalid amount', details: 'amount must be 5000.00, the catalog price of Laptop times the quantity' });
+  });
+
+  test('should require a unit price for products without one in the order currency', async () => {
+    const res = await api.post('/orders/quote').send({
+      currency: 'EUR',
+      items: [{ product: 'Monitor', quantity: 1 }, { product: 'Keyboard', quantity: 1 }]
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Invalid order items',
+      items: [
+        { index: 0, error: 'unit_price is required, the product has no catalog price in EUR' },
+        { index: 1, error: 'unit_price is required, the product has no catalog price in EUR' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,192 @@
+// Test suite for order statistics and revenue reports
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+process.env.TAX_RATES = 'DE=19';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+let adminKey;
+
+const orders = [
+  { customer_name: 'Alice', product: 'Laptop', quantity: 1, amount: 1000, status: 'completed', order_date: '2026-01-05' },
+  { customer_name: 'Alice', product: 'Mouse', quantity: 2, amount: 50, status: 'pending', order_date: '2026-01-06' },
+  { customer_name: 'Bob', product: 'Laptop', quantity: 1, amount: 1000, status: 'completed', order_date: '2026-01-20' },
+  {
+    customer_name: 'Bob', status: 'completed', order_date: '2026-03-02',
+    items: [{ product: 'Laptop', quantity: 1, unit_price: 900 }, { product: 'Mouse', quantity: 1, unit_price: 25 }]
+  }
+];
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('dashboard', 'read-only');
+  ({ key: adminKey } = await issueApiKey('loader', 'admin'));
+
+  for (const order of orders) {
+    await request(app).post('/orders').set('Authorization', `Bearer ${adminKey}`).send(order);
+  }
+
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Reports', () => {
+
+  describe('GET /orders/stats', () => {
+
+    test('should return totals overall and by status', async () => {
+      const res = await api.get('/orders/stats');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ currency: 'USD', orderCount: 4, totalAmount: '2975.00', averageAmount: '743.75', quantitySold: 6 });
+      expect(res.body.byStatus.completed).toEqual({ orderCount: 3, totalAmount: '2925.00', averageAmount: '975.00', quantitySold: 4 });
+      expect(res.body.byStatus.cancelled).toEqual({ orderCount: 0, totalAmount: '0.00', averageAmount: '0.00', quantitySold: 0 });
+    });
+
+    test('should accept the GET /orders filters', async () => {
+      const res = await api.get('/orders/stats?startDate=2026-01-01&endDate=2026-01-31&minAmount=100');
+
+      expect(res.body.orderCount).toBe(2);
+      expect(res.body.totalAmount).toBe('2000.00');
+    });
+  });
+
+  describe('GET /reports/revenue', () => {
+
+    test('should group by month with empty months filled in', async () => {
+      const res = await api.get('/reports/revenue?groupBy=month');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.groupBy).toBe('month');
+      expect(res.body.buckets.map(bucket => [bucket.period, bucket.orderCount, bucket.totalAmount])).toEqual([
+        ['2026-01', 3, '2050.00'],
+        ['2026-02', 0, '0.00'],
+        ['2026-03', 1, '925.00']
+      ]);
+    });
+
+    test('should fill day buckets across the requested date range', async () => {
+      const res = await api.get('/reports/revenue?groupBy=day&startDate=2026-01-04&endDate=2026-01-07&status=completed');
+
+      expect(res.body.buckets.map(bucket => [bucket.period, bucket.totalAmount])).toEqual([
+        ['2026-01-04', '0.00'],
+        ['2026-01-05', '1000.00'],
+        ['2026-01-06', '0.00'],
+        ['2026-01-07', '0.00']
+      ]);
+    });
+
+    test('should group by weeks starting on Monday', async () => {
+      const res = await api.get('/reports/revenue?groupBy=week&endDate=2026-01-31');
+
+      expect(res.body.buckets.map(bucket => [bucket.period, bucket.orderCount])).toEqual([
+        ['2026-01-05', 2],
+        ['2026-01-12', 0],
+        ['2026-01-19', 1],
+        ['2026-01-26', 0]
+      ]);
+    });
+
+    test('should group by product using line items', async () => {
+      const res = await api.get('/reports/revenue?groupBy=product');
+
+      expect(res.body.buckets.map(bucket => [bucket.product, bucket.orderCount, bucket.totalAmount, bucket.quantitySold])).toEqual([
+        ['Laptop', 3, '2900.00', 3],
+        ['Mouse', 2, '75.00', 3]
+      ]);
+      expect(res.body.buckets[0].productId).toBeTruthy();
+    });
+
+    test('should group by customer', async () => {
+      const res = await api.get('/reports/revenue?groupBy=customer&status=completed');
+
+      expect(res.body.buckets.map(bucket => [bucket.customerName, bucket.orderCount, bucket.averageAmount])).toEqual([
+        ['Bob', 2, '962.50'],
+        ['Alice', 1, '1000.00']
+      ]);
+    });
+
+    test('should reject an unknown groupBy', async () => {
+      const res = await api.get('/reports/revenue?groupBy=year');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual([{ field: 'groupBy', error: 'groupBy must be one of day, week, month, product, customer' }]);
+    });
+
+    test('should refuse to fill an unbounded number of buckets', async () => {
+      const res = await api.get('/reports/revenue?groupBy=day&startDate=2000-01-01&endDate=2026-01-01');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Too many buckets');
+    });
+  });
+
+  describe('Currencies', () => {
+
+    test('should not add up amounts in different currencies', async () => {
+      await request(app).post('/orders').set('Authorization', `Bearer ${adminKey}`).send({
+        customer_name: 'Claude', product: 'Laptop', quantity: 1, amount: '1200.50', currency: 'EUR', status: 'completed', order_date: '2026-03-10'
+      });
+
+      const mixed = await api.get('/orders/stats');
+      expect(mixed.statusCode).toBe(400);
+      expect(mixed.body.error).toBe('Mixed currencies');
+      expect(mixed.body.currencies).toEqual(['EUR', 'USD']);
+
+      const revenue = await api.get('/reports/revenue?groupBy=product');
+      expect(revenue.statusCode).toBe(400);
+
+      const euros = await api.get('/orders/stats?currency=EUR');
+      expect(euros.body).toMatchObject({ currency: 'EUR', orderCount: 1, totalAmount: '1200.50' });
+
+      const none = await api.get('/reports/revenue?groupBy=customer&currency=JPY');
+      expect(none.body).toEqual({ groupBy: 'customer', currency: 'JPY', buckets: [] });
+    });
+  });
+
+  describe('Discounts and tax', () => {
+
+    test('should share the tax of an order between its products', async () => {
+      await request(app).post('/orders').set('Authorization', `Bearer ${adminKey}`).send({
+        customer_name: 'Erik', status: 'completed', order_date: '2026-03-12', currency: 'CHF', tax_region: 'DE',
+        items: [{ product: 'Laptop', quantity: 1, unit_price: 300 }, { product: 'Mouse', quantity: 2, unit_price: 50 }]
+      });
+
+      const res = await api.get('/reports/revenue?groupBy=product&currency=CHF');
+
+      expect(res.body.buckets.map(bucket => [bucket.product, bucket.totalAmount])).toEqual([
+        ['Laptop', '357.00'],
+        ['Mouse', '119.00']
+      ]);
+    });
+  });
+
+  describe('Legacy order dates', () => {
+
+    test('should leave orders without a usable date out of time buckets', async () => {
+      await request(app).post('/orders').set('Authorization', `Bearer ${adminKey}`).send({
+        customer_name: 'Dora', product: 'Laptop', quantity: 1, amount: 800, currency: 'GBP', status: 'completed', order_date: '2026-03-11'
+      });
+      // Stored before order dates were validated
+      await new Promise((resolve, reject) => db.run(
+        `INSERT INTO orders (customer_name, product, quantity, subtotal, amount, currency, status, order_date)
+         VALUES ('Dora', 'Mouse', 1, 2500, 2500, 'GBP', 'completed', 'next week')`,
+        err => (err ? reject(err) : resolve())
+      ));
+
+      for (const groupBy of ['day', 'week', 'month']) {
+        const res = await api.get(`/reports/revenue?groupBy=${groupBy}&currency=GBP`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.buckets.map(bucket => [bucket.orderCount, bucket.totalAmount])).toEqual([[1, '800.00']]);
+      }
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Test suite for full-text order search
+// Uses an in-memory database so it can run alongside the orders suite
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+
+const orders = [
+  { customer_name: 'Maria Garcia', product: 'Monitor 27"', quantity: 1, amount: 300, status: 'pending', order_date: '2026-01-05' },
+  { customer_name: 'Maria Garcia', product: 'Keyboard', quantity: 1, amount: 80, status: 'pending', order_date: '2026-01-06' },
+  { customer_name: 'Luis García', product: 'Monitor Arm', quantity: 1, amount: 120, status: 'completed', order_date: '2026-01-07' },
+  { customer_name: 'John <b>Smith</b>', product: 'Monitor 24"', quantity: 2, amount: 400, status: 'pending', order_date: '2026-01-08' }
+];
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('support', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+
+  for (const order of orders) {
+    await api.post('/orders').send(order);
+  }
+});
+
+afterAll((done) => {
+  db.close(done);
+});
+
+describe('Order search', () => {
+
+  test('should find orders matching every word, ignoring accents', async () => {
+    const res = await api.get('/orders/search?q=garcia monitor');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(order => order.customer_name).sort()).toEqual(['Luis García', 'Maria Garcia']);
+    expect(res.body.pagination.totalOrders).toBe(2);
+  });
+
+  test('should match word prefixes and highlight the matches', async () => {
+    const res = await api.get('/orders/search?q=keyb');
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].search.highlights.product).toBe('<mark>Keyboard</mark>');
+    expect(res.body.data[0].search.rank).toBeGreaterThan(0);
+    expect(res.body.data[0].customer.name).toBe('Maria Garcia');
+  });
+
+  test('should escape HTML in highlights', async () => {
+    const res = await api.get('/orders/search?q=smith');
+
+    expect(res.body.data[0].search.highlights.customer_name).toBe('John &lt;b&gt;<mark>Smith</mark>&lt;/b&gt;');
+  });
+
+  test('should combine with filters and pagination on GET /orders', async () => {
+    const res = await api.get('/orders?q=monitor&status=pending&limit=1');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].status).toBe('pending');
+    expect(res.body.pagination).toMatchObject({ totalOrders: 2, totalPages: 2, hasNextPage: true });
+  });
+
+  test('should reject a sort or a cursor with a search query', async () => {
+    const cursor = await api.get('/orders?q=monitor&cursor=');
+    expect(cursor.statusCode).toBe(400);
+    expect(cursor.body.error).toBe('Search results cannot be sorted or paged with a cursor');
+
+    const sort = await api.get('/orders/search?q=monitor&sort=amount');
+    expect(sort.statusCode).toBe(400);
+  });
+
+  test('should keep the index in sync with updates and deletes', async () => {
+    const createRes = await api.post('/orders').send({
+      customer_name: 'Zed Quinn', product: 'Webcam', quantity: 1, amount: 50, status: 'pending', order_date: '2026-01-09'
+    });
+
+    await api.patch(`/orders/${createRes.body.id}`).send({ customer_name: 'Zed Quartz' });
+
+    expect((await api.get('/orders/search?q=quinn')).body.data).toHaveLength(0);
+    expect((await api.get('/orders/search?q=quartz')).body.data).toHaveLength(1);
+
+    await api.delete(`/orders/${createRes.body.id}`);
+
+    expect((await api.get('/orders/search?q=quartz')).body.data).toHaveLength(0);
+  });
+
+  test('should treat search syntax characters as plain text', async () => {
+    const res = await api.get('/orders/search').query({ q: 'monitor" OR -NEAR(' });
+
+    expect(res.statusCode).toBe(200);
+  });
+
+  test('should require a search query', async () => {
+    const missing = await api.get('/orders/search');
+    expect(missing.statusCode).toBe(400);
+
+    const empty = await api.get('/orders?q=%20-%20');
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.error).toBe('Invalid search query');
+  });
+});
@@ -0,0 +1,176 @@
+// Test suite for the Server-Sent Events order feed
+// Uses an in-memory database so it can run alongside the orders suite. The app listens on a
+// real port because supertest waits for responses to end, and a stream never does.
+process.env.DB_PATH = ':memory:';
+process.env.STREAM_HEARTBEAT_MS = '50';
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+
+let api;
+let key;
+let server;
+
+const newOrder = {
+  customer_name: 'Wally',
+  product: 'Wallboard',
+  quantity: 1,
+  amount: 500,
+  status: 'pending',
+  order_date: '2026-02-01'
+};
+
+/**
+ * Open a stream and collect its messages
+ * `next(count)` resolves once `count` events have arrived
+ */
+const openStream = (path, headers = {}) => {
+  const stream = { events: [], comments: [], statusCode: null };
+  let buffer = '';
+  let waiting = null;
+
+  const check = () => {
+    if (waiting && stream.events.length >= waiting.count) {
+      waiting.resolve(stream.events.slice(0, waiting.count));
+      waiting = null;
+    }
+  };
+
+  stream.ready = new Promise((resolve) => {
+    stream.request = http.get({
+      port: server.address().port,
+      path,
+      headers: { Authorization: `Bearer ${key}`, ...headers }
+    }, (res) => {
+      stream.statusCode = res.statusCode;
+      stream.headers = res.headers;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach((message) => {
+          if (message.startsWith(':')) {
+            stream.comments.push(message);
+            return;
+          }
+          const fields = Object.fromEntries(message.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.data) {
+            stream.events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+        check();
+      });
+      // The retry message is written as soon as the client is registered
+      res.once('data', () => resolve(stream));
+      res.on('end', () => resolve(stream));
+    });
+    stream.request.on('error', () => {});
+  });
+
+  stream.next = (count) => new Promise((resolve) => {
+    waiting = { count, resolve };
+    check();
+  });
+  stream.close = () => stream.request.destroy();
+
+  return stream;
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+  ({ key } = await issueApiKey('wallboard', 'admin'));
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+describe('GET /orders/stream', () => {
+
+  test('should push creates, updates and deletes as they happen', async () => {
+    const stream = await openStream('/orders/stream').ready;
+    expect(stream.statusCode).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const createRes = await api.post('/orders').send(newOrder);
+    await api.post(`/orders/${createRes.body.id}/process`);
+    await api.delete(`/orders/${createRes.body.id}`);
+
+    const events = await stream.next(3);
+    stream.close();
+
+    expect(events.map(event => event.event)).toEqual(['order.created', 'order.updated', 'order.deleted']);
+    expect(events[1].data).toMatchObject({
+      order_id: createRes.body.id,
+      status: 'processing',
+      after: { status: 'processing' }
+    });
+    expect(events[1].id).toBeGreaterThan(events[0].id);
+  });
+
+  test('should only send events for the requested statuses', async () => {
+    const stream = await openStream('/orders/stream?status=processing,completed').ready;
+
+    const createRes = await api.post('/orders').send(newOrder);
+    await api.post(`/orders/${createRes.body.id}/process`);
+    await api.post(`/orders/${createRes.body.id}/complete`);
+
+    const events = await stream.next(2);
+    stream.close();
+
+    expect(events.map(event => event.data.status)).toEqual(['processing', 'completed']);
+  });
+
+  test('should replay missed events after Last-Event-ID', async () => {
+    const first = await openStream('/orders/stream').ready;
+    const createRes = await api.post('/orders').send(newOrder);
+    const [created] = await first.next(1);
+    first.close();
+
+    // Changes made while the client is disconnected
+    await api.patch(`/orders/${createRes.body.id}`).send({ quantity: 2, amount: 1000 });
+    await api.post(`/orders/${createRes.body.id}/cancel`).send({ reason: 'Duplicate' });
+
+    const resumed = openStream('/orders/stream', { 'Last-Event-ID': String(created.id) });
+    const events = await resumed.next(2);
+    await api.post('/orders').send(newOrder);
+    const live = await resumed.next(3);
+    resumed.close();
+
+    expect(events.map(event => event.data.order_id)).toEqual([createRes.body.id, createRes.body.id]);
+    expect(events[1].data.status).toBe('cancelled');
+    expect(live[2].event).toBe('order.created');
+    expect(live).toHaveLength(3);
+  });
+
+  test('should send heartbeats', async () => {
+    const stream = await openStream('/orders/stream').ready;
+    await new Promise(resolve => setTimeout(resolve, 120));
+    stream.close();
+
+    expect(stream.comments).toContain(': heartbeat');
+  });
+
+  test('should reject an invalid status filter or Last-Event-ID', async () => {
+    const badStatus = await api.get('/orders/stream?status=shipped');
+    expect(badStatus.statusCode).toBe(400);
+    expect(badStatus.body.error).toBe('Invalid status filter');
+
+    const badId = await api.get('/orders/stream').set('Last-Event-ID', 'abc');
+    expect(badId.statusCode).toBe(400);
+    expect(badId.body.error).toBe('Invalid Last-Event-ID');
+  });
+
+  test('should require an API key', async () => {
+    const res = await request(app).get('/orders/stream');
+
+    expect(res.statusCode).toBe(401);
+  });
+});
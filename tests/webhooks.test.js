@@ -0,0 +1,215 @@
+// Test suite for outbound webhooks
+// Uses an in-memory database so it can run alongside the orders suite, and a local
+// HTTP server standing in for the subscriber
+process.env.DB_PATH = ':memory:';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '0';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/server');
+const { db, initializeDatabase } = require('../src/database');
+const { issueApiKey } = require('../src/auth');
+const { deliverPendingWebhooks } = require('../src/webhooks');
+
+let api;
+let stub;
+let stubUrl;
+let received = [];
+// Status codes the stub answers with, in order; 204 once they run out
+let responses = [];
+// Requests to this path are answered after a delay
+let slowPath = null;
+
+const newOrder = {
+  customer_name: 'Dana',
+  product: 'Desk',
+  quantity: 1,
+  amount: 250,
+  status: 'pending',
+  order_date: '2026-02-01'
+};
+
+beforeAll(async () => {
+  await initializeDatabase();
+  const { key } = await issueApiKey('integrations', 'admin');
+  api = request.agent(app).set('Authorization', `Bearer ${key}`);
+
+  stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = responses.shift() || 204;
+      setTimeout(() => res.end(res.statusCode >= 400 ? 'try again later' : ''), req.url === slowPath ? 300 : 0);
+    });
+  });
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  stubUrl = `http://127.0.0.1:${stub.address().port}`;
+});
+
+beforeEach(() => {
+  received = [];
+  responses = [];
+});
+
+afterAll(async () => {
+  await new Promise(resolve => stub.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+describe('Webhooks', () => {
+
+  let webhook;
+
+  test('should create a subscription and return its secret once', async () => {
+    const res = await api.post('/webhooks').send({ url: `${stubUrl}/orders-hook` });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.events).toEqual(['order.created', 'order.status_changed', 'order.deleted', 'order.restored']);
+    expect(res.body.active).toBe(true);
+    expect(res.body.secret).toMatch(/^whsec_/);
+    webhook = res.body;
+
+    const list = await api.get('/webhooks');
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].secret).toBeUndefined();
+  });
+
+  test('should deliver signed lifecycle events', async () => {
+    const createRes = await api.post('/orders').send(newOrder);
+    await api.post(`/orders/${createRes.body.id}/process`);
+    await api.patch(`/orders/${createRes.body.id}`).send({ product: 'Standing Desk' });
+    await api.delete(`/orders/${createRes.body.id}`);
+
+    await deliverPendingWebhooks();
+
+    expect(received.map(delivery => delivery.headers['x-webhook-event'])).toEqual([
+      'order.created', 'order.status_changed', 'order.deleted'
+    ]);
+
+    const { path, headers, body } = received[1];
+    const event = JSON.parse(body);
+    expect(path).toBe('/orders-hook');
+    expect(event.type).toBe('order.status_changed');
+    expect(event.id).toBe(headers['x-webhook-id']);
+    expect(event.data.previous_status).toBe('pending');
+    expect(event.data.order).toMatchObject({ id: createRes.body.id, status: 'processing' });
+
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(headers['x-webhook-signature']);
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+  });
+
+  test('should not queue events for changes that are rolled back', async () => {
+    const res = await api.post('/orders/import?mode=all-or-nothing')
+      .set('Content-Type', 'text/csv')
+      .send('customer_name,product,quantity,amount,status,order_date\nEve,Lamp,1,40,pending,2026-02-02\nEve,Lamp,0,40,pending,2026-02-02\n');
+
+    expect(res.statusCode).toBe(422);
+
+    await deliverPendingWebhooks();
+    expect(received).toHaveLength(0);
+  });
+
+  test('should retry failed deliveries and give up after the last attempt', async () => {
+    responses = [500, 503];
+    await api.post('/orders').send(newOrder);
+    await deliverPendingWebhooks();
+
+    expect(received).toHaveLength(3);
+
+    const res = await api.get(`/webhooks/${webhook.id}/deliveries?limit=1`);
+    const [delivery] = res.body.data;
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempt_count).toBe(3);
+    expect(delivery.attempts.map(attempt => attempt.response_status)).toEqual([500, 503, 204]);
+    expect(delivery.attempts[0].error).toBe('try again later');
+
+    responses = [500, 500, 500];
+    await api.post('/orders').send(newOrder);
+    await deliverPendingWebhooks();
+
+    const failed = await api.get(`/webhooks/${webhook.id}/deliveries?status=failed`);
+    expect(failed.body.data).toHaveLength(1);
+    expect(failed.body.data[0].response_status).toBe(500);
+    expect(failed.body.data[0].next_attempt_at).toBeNull();
+  });
+
+  test('should redeliver a delivery on request', async () => {
+    const failed = await api.get(`/webhooks/${webhook.id}/deliveries?status=failed`);
+    const deliveryId = failed.body.data[0].id;
+
+    const res = await api.post(`/webhooks/${webhook.id}/deliveries/${deliveryId}/redeliver`);
+    expect(res.statusCode).toBe(202);
+    expect(res.body.status).toBe('pending');
+
+    await deliverPendingWebhooks();
+    expect(received).toHaveLength(1);
+    expect(JSON.parse(received[0].body).id).toBe(failed.body.data[0].payload.id);
+
+    const missing = await api.post(`/webhooks/${webhook.id}/deliveries/9999/redeliver`);
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('should only send subscribed events to active webhooks', async () => {
+    await api.patch(`/webhooks/${webhook.id}`).send({ events: ['order.deleted'] });
+    const createRes = await api.post('/orders').send(newOrder);
+    await deliverPendingWebhooks();
+    expect(received).toHaveLength(0);
+
+    await api.patch(`/webhooks/${webhook.id}`).send({ active: false });
+    await api.delete(`/orders/${createRes.body.id}`);
+    await deliverPendingWebhooks();
+    expect(received).toHaveLength(0);
+  });
+
+  test('should not hold up other webhooks while one is slow', async () => {
+    slowPath = '/slow';
+    const slow = await api.post('/webhooks').send({ url: `${stubUrl}/slow`, events: ['order.created'] });
+    const fast = await api.post('/webhooks').send({ url: `${stubUrl}/fast`, events: ['order.created'] });
+
+    try {
+      const first = await api.post('/orders').send(newOrder);
+      const second = await api.post('/orders').send(newOrder);
+      await deliverPendingWebhooks();
+
+      const paths = received.map(delivery => delivery.path);
+      expect(paths.filter(path => path === '/fast')).toHaveLength(2);
+      expect(paths[paths.length - 1]).toBe('/slow');
+
+      // Each webhook still gets its events in order
+      const slowOrders = received.filter(delivery => delivery.path === '/slow').map(delivery => JSON.parse(delivery.body).data.order.id);
+      expect(slowOrders).toEqual([first.body.id, second.body.id]);
+    } finally {
+      slowPath = null;
+      await api.delete(`/webhooks/${slow.body.id}`);
+      await api.delete(`/webhooks/${fast.body.id}`);
+    }
+  });
+
+  test('should validate subscriptions', async () => {
+    const badUrl = await api.post('/webhooks').send({ url: 'ftp://example.com' });
+    expect(badUrl.statusCode).toBe(400);
+
+    const badEvents = await api.post('/webhooks').send({ url: stubUrl, events: ['order.shipped'] });
+    expect(badEvents.statusCode).toBe(400);
+    expect(badEvents.body.fields).toEqual([{ field: 'events/0', error: 'events/0 must be one of order.created, order.status_changed, order.deleted, order.restored' }]);
+  });
+
+  test('should require an admin key', async () => {
+    const { key } = await issueApiKey('clerk', 'operator');
+    const res = await request(app).get('/webhooks').set('Authorization', `Bearer ${key}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should delete a subscription', async () => {
+    const res = await api.delete(`/webhooks/${webhook.id}`);
+    expect(res.statusCode).toBe(200);
+
+    const missing = await api.get(`/webhooks/${webhook.id}`);
+    expect(missing.statusCode).toBe(404);
+  });
+});